@@ -8,11 +8,27 @@ function initApp() {
 
     // Initialize event listeners
     initFormListeners();
+    initBarcodeScanner();
+    initShelfLifeSuggestions();
+    initExpiryOcr();
+    initBatchEntry();
+    initReceiptImport();
+    initTimelineControls();
+    initSelection();
+    initUndo();
+    initImportExport();
     initSearchListeners();
     initFilterToggle();
+    initModalListeners();
+    initConflictDialog();
+    initHistoryView();
+    initDashboard();
+    initSettings();
+    initNotifications();
+    initBackup();
 
-    // Start Firestore real-time sync (this will automatically load and display data)
-    initializeFirestoreSync();
+    // Start real-time sync with the storage backend (this will automatically load and display data)
+    initializeStorageSync();
 
     console.log('Application initialized successfully!');
 }
@@ -23,7 +39,7 @@ function initApp() {
 function loadAndDisplayIngredients() {
     try {
         const ingredients = loadIngredients();
-        renderGanttChart(ingredients, openEditForm, confirmDeleteIngredient);
+        renderGanttChart(ingredients, openEditForm, confirmDisposeIngredient, promptUseIngredient);
 
         console.log(`Loaded ${ingredients.length} ingredients`);
     } catch (error) {
@@ -32,14 +48,19 @@ function loadAndDisplayIngredients() {
     }
 }
 
+// Auto-hide timer of the toast, replaced by each new notification
+let notificationTimer = null;
+
 /**
  * Show a notification toast
  * @param {string} message - Notification message
  * @param {string} type - Notification type: 'success', 'error', 'warning'
+ * @param {Object} [action] - Optional button { label, onClick }, e.g. 元に戻す
  */
-function showNotification(message, type = 'success') {
+function showNotification(message, type = 'success', action = null) {
     const toast = document.getElementById('toast');
     const toastMessage = document.getElementById('toastMessage');
+    const toastAction = document.getElementById('toastAction');
 
     if (!toast || !toastMessage) {
         console.warn('Toast elements not found');
@@ -57,13 +78,23 @@ function showNotification(message, type = 'success') {
         toast.classList.add(type);
     }
 
+    if (toastAction) {
+        toastAction.classList.toggle('hidden', !action);
+        toastAction.textContent = action ? action.label : '';
+        toastAction.onclick = action ? () => {
+            hideNotification();
+            action.onClick();
+        } : null;
+    }
+
     // Show toast
     toast.classList.add('show');
 
-    // Auto-hide after 3 seconds
-    setTimeout(() => {
+    // Auto-hide after 3 seconds (longer when there is a button to press)
+    clearTimeout(notificationTimer);
+    notificationTimer = setTimeout(() => {
         hideNotification();
-    }, 3000);
+    }, action ? 6000 : 3000);
 }
 
 /**
@@ -76,6 +107,47 @@ function hideNotification() {
     }
 }
 
+/**
+ * Open a modal dialog
+ * @param {string} id - Modal element ID
+ */
+function openModal(id) {
+    const modal = document.getElementById(id);
+    if (modal) {
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+    }
+}
+
+/**
+ * Close a modal dialog
+ * @param {string} id - Modal element ID
+ */
+function closeModal(id) {
+    const modal = document.getElementById(id);
+    if (modal) {
+        modal.classList.remove('active');
+        modal.setAttribute('aria-hidden', 'true');
+    }
+}
+
+/**
+ * Close buttons and overlays of secondary modals ([data-close-modal])
+ * The ingredient form has its own handlers in ingredientForm.js
+ */
+function initModalListeners() {
+    document.querySelectorAll('[data-close-modal]').forEach(element => {
+        element.addEventListener('click', () => closeModal(element.dataset.closeModal));
+    });
+
+    // ESC key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            document.querySelectorAll('.modal.active[data-modal]').forEach(modal => closeModal(modal.id));
+        }
+    });
+}
+
 /**
  * Handle errors globally
  * @param {Error} error - Error object
@@ -111,6 +183,7 @@ function addSampleIngredients() {
             name: '鶏むね肉',
             category: '肉類',
             expirationDate: getDateString(7),
+            dateType: 'useBy',
             location: '冷蔵庫',
             notes: ''
         },
@@ -150,75 +223,19 @@ function getDateString(daysOffset = 0) {
     return date.toISOString().split('T')[0];
 }
 
-/**
- * Export ingredients as JSON
- */
-function exportIngredientsJSON() {
-    try {
-        const ingredients = loadIngredients();
-        const dataStr = JSON.stringify(ingredients, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
-
-        const url = URL.createObjectURL(dataBlob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `ingredients_${getTodayString()}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-
-        showNotification('データをエクスポートしました', 'success');
-    } catch (error) {
-        handleError(error, 'exportIngredientsJSON');
-    }
-}
-
-/**
- * Import ingredients from JSON file
- * @param {File} file - JSON file to import
- */
-function importIngredientsJSON(file) {
-    try {
-        const reader = new FileReader();
-
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-
-                if (!Array.isArray(data)) {
-                    throw new Error('Invalid data format');
-                }
-
-                // Validate and save
-                data.forEach(item => {
-                    const validation = validateIngredient(item);
-                    if (validation.valid) {
-                        const ingredient = createIngredient(item);
-                        addIngredient(ingredient);
-                    }
-                });
-
-                showNotification('データをインポートしました', 'success');
-                refreshGanttDisplay();
-            } catch (error) {
-                handleError(error, 'importIngredientsJSON - parse');
-            }
-        };
-
-        reader.readAsText(file);
-    } catch (error) {
-        handleError(error, 'importIngredientsJSON');
-    }
-}
-
 /**
  * Clear all data with confirmation
  */
 function clearAllData() {
-    const confirmed = confirm('すべてのデータを削除してもよろしいですか？この操作は取り消せません。');
+    if (!canManageHousehold()) {
+        showNotification('すべて削除できるのはオーナーだけです', 'error');
+        return;
+    }
+
+    const confirmed = confirm('すべてのデータを削除してもよろしいですか？削除する前の内容はバックアップから復元できます。');
 
     if (confirmed) {
+        createBackup('beforeClear');
         const success = clearAllIngredients();
 
         if (success) {
@@ -271,7 +288,9 @@ function logStats() {
     Object.entries(stats.byCategory).forEach(([category, count]) => {
         console.log(`  ${category}: ${count}`);
     });
-    console.log(`\nストレージ使用量: ${storageInfo.sizeKB} KB`);
+    console.log(`\n保存先: ${storageInfo.backend}`);
+    console.log(`世帯: ${storageInfo.household ? storageInfo.household.name : '-'}`);
+    console.log(`ストレージ使用量: ${storageInfo.sizeKB} KB`);
     console.log('===========================');
 }
 
@@ -286,8 +305,10 @@ if (document.readyState === 'loading') {
 // Expose utility functions to window for console access
 window.addSampleIngredients = addSampleIngredients;
 window.exportIngredientsJSON = exportIngredientsJSON;
+window.importIngredientsJSON = importIngredientsJSON;
 window.clearAllData = clearAllData;
 window.logStats = logStats;
+window.setStorageBackend = setStorageBackend;
 
 // Register Service Worker for PWA
 if ('serviceWorker' in navigator) {
@@ -301,5 +322,7 @@ console.log('%cFreshly', 'font-size: 20px; font-weight: bold; color: #FF6B6B;');
 console.log('便利なコマンド:');
 console.log('  addSampleIngredients() - サンプルデータを追加');
 console.log('  exportIngredientsJSON() - データをJSON形式でエクスポート');
+console.log('  importIngredientsJSON(file) - JSONファイルを確認してから取り込む');
 console.log('  clearAllData() - すべてのデータを削除');
 console.log('  logStats() - 統計情報を表示');
+console.log("  setStorageBackend('local' | 'firestore') - 保存先を切り替え");
@@ -0,0 +1,240 @@
+// auth.js - Firebase Authentication (anonymous sign-in, upgraded with an email link)
+
+const EMAIL_FOR_SIGN_IN_KEY = 'freshly.emailForSignIn';
+
+// Must match emulators.auth.port in firebase.json
+const AUTH_EMULATOR_URL = 'http://localhost:9099';
+
+let currentUser = null;
+
+/**
+ * Sign the user in before any household data is read.
+ * Everyone starts as an anonymous user; linking an email later keeps the
+ * same uid, so households and roles carry over to other devices.
+ * Not used by the local backend.
+ * @returns {Promise<Object|null>} Firebase user, or null without Firebase
+ */
+async function initializeAuth() {
+    if (!getStorageAdapter().supportsSharing) {
+        renderAccountButton();
+        return null;
+    }
+
+    const auth = firebase.auth();
+
+    if (isFirestoreEmulatorRequested()) {
+        auth.useEmulator(AUTH_EMULATOR_URL);
+    }
+
+    auth.onAuthStateChanged(user => {
+        currentUser = user;
+        renderAccountButton();
+    });
+
+    currentUser = await waitForAuthState(auth);
+
+    try {
+        if (auth.isSignInWithEmailLink(window.location.href)) {
+            await completeEmailLinkSignIn(auth);
+        } else if (!currentUser) {
+            const credential = await auth.signInAnonymously();
+            currentUser = credential.user;
+        }
+    } catch (error) {
+        console.error('Sign-in failed:', error);
+        showNotification('サインインできませんでした。ネットワークを確認してください。', 'error');
+    }
+
+    const button = document.getElementById('accountBtn');
+    if (button) {
+        button.addEventListener('click', handleAccountButtonClick);
+    }
+
+    renderAccountButton();
+    return currentUser;
+}
+
+/**
+ * Get the signed-in user
+ * @returns {Object|null} Firebase user
+ */
+function getCurrentUser() {
+    return currentUser;
+}
+
+/**
+ * Resolve with the restored user (or null) once Firebase has checked
+ * its persisted session
+ * @param {Object} auth - Firebase Auth instance
+ * @returns {Promise<Object|null>}
+ */
+function waitForAuthState(auth) {
+    return new Promise(resolve => {
+        const unsubscribe = auth.onAuthStateChanged(user => {
+            unsubscribe();
+            resolve(user);
+        });
+    });
+}
+
+/**
+ * Email a sign-in link to the user
+ * @param {string} email - Email address
+ * @returns {Promise<void>}
+ */
+async function sendSignInLink(email) {
+    const actionCodeSettings = {
+        // Come back to this page (without query parameters)
+        url: window.location.origin + window.location.pathname,
+        handleCodeInApp: true
+    };
+
+    await firebase.auth().sendSignInLinkToEmail(email, actionCodeSettings);
+    localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+}
+
+/**
+ * Finish sign-in when the app is opened from the emailed link.
+ * An anonymous user is upgraded in place; otherwise we sign in normally.
+ * @param {Object} auth - Firebase Auth instance
+ * @returns {Promise<void>}
+ */
+async function completeEmailLinkSignIn(auth) {
+    let email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY);
+
+    // Link opened on a different device
+    if (!email) {
+        email = prompt('確認のため、メールアドレスを入力してください', '');
+        if (!email) {
+            return;
+        }
+    }
+
+    const link = window.location.href;
+    const credential = firebase.auth.EmailAuthProvider.credentialWithLink(email, link);
+
+    try {
+        if (currentUser && currentUser.isAnonymous) {
+            const result = await currentUser.linkWithCredential(credential);
+            currentUser = result.user;
+        } else {
+            const result = await auth.signInWithEmailLink(email, link);
+            currentUser = result.user;
+        }
+    } catch (error) {
+        if (error.code !== 'auth/credential-already-in-use' &&
+            error.code !== 'auth/email-already-in-use') {
+            throw error;
+        }
+
+        // The email already has an account: switch to it
+        currentUser = await switchToExistingAccount(auth, email, link);
+    }
+
+    localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+
+    // Drop the one-time sign-in parameters from the address bar
+    window.history.replaceState(null, '', window.location.pathname);
+    showNotification(`${email} でサインインしました`, 'success');
+}
+
+/**
+ * Sign in to the account an email already belongs to, taking the guest's
+ * households along. They are moved before switching, since nobody can sign
+ * in as the guest again afterwards; households the guest does not own stay
+ * behind and are reported by syncHouseholdsWithAccount.
+ * @param {Object} auth - Firebase Auth instance
+ * @param {string} email - Email address
+ * @param {string} link - Sign-in link
+ * @returns {Promise<Object>} The account's user
+ */
+async function switchToExistingAccount(auth, email, link) {
+    const guest = currentUser;
+
+    // Signed in on the side, so the guest can still hand its households over
+    const accountApp = firebase.initializeApp(firebaseConfig, 'existing-account');
+
+    try {
+        if (isFirestoreEmulatorRequested()) {
+            accountApp.auth().useEmulator(AUTH_EMULATOR_URL);
+            accountApp.firestore().useEmulator('localhost', FIRESTORE_EMULATOR_PORT);
+        }
+
+        const { user } = await accountApp.auth().signInWithEmailLink(email, link);
+        const owned = guest ? loadKnownHouseholds().filter(household => household.role === 'owner') : [];
+
+        for (const household of owned) {
+            try {
+                await moveHouseholdInFirestore(household, guest.uid, { uid: user.uid, displayName: email }, accountApp.firestore());
+            } catch (error) {
+                console.warn('Could not move household to the account:', household.id, error);
+            }
+        }
+
+        await auth.updateCurrentUser(user);
+        return auth.currentUser;
+    } finally {
+        await accountApp.delete();
+    }
+}
+
+/**
+ * Sign out and restart the app (a fresh anonymous session is created)
+ * @returns {Promise<void>}
+ */
+async function signOutUser() {
+    await firebase.auth().signOut();
+    window.location.reload();
+}
+
+/**
+ * Handle the account button in the header
+ */
+async function handleAccountButtonClick() {
+    if (!currentUser) {
+        return;
+    }
+
+    if (currentUser.isAnonymous) {
+        const email = prompt(
+            'メールアドレスを登録すると、他の端末からも同じ世帯にアクセスできます。\nサインイン用のリンクを送信します。',
+            ''
+        );
+        if (!email || !email.trim()) {
+            return;
+        }
+
+        try {
+            await sendSignInLink(email.trim());
+            showNotification('サインイン用のリンクを送信しました。メールを確認してください。', 'success');
+        } catch (error) {
+            console.error('Failed to send sign-in link:', error);
+            showNotification('リンクを送信できませんでした', 'error');
+        }
+        return;
+    }
+
+    if (confirm(`${currentUser.email} でサインイン中です。サインアウトしますか？`)) {
+        signOutUser();
+    }
+}
+
+/**
+ * Update the account button in the header
+ */
+function renderAccountButton() {
+    const button = document.getElementById('accountBtn');
+    if (!button) {
+        return;
+    }
+
+    const signedIn = !!currentUser;
+    button.classList.toggle('hidden', !signedIn);
+    button.classList.toggle('anonymous', signedIn && currentUser.isAnonymous);
+
+    if (signedIn) {
+        button.title = currentUser.isAnonymous ?
+            'ゲスト（メールアドレスを登録）' :
+            `${currentUser.email}（サインアウト）`;
+    }
+}
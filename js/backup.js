@@ -0,0 +1,457 @@
+// backup.js - Daily snapshots of the household's items and restoring from them
+
+const DEFAULT_BACKUP_KEEP_DAYS = 14;
+const MAX_BACKUP_KEEP_DAYS = 90;
+
+// Snapshots taken before large changes come on top of the daily ones; keep their number bounded
+const MAX_BACKUPS_PER_HOUSEHOLD = 100;
+
+const BACKUP_REASONS = {
+    daily: '毎日の自動',
+    manual: '手動',
+    beforeClear: 'すべて削除の前',
+    beforeImport: '取り込みの前',
+    beforeRestore: '復元の前'
+};
+
+// Fields compared between a snapshot and the current items
+const BACKUP_FIELD_LABELS = {
+    ...CONFLICT_FIELD_LABELS,
+    barcode: 'バーコード'
+};
+
+const BACKUP_DIFF_LABELS = {
+    removed: '削除された',
+    changed: '変更された',
+    added: '追加された'
+};
+
+// Snapshots are taken after the ingredients settle, once a day
+const scheduleDailyBackup = debounce(takeDailyBackup, 2000);
+
+// Snapshots listed in the restore dialog, newest first, and the differences of the chosen one
+let restorableBackups = [];
+let backupDiffRows = [];
+
+/**
+ * Initialize the backup buttons of the settings screen and the restore dialog
+ */
+function initBackup() {
+    const backupNowBtn = document.getElementById('backupNowBtn');
+    if (backupNowBtn) {
+        backupNowBtn.addEventListener('click', backupNow);
+    }
+
+    const openBtn = document.getElementById('openBackupsBtn');
+    if (openBtn) {
+        openBtn.addEventListener('click', () => {
+            closeModal('settingsModal');
+            openBackupRestore();
+        });
+    }
+
+    const select = document.getElementById('backupSelect');
+    if (select) {
+        select.addEventListener('change', renderBackupDiff);
+    }
+
+    const selectAll = document.getElementById('backupSelectAll');
+    if (selectAll) {
+        selectAll.addEventListener('change', () => {
+            document.querySelectorAll('#backupRows .row-select').forEach(checkbox => {
+                checkbox.checked = selectAll.checked;
+            });
+            updateBackupRestoreButtons();
+        });
+    }
+
+    const restoreBtn = document.getElementById('backupRestoreBtn');
+    if (restoreBtn) {
+        restoreBtn.addEventListener('click', () => restoreFromBackup(false));
+    }
+
+    const restoreAllBtn = document.getElementById('backupRestoreAllBtn');
+    if (restoreAllBtn) {
+        restoreAllBtn.addEventListener('click', () => restoreFromBackup(true));
+    }
+}
+
+/**
+ * Whether snapshots of a household are also kept by the backend (Firestore)
+ * @param {string} householdId - Household ID
+ * @returns {boolean} Opted in and supported
+ */
+function isCloudBackupEnabled(householdId) {
+    return typeof getStorageAdapter().saveBackup === 'function' &&
+        Boolean(getSettings().backups.cloudHouseholds[householdId]);
+}
+
+/**
+ * Take the day's snapshot of the active household if there is none yet
+ * An empty list is not worth keeping (it is also what is shown before the first sync).
+ */
+async function takeDailyBackup() {
+    const householdId = getActiveHouseholdId();
+    if (loadIngredients().length === 0) {
+        return;
+    }
+
+    try {
+        const today = getTodayString();
+        const backups = await idbGetAllByIndex('backups', 'householdId', householdId);
+        if (backups.some(backup => backup.reason === 'daily' && backup.date === today)) {
+            return;
+        }
+    } catch (error) {
+        console.error('Error reading backups:', error);
+        return;
+    }
+
+    await createBackup('daily');
+}
+
+/**
+ * Take a snapshot of the active household's items
+ * The items are read before anything else, so callers can change them right after calling.
+ * @param {string} reason - Key of BACKUP_REASONS
+ * @returns {Promise<Object|null>} Backup, or null if it could not be stored on this device
+ */
+async function createBackup(reason) {
+    const householdId = getActiveHouseholdId();
+    const backup = {
+        id: generateUUID(),
+        reason,
+        date: getTodayString(),
+        createdAt: new Date().toISOString(),
+        ingredients: loadIngredients()
+    };
+
+    try {
+        await idbPut('backups', { ...backup, householdId });
+        await pruneLocalBackups(householdId);
+    } catch (error) {
+        console.error('Error saving backup:', error);
+        return null;
+    }
+
+    // Viewers may not write to the household; their snapshots stay on the device
+    if (isCloudBackupEnabled(householdId) && canEditIngredients()) {
+        saveCloudBackup(householdId, backup);
+    }
+    return backup;
+}
+
+/**
+ * Store a snapshot with the backend and drop the ones that are too old there
+ * A failure only costs the copy off the device, so it is logged and not retried.
+ * @param {string} householdId - Household ID
+ * @param {Object} backup - Backup without householdId
+ */
+async function saveCloudBackup(householdId, backup) {
+    const adapter = getStorageAdapter();
+
+    try {
+        await adapter.saveBackup(householdId, backup);
+        const expired = getExpiredBackups(await adapter.loadBackups(householdId));
+        await Promise.all(expired.map(old => adapter.deleteBackup(householdId, old.id)));
+    } catch (error) {
+        console.error('Error saving backup to the backend:', error);
+    }
+}
+
+/**
+ * Delete the snapshots of a household on this device that are no longer kept
+ * @param {string} householdId - Household ID
+ */
+async function pruneLocalBackups(householdId) {
+    const backups = await idbGetAllByIndex('backups', 'householdId', householdId);
+    await Promise.all(getExpiredBackups(backups).map(backup => idbDelete('backups', backup.id)));
+}
+
+/**
+ * Snapshots older than the configured number of days, or beyond the maximum count
+ * The newest one is always kept, however old it is.
+ * @param {Array} backups - Backups of one household
+ * @returns {Array} Backups to delete
+ */
+function getExpiredBackups(backups) {
+    const oldestDate = addDaysToDate(getTodayString(), -getSettings().backups.keepDays);
+    const newestFirst = [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return newestFirst.filter((backup, index) =>
+        index > 0 && (index >= MAX_BACKUPS_PER_HOUSEHOLD || backup.date < oldestDate));
+}
+
+/**
+ * Take a snapshot now (settings screen)
+ */
+async function backupNow() {
+    const backup = await createBackup('manual');
+
+    if (backup) {
+        showNotification(`${backup.ingredients.length}件をバックアップしました`, 'success');
+    } else {
+        showNotification('バックアップに失敗しました', 'error');
+    }
+}
+
+/**
+ * List the active household's snapshots on this device and, if enabled, with the backend
+ * A snapshot kept in both places is listed once.
+ * @returns {Promise<Array>} Backups with { local, cloud } flags, newest first
+ */
+async function listBackups() {
+    const householdId = getActiveHouseholdId();
+    const byId = new Map();
+
+    const local = await idbGetAllByIndex('backups', 'householdId', householdId);
+    local.forEach(backup => byId.set(backup.id, { ...backup, local: true, cloud: false }));
+
+    if (isCloudBackupEnabled(householdId)) {
+        try {
+            const cloud = await getStorageAdapter().loadBackups(householdId);
+            cloud.forEach(backup => {
+                const known = byId.get(backup.id);
+                byId.set(backup.id, known ? { ...known, cloud: true } : { ...backup, local: false, cloud: true });
+            });
+        } catch (error) {
+            showNotification('クラウドのバックアップを読み込めませんでした', 'warning');
+        }
+    }
+
+    return [...byId.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Open the restore dialog with the newest snapshot selected
+ */
+async function openBackupRestore() {
+    try {
+        restorableBackups = await listBackups();
+    } catch (error) {
+        console.error('Error loading backups:', error);
+        showNotification('バックアップを読み込めませんでした', 'error');
+        return;
+    }
+
+    const select = document.getElementById('backupSelect');
+    select.length = 0;
+    restorableBackups.forEach(backup => select.add(new Option(formatBackupLabel(backup), backup.id)));
+
+    select.disabled = restorableBackups.length === 0;
+    document.getElementById('backupEmpty').classList.toggle('hidden', restorableBackups.length > 0);
+    document.getElementById('backupContent').classList.toggle('hidden', restorableBackups.length === 0);
+
+    renderBackupDiff();
+    openModal('backupModal');
+}
+
+/**
+ * Describe a snapshot in the list
+ * @param {Object} backup - Backup
+ * @returns {string} e.g. 2026年10月19日 8:05・毎日の自動・24件・クラウド
+ */
+function formatBackupLabel(backup) {
+    const createdAt = new Date(backup.createdAt);
+    const time = `${createdAt.getHours()}:${String(createdAt.getMinutes()).padStart(2, '0')}`;
+    const parts = [
+        `${formatDateFullJP(backup.createdAt)} ${time}`,
+        BACKUP_REASONS[backup.reason] || backup.reason,
+        `${backup.ingredients.length}件`
+    ];
+
+    if (backup.cloud) {
+        parts.push(backup.local ? 'この端末とクラウド' : 'クラウド');
+    }
+    return parts.join('・');
+}
+
+/**
+ * Compare a snapshot with the current items
+ * @param {Array} saved - Items in the snapshot
+ * @param {Array} current - Items now
+ * @returns {Array} Rows { kind: 'removed'|'changed'|'added', id, name, saved, current, fields },
+ *   in the order of the snapshot, then the items added since
+ */
+function diffBackup(saved, current) {
+    const currentById = new Map(current.map(ingredient => [ingredient.id, ingredient]));
+    const savedIds = new Set(saved.map(ingredient => ingredient.id));
+    const rows = [];
+
+    saved.forEach(ingredient => {
+        const now = currentById.get(ingredient.id);
+        if (!now) {
+            rows.push({ kind: 'removed', id: ingredient.id, name: ingredient.name, saved: ingredient, current: null, fields: [] });
+            return;
+        }
+
+        const fields = Object.keys(BACKUP_FIELD_LABELS).filter(key => !isSameBackupValue(ingredient[key], now[key]));
+        if (fields.length > 0) {
+            rows.push({ kind: 'changed', id: ingredient.id, name: ingredient.name, saved: ingredient, current: now, fields });
+        }
+    });
+
+    current.filter(ingredient => !savedIds.has(ingredient.id)).forEach(ingredient => {
+        rows.push({ kind: 'added', id: ingredient.id, name: ingredient.name, saved: null, current: ingredient, fields: [] });
+    });
+
+    return rows;
+}
+
+/**
+ * Compare two field values, treating missing and empty as the same
+ * @param {*} a - Value in the snapshot
+ * @param {*} b - Value now
+ * @returns {boolean} Same
+ */
+function isSameBackupValue(a, b) {
+    const isEmpty = value => value === undefined || value === null || value === '';
+    return isEmpty(a) ? isEmpty(b) : a === b;
+}
+
+/**
+ * Show the differences between the selected snapshot and the current items
+ */
+function renderBackupDiff() {
+    const backup = getSelectedBackup();
+    const tbody = document.getElementById('backupRows');
+    tbody.innerHTML = '';
+
+    backupDiffRows = backup ? diffBackup(backup.ingredients.map(migrateIngredient), loadIngredients()) : [];
+
+    const unchanged = backup ? backup.ingredients.length - backupDiffRows.filter(row => row.kind !== 'added').length : 0;
+    document.getElementById('backupSummary').textContent = backupDiffRows.length === 0
+        ? '今のアイテムと同じ内容です'
+        : `今のアイテムとの違い: ${backupDiffRows.length}件（同じ内容 ${unchanged}件）`;
+
+    backupDiffRows.forEach((diff, index) => {
+        const row = document.createElement('tr');
+        row.className = `backup-row backup-${diff.kind}`;
+
+        const checkCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'row-select';
+        checkbox.dataset.index = String(index);
+        checkbox.setAttribute('aria-label', `「${diff.name}」を復元`);
+        checkbox.addEventListener('change', updateBackupRestoreButtons);
+        checkCell.appendChild(checkbox);
+        row.appendChild(checkCell);
+
+        const status = document.createElement('td');
+        status.textContent = BACKUP_DIFF_LABELS[diff.kind];
+        row.appendChild(status);
+
+        const name = document.createElement('td');
+        name.textContent = diff.name;
+        row.appendChild(name);
+
+        row.appendChild(createBackupDiffDetail(diff));
+        tbody.appendChild(row);
+    });
+
+    document.getElementById('backupSelectAll').checked = false;
+    updateBackupRestoreButtons();
+}
+
+/**
+ * Describe what restoring a row does
+ * @param {Object} diff - Row from diffBackup
+ * @returns {HTMLElement} Table cell
+ */
+function createBackupDiffDetail(diff) {
+    const cell = document.createElement('td');
+    cell.className = 'backup-detail';
+
+    if (diff.kind === 'removed') {
+        cell.textContent = `復元すると追加されます（期限 ${formatDateFullJP(diff.saved.expirationDate)}）`;
+        return cell;
+    }
+    if (diff.kind === 'added') {
+        cell.textContent = '復元すると削除されます';
+        return cell;
+    }
+
+    diff.fields.forEach(key => {
+        const line = document.createElement('div');
+        line.textContent = `${BACKUP_FIELD_LABELS[key]}: ${formatConflictValue(key, diff.current[key])} → ${formatConflictValue(key, diff.saved[key])}`;
+        cell.appendChild(line);
+    });
+    return cell;
+}
+
+/**
+ * The snapshot chosen in the dialog
+ * @returns {Object|null} Backup
+ */
+function getSelectedBackup() {
+    const id = document.getElementById('backupSelect').value;
+    return restorableBackups.find(backup => backup.id === id) || null;
+}
+
+/**
+ * Enable the restore buttons when there is something to restore
+ */
+function updateBackupRestoreButtons() {
+    const canEdit = canEditIngredients();
+    const checked = document.querySelectorAll('#backupRows .row-select:checked').length;
+
+    document.getElementById('backupRestoreBtn').disabled = !canEdit || checked === 0;
+    document.getElementById('backupRestoreAllBtn').disabled = !canEdit || backupDiffRows.length === 0;
+}
+
+/**
+ * Bring back the checked rows, or every difference, as they were in the snapshot
+ * Restoring is one change that 元に戻す reverses; a snapshot of the current items
+ * is taken first in case the page is closed before that.
+ * @param {boolean} all - Restore everything (the items become exactly the snapshot)
+ */
+function restoreFromBackup(all) {
+    if (!canEditIngredients()) {
+        return;
+    }
+
+    const rows = all
+        ? backupDiffRows
+        : [...document.querySelectorAll('#backupRows .row-select:checked')].map(checkbox => backupDiffRows[Number(checkbox.dataset.index)]);
+    if (rows.length === 0) {
+        return;
+    }
+
+    if (all && !confirm('この時点の内容にすべて戻しますか？ その後に追加したアイテムは削除されます')) {
+        return;
+    }
+
+    createBackup('beforeRestore');
+    applyBatch(buildRestoreOperations(rows), 'バックアップから復元');
+    closeModal('backupModal');
+    showUndoNotification(`${rows.length}件を復元しました`);
+}
+
+/**
+ * Turn differences into batch operations that undo them
+ * Items changed since the snapshot get its values back; fields it did not have are cleared.
+ * Rows that no longer apply (the item was added back or deleted on another device
+ * while the dialog was open) are left out.
+ * @param {Array} rows - Rows from diffBackup
+ * @returns {Array} Batch operations
+ */
+function buildRestoreOperations(rows) {
+    const updatedAt = new Date().toISOString();
+
+    return rows.filter(row => (row.kind === 'removed') !== Boolean(getIngredientById(row.id))).map(row => {
+        switch (row.kind) {
+            case 'removed':
+                return { type: 'add', id: row.id, ingredient: { ...row.saved, updatedAt } };
+            case 'added':
+                return { type: 'delete', id: row.id };
+            default: {
+                const updates = { updatedAt };
+                row.fields.forEach(key => {
+                    updates[key] = row.saved[key] === undefined ? null : row.saved[key];
+                });
+                return { type: 'update', id: row.id, updates };
+            }
+        }
+    });
+}
@@ -0,0 +1,303 @@
+// barDrag.js - Change purchase and expiration dates by dragging the ends of timeline bars
+
+// Days moved by PageUp / PageDown and Shift + arrow keys
+const BAR_KEYBOARD_LARGE_STEP = 7;
+
+// Which date each end of a bar changes
+const BAR_HANDLE_FIELDS = {
+    start: 'purchaseDate',
+    end: 'expirationDate'
+};
+
+// The bar end being moved:
+// { ingredient, edge, field, original, value, bar, handle, tooltip, range, keyboard, startX, pixelsPerDay }
+let barDrag = null;
+
+// A redraw of the chart was asked for during the drag (see deferGanttRefreshDuringBarDrag)
+let barDragRefreshPending = false;
+
+/**
+ * Add drag handles to the ends of a bar
+ * An end cut off by the visible window gets none; its date is not where the bar ends.
+ * @param {HTMLElement} bar - Timeline bar
+ * @param {Object} ingredient - Ingredient shown by the bar
+ * @param {Object} position - Result of calculateBarPosition
+ * @param {Object} range - { start, days } visible window
+ */
+function addBarHandles(bar, ingredient, position, range) {
+    if (!position.clippedStart) {
+        bar.appendChild(createBarHandle(bar, ingredient, 'start', range));
+    }
+    if (!position.clippedEnd) {
+        bar.appendChild(createBarHandle(bar, ingredient, 'end', range));
+    }
+}
+
+/**
+ * Create the handle of one end of a bar
+ * It is a slider for keyboards and screen readers: the arrow keys move the date by a day,
+ * Enter saves and Escape cancels.
+ * @param {HTMLElement} bar - Timeline bar
+ * @param {Object} ingredient - Ingredient shown by the bar
+ * @param {string} edge - 'start' (purchase date) or 'end' (expiration date)
+ * @param {Object} range - { start, days } visible window
+ * @returns {HTMLElement} Handle
+ */
+function createBarHandle(bar, ingredient, edge, range) {
+    const handle = document.createElement('span');
+    handle.className = `bar-handle bar-handle-${edge}`;
+    handle.dataset.edge = edge;
+    handle.tabIndex = 0;
+    handle.setAttribute('role', 'slider');
+    handle.setAttribute('aria-label', `「${ingredient.name}」の${getBarHandleLabel(ingredient, edge)}`);
+    updateBarHandleValue(handle, getBarHandleDate(ingredient, edge));
+
+    handle.addEventListener('pointerdown', (e) => startBarPointerDrag(e, bar, handle, ingredient, edge, range));
+    handle.addEventListener('keydown', (e) => handleBarHandleKey(e, bar, handle, ingredient, edge, range));
+    handle.addEventListener('blur', () => {
+        // Not when the handle is removed by a redraw of the chart
+        if (barDrag && barDrag.handle === handle && barDrag.keyboard && handle.isConnected) {
+            finishBarDrag(true);
+        }
+    });
+    handle.addEventListener('click', (e) => e.stopPropagation());
+    return handle;
+}
+
+/**
+ * Name of the date an end of a bar changes
+ * @param {Object} ingredient - Ingredient
+ * @param {string} edge - 'start' or 'end'
+ * @returns {string} 購入日, 賞味期限 or 消費期限
+ */
+function getBarHandleLabel(ingredient, edge) {
+    return edge === 'start' ? '購入日' : getDateTypeLabel(ingredient);
+}
+
+/**
+ * Current date of an end of a bar
+ * @param {Object} ingredient - Ingredient
+ * @param {string} edge - 'start' or 'end'
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getBarHandleDate(ingredient, edge) {
+    return edge === 'start' ? (ingredient.purchaseDate || getTodayString()) : ingredient.expirationDate;
+}
+
+/**
+ * Tell assistive technology the date a handle points at
+ * @param {HTMLElement} handle - Handle
+ * @param {string} date - Date (YYYY-MM-DD)
+ */
+function updateBarHandleValue(handle, date) {
+    handle.setAttribute('aria-valuenow', String(calculateDaysRemaining(date)));
+    handle.setAttribute('aria-valuetext', formatDateFullJP(date));
+}
+
+/**
+ * Start moving an end of a bar
+ * @param {Object} options - { bar, handle, ingredient, edge, range, keyboard }
+ */
+function beginBarDrag({ bar, handle, ingredient, edge, range, keyboard }) {
+    if (barDrag) {
+        finishBarDrag(false);
+    }
+
+    const tooltip = document.createElement('div');
+    tooltip.className = 'bar-drag-tooltip';
+    tooltip.setAttribute('aria-hidden', 'true');
+    bar.parentElement.appendChild(tooltip);
+    bar.classList.add('dragging');
+
+    const original = getBarHandleDate(ingredient, edge);
+    barDrag = { ingredient, edge, field: BAR_HANDLE_FIELDS[edge], original, value: original, bar, handle, tooltip, range, keyboard };
+    moveBarDrag(0);
+}
+
+/**
+ * Preview the bar with its end moved
+ * A purchase date cannot pass the expiration date, nor the other way round.
+ * @param {number} days - Days from the original date
+ */
+function moveBarDrag(days) {
+    const { ingredient, edge, field, original, bar, handle, tooltip, range } = barDrag;
+
+    let value = addDaysToDate(original, days);
+    if (edge === 'end' && ingredient.purchaseDate && value < ingredient.purchaseDate) {
+        value = ingredient.purchaseDate;
+    }
+    if (edge === 'start' && value > ingredient.expirationDate) {
+        value = ingredient.expirationDate;
+    }
+    barDrag.value = value;
+
+    const position = calculateBarPosition({ ...ingredient, [field]: value }, range);
+    bar.style.left = `${position.left}%`;
+    bar.style.width = `${position.width}%`;
+    updateBarHandleValue(handle, value);
+
+    const moved = getDaysBetween(original, value);
+    const change = moved === 0 ? '' : `（${moved > 0 ? '+' : ''}${moved}日）`;
+    tooltip.textContent = `${getBarHandleLabel(ingredient, edge)} ${formatDateJP(value)}${change}`;
+    tooltip.style.left = `${edge === 'start' ? position.left : position.left + position.width}%`;
+}
+
+/**
+ * Stop moving an end of a bar, saving the new date or putting the bar back
+ * @param {boolean} save - Save the date (false: cancel)
+ */
+function finishBarDrag(save) {
+    const { ingredient, edge, field, original, value, bar, handle, tooltip, range } = barDrag;
+    barDrag = null;
+
+    tooltip.remove();
+    bar.classList.remove('dragging');
+
+    if (save && value !== original) {
+        // Redraws the chart, including what was put off during the drag
+        barDragRefreshPending = false;
+        updateIngredient(ingredient.id, { [field]: value }, ingredient);
+        showUndoNotification(`「${ingredient.name}」の${getBarHandleLabel(ingredient, edge)}を${formatDateJP(value)}にしました`);
+        return;
+    }
+
+    if (barDragRefreshPending) {
+        barDragRefreshPending = false;
+        refreshGanttDisplay();
+        return;
+    }
+
+    const position = calculateBarPosition(ingredient, range);
+    bar.style.left = `${position.left}%`;
+    bar.style.width = `${position.width}%`;
+    updateBarHandleValue(handle, original);
+}
+
+/**
+ * Put off redrawing the chart while a bar end is being moved: the redraw would
+ * remove the bar from under the pointer. It is done when the drag ends.
+ * @returns {boolean} True when the redraw was put off
+ */
+function deferGanttRefreshDuringBarDrag() {
+    if (!barDrag) {
+        return false;
+    }
+    barDragRefreshPending = true;
+    return true;
+}
+
+/**
+ * The handle that has the keyboard focus, to focus it again after the chart is redrawn
+ * @returns {Object|null} { id, edge } or null
+ */
+function getFocusedBarHandle() {
+    const handle = document.activeElement;
+    if (!handle || !handle.classList || !handle.classList.contains('bar-handle')) {
+        return null;
+    }
+    const row = handle.closest('.ingredient-row');
+    return row ? { id: row.dataset.id, edge: handle.dataset.edge } : null;
+}
+
+/**
+ * Focus a handle after the chart was redrawn
+ * @param {string} id - Ingredient ID
+ * @param {string} edge - 'start' or 'end'
+ */
+function focusBarHandle(id, edge) {
+    const row = [...document.querySelectorAll('#ganttBody .ingredient-row')].find(r => r.dataset.id === id);
+    const handle = row && row.querySelector(`.bar-handle[data-edge="${edge}"]`);
+    if (handle) {
+        handle.focus();
+    }
+}
+
+/**
+ * Drag an end of a bar with the mouse, a pen or a finger; dates snap to whole days
+ * @param {PointerEvent} e - Pointer down event
+ * @param {HTMLElement} bar - Timeline bar
+ * @param {HTMLElement} handle - Handle
+ * @param {Object} ingredient - Ingredient
+ * @param {string} edge - 'start' or 'end'
+ * @param {Object} range - { start, days } visible window
+ */
+function startBarPointerDrag(e, bar, handle, ingredient, edge, range) {
+    if (e.button !== 0 || !canEditIngredients()) {
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+
+    beginBarDrag({ bar, handle, ingredient, edge, range, keyboard: false });
+    barDrag.startX = e.clientX;
+    barDrag.pixelsPerDay = bar.parentElement.clientWidth / range.days;
+
+    if (handle.setPointerCapture) {
+        handle.setPointerCapture(e.pointerId);
+    }
+
+    const onMove = (moveEvent) => {
+        if (barDrag && barDrag.handle === handle && barDrag.pixelsPerDay > 0) {
+            moveBarDrag(Math.round((moveEvent.clientX - barDrag.startX) / barDrag.pixelsPerDay));
+        }
+    };
+    const onEnd = (endEvent) => {
+        handle.removeEventListener('pointermove', onMove);
+        handle.removeEventListener('pointerup', onEnd);
+        handle.removeEventListener('pointercancel', onEnd);
+        handle.removeEventListener('lostpointercapture', onEnd);
+
+        if (barDrag && barDrag.handle === handle) {
+            finishBarDrag(endEvent.type === 'pointerup');
+        }
+    };
+
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onEnd);
+    handle.addEventListener('pointercancel', onEnd);
+    // Capture is lost without a pointerup when the handle leaves the page
+    handle.addEventListener('lostpointercapture', onEnd);
+}
+
+/**
+ * Move an end of a bar with the keyboard
+ * ← → (and ↓ ↑) move a day, Shift + arrows and PageUp / PageDown a week,
+ * Enter saves, Escape cancels; leaving the handle also saves.
+ * @param {KeyboardEvent} e - Key down event
+ * @param {HTMLElement} bar - Timeline bar
+ * @param {HTMLElement} handle - Handle
+ * @param {Object} ingredient - Ingredient
+ * @param {string} edge - 'start' or 'end'
+ * @param {Object} range - { start, days } visible window
+ */
+function handleBarHandleKey(e, bar, handle, ingredient, edge, range) {
+    const active = barDrag && barDrag.handle === handle;
+    const large = e.shiftKey ? BAR_KEYBOARD_LARGE_STEP : 1;
+    const steps = {
+        ArrowLeft: -large,
+        ArrowDown: -large,
+        ArrowRight: large,
+        ArrowUp: large,
+        PageDown: -BAR_KEYBOARD_LARGE_STEP,
+        PageUp: BAR_KEYBOARD_LARGE_STEP
+    };
+
+    if (e.key in steps) {
+        e.preventDefault();
+        if (!canEditIngredients()) {
+            return;
+        }
+        if (!active) {
+            beginBarDrag({ bar, handle, ingredient, edge, range, keyboard: true });
+        }
+        moveBarDrag(getDaysBetween(barDrag.original, barDrag.value) + steps[e.key]);
+    } else if (active && e.key === 'Enter') {
+        e.preventDefault();
+        finishBarDrag(true);
+    } else if (active && e.key === 'Escape') {
+        // Cancels the date only, not the selection (selection.js)
+        e.preventDefault();
+        e.stopPropagation();
+        finishBarDrag(false);
+    }
+}
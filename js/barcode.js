@@ -0,0 +1,220 @@
+// barcode.js - JAN/EAN-13 and EAN-8 decoding from camera frames (fallback when BarcodeDetector is missing)
+
+// Bar widths (in modules) of the L-code digits; R-codes use the same widths,
+// G-codes the reversed widths
+const EAN_DIGIT_WIDTHS = [
+    [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+    [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+
+// EAN-13: the L/G pattern of the left half encodes the first digit
+const EAN_FIRST_DIGIT_PARITY = [
+    'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+    'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'
+];
+
+// Digits whose widths differ more than this from every pattern are rejected
+const EAN_MAX_DIGIT_ERROR = 1.8;
+
+// Rows sampled across the frame; several must agree before a code is accepted
+const EAN_SCAN_ROWS = 15;
+const EAN_MIN_AGREEING_ROWS = 2;
+
+/**
+ * Decode an EAN-13 / EAN-8 barcode from an image
+ * @param {ImageData} imageData - Frame from a canvas (RGBA)
+ * @returns {string|null} Digits of the code, or null if none was found
+ */
+function decodeEanFromImageData(imageData) {
+    const { width, height, data } = imageData;
+    const votes = {};
+
+    for (let i = 1; i <= EAN_SCAN_ROWS; i++) {
+        const y = Math.floor(height * i / (EAN_SCAN_ROWS + 1));
+        const row = new Array(width);
+
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            row[x] = data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114;
+        }
+
+        // Try both directions so upside-down labels are read too
+        const code = decodeEanRow(row) || decodeEanRow(row.reverse());
+        if (code) {
+            votes[code] = (votes[code] || 0) + 1;
+        }
+    }
+
+    const best = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+    return best && best[1] >= EAN_MIN_AGREEING_ROWS ? best[0] : null;
+}
+
+/**
+ * Decode one scanline
+ * @param {Array<number>} luminance - Brightness per pixel, left to right
+ * @returns {string|null} Digits, or null
+ */
+function decodeEanRow(luminance) {
+    const runs = getBarRuns(luminance);
+
+    // runs[i] starts with a bar when i is even
+    for (let start = 0; start < runs.length; start += 2) {
+        const code = decodeEanAt(runs, start, 6) || decodeEanAt(runs, start, 4);
+        if (code) {
+            return code;
+        }
+    }
+    return null;
+}
+
+/**
+ * Turn a scanline into alternating bar/space widths, starting with the first bar
+ * @param {Array<number>} luminance - Brightness per pixel
+ * @returns {Array<number>} Run widths in pixels
+ */
+function getBarRuns(luminance) {
+    let min = Infinity;
+    let max = -Infinity;
+    luminance.forEach(value => {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    });
+
+    // A flat row (no contrast) cannot hold a barcode
+    if (max - min < 40) {
+        return [];
+    }
+
+    const threshold = (min + max) / 2;
+    const runs = [];
+    let dark = true;
+    let width = 0;
+    let started = false;
+
+    luminance.forEach(value => {
+        const isDark = value < threshold;
+        if (!started) {
+            if (!isDark) {
+                return;
+            }
+            started = true;
+        }
+
+        if (isDark === dark) {
+            width++;
+        } else {
+            runs.push(width);
+            dark = isDark;
+            width = 1;
+        }
+    });
+
+    if (started) {
+        runs.push(width);
+    }
+    return runs;
+}
+
+/**
+ * Try to read a symbol whose start guard begins at runs[start]
+ * @param {Array<number>} runs - Bar/space widths
+ * @param {number} start - Index of the first guard bar
+ * @param {number} half - Digits per half: 6 for EAN-13, 4 for EAN-8
+ * @returns {string|null} Digits, or null
+ */
+function decodeEanAt(runs, start, half) {
+    // guard (3) + digits + middle guard (5) + digits + guard (3)
+    const runCount = 3 + half * 4 + 5 + half * 4 + 3;
+    if (start + runCount > runs.length) {
+        return null;
+    }
+
+    const symbol = runs.slice(start, start + runCount);
+    const module = symbol.reduce((sum, w) => sum + w, 0) / (half * 14 + 11);
+
+    // Guards are single-module bars and spaces
+    const guards = [0, 1, 2, 3 + half * 4, 4 + half * 4, 5 + half * 4, 6 + half * 4, 7 + half * 4, runCount - 3, runCount - 2, runCount - 1];
+    if (guards.some(i => symbol[i] > module * 2 || symbol[i] < module * 0.4)) {
+        return null;
+    }
+
+    const left = [];
+    let parity = '';
+    for (let i = 0; i < half; i++) {
+        const match = matchEanDigit(symbol.slice(3 + i * 4, 7 + i * 4), true);
+        if (!match) {
+            return null;
+        }
+        left.push(match.digit);
+        parity += match.parity;
+    }
+
+    const right = [];
+    const rightStart = 8 + half * 4;
+    for (let i = 0; i < half; i++) {
+        const match = matchEanDigit(symbol.slice(rightStart + i * 4, rightStart + 4 + i * 4), false);
+        if (!match) {
+            return null;
+        }
+        right.push(match.digit);
+    }
+
+    let digits;
+    if (half === 6) {
+        const first = EAN_FIRST_DIGIT_PARITY.indexOf(parity);
+        if (first === -1) {
+            return null;
+        }
+        digits = [first, ...left, ...right].join('');
+    } else {
+        if (parity !== 'LLLL') {
+            return null;
+        }
+        digits = [...left, ...right].join('');
+    }
+
+    return isValidEanCode(digits) ? digits : null;
+}
+
+/**
+ * Find the digit whose pattern best matches four run widths
+ * @param {Array<number>} widths - Four run widths in pixels
+ * @param {boolean} allowEven - Left half: G-codes (reversed widths) are possible
+ * @returns {Object|null} { digit, parity: 'L'|'G' }, or null if nothing is close enough
+ */
+function matchEanDigit(widths, allowEven) {
+    const total = widths.reduce((sum, w) => sum + w, 0);
+    const modules = widths.map(w => w * 7 / total);
+
+    let best = null;
+    EAN_DIGIT_WIDTHS.forEach((pattern, digit) => {
+        const candidates = allowEven ? [['L', pattern], ['G', [...pattern].reverse()]] : [['L', pattern]];
+
+        candidates.forEach(([parity, expected]) => {
+            const error = modules.reduce((sum, m, i) => sum + Math.abs(m - expected[i]), 0);
+            if (!best || error < best.error) {
+                best = { digit, parity, error };
+            }
+        });
+    });
+
+    return best && best.error <= EAN_MAX_DIGIT_ERROR ? best : null;
+}
+
+/**
+ * Check the length and check digit of a JAN/EAN code
+ * @param {string} code - Digits
+ * @returns {boolean} Valid EAN-13 or EAN-8
+ */
+function isValidEanCode(code) {
+    if (!/^(\d{8}|\d{13})$/.test(code)) {
+        return false;
+    }
+
+    const digits = code.split('').map(Number);
+    const check = digits.pop();
+
+    // Weights 3,1,3,1... counted from the digit next to the check digit
+    const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - sum % 10) % 10 === check;
+}
@@ -0,0 +1,354 @@
+// batchEntry.js - Batch entry grid in the add form (many items, one save)
+
+// Rows shown when the grid opens
+const BATCH_INITIAL_ROWS = 3;
+
+/**
+ * Initialize the batch grid buttons and keyboard handling
+ */
+function initBatchEntry() {
+    const modeBtn = document.getElementById('batchModeBtn');
+    if (modeBtn) {
+        modeBtn.addEventListener('click', () => setBatchMode(!isBatchMode()));
+    }
+
+    const addRowBtn = document.getElementById('batchAddRowBtn');
+    if (addRowBtn) {
+        addRowBtn.addEventListener('click', () => focusBatchRow(addBatchRow()));
+    }
+
+    const cancelBtn = document.getElementById('batchCancelBtn');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', closeForm);
+    }
+
+    const saveBtn = document.getElementById('batchSaveBtn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', saveBatchRows);
+    }
+
+    const purchaseDate = document.getElementById('batchPurchaseDate');
+    if (purchaseDate) {
+        purchaseDate.addEventListener('change', () => {
+            getBatchRowElements().forEach(updateBatchRowExpiry);
+        });
+    }
+
+    const tbody = document.getElementById('batchRows');
+    if (tbody) {
+        tbody.addEventListener('keydown', handleBatchKeydown);
+    }
+}
+
+/**
+ * Whether the add form shows the batch grid
+ * @returns {boolean} Batch mode
+ */
+function isBatchMode() {
+    return !document.getElementById('batchEntry').classList.contains('hidden');
+}
+
+/**
+ * Switch the add form between one item and the batch grid
+ * @param {boolean} enabled - Show the grid
+ */
+function setBatchMode(enabled) {
+    const modal = document.getElementById('ingredientModal');
+
+    document.getElementById('ingredientForm').classList.toggle('hidden', enabled);
+    document.getElementById('batchEntry').classList.toggle('hidden', !enabled);
+    modal.querySelector('.modal-content').classList.toggle('modal-wide', enabled);
+    document.getElementById('batchModeBtn').textContent = enabled ? '1件ずつ追加' : 'まとめて追加';
+    document.getElementById('modalTitle').textContent = enabled ? 'まとめて追加' : 'アイテムを追加';
+
+    if (enabled) {
+        resetBarcodeScanner();
+        resetExpiryOcr();
+        resetBatchRows();
+        focusBatchRow(getBatchRowElements()[0]);
+    }
+}
+
+/**
+ * Empty the grid and start over with a few blank rows
+ */
+function resetBatchRows() {
+    document.getElementById('batchRows').innerHTML = '';
+    document.getElementById('batchPurchaseDate').value = getTodayString();
+    document.getElementById('batchError').textContent = '';
+
+    for (let i = 0; i < BATCH_INITIAL_ROWS; i++) {
+        addBatchRow();
+    }
+}
+
+/**
+ * Append a blank row to the grid
+ * @param {HTMLElement} [after] - Insert after this row instead of at the end
+ * @returns {HTMLElement} The new row
+ */
+function addBatchRow(after) {
+    const tbody = document.getElementById('batchRows');
+    const tr = document.createElement('tr');
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'form-input';
+    name.maxLength = 100;
+    name.setAttribute('aria-label', '名前');
+
+    const category = createOptionSelect(getCategoryNames(), '選択', 'カテゴリー');
+    const dateType = createOptionSelect([], null, '期限の種類');
+    Object.entries(DATE_TYPES).forEach(([value, type]) => dateType.add(new Option(type.short, value)));
+
+    const expirationDate = document.createElement('input');
+    expirationDate.type = 'date';
+    expirationDate.className = 'form-input';
+    expirationDate.setAttribute('aria-label', '期限');
+
+    const amount = document.createElement('input');
+    amount.type = 'number';
+    amount.min = '0';
+    amount.step = 'any';
+    amount.className = 'form-input';
+    amount.setAttribute('aria-label', '数量');
+
+    const unit = createOptionSelect(Object.keys(QUANTITY_UNITS), '-', '単位');
+
+    const location = document.createElement('input');
+    location.type = 'text';
+    location.className = 'form-input';
+    location.setAttribute('aria-label', '保管場所');
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn-close batch-remove';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', 'この行を削除');
+    removeBtn.tabIndex = -1;
+    removeBtn.addEventListener('click', () => removeBatchRow(tr));
+
+    const error = document.createElement('span');
+    error.className = 'form-error batch-row-error';
+
+    const fields = { name, category, dateType, expirationDate, amount, unit, location };
+    const cells = [[name, error], [category], [dateType], [expirationDate], [amount, unit], [location], [removeBtn]];
+
+    cells.forEach(children => {
+        const td = document.createElement('td');
+        children.forEach(child => td.appendChild(child));
+        tr.appendChild(td);
+    });
+    tr.children[4].className = 'entry-quantity';
+
+    Object.entries(fields).forEach(([field, input]) => {
+        input.dataset.field = field;
+        input.addEventListener('change', () => {
+            input.classList.remove('error');
+            if (field === 'expirationDate') {
+                // Typed in: no more suggestions for this row
+                input.dataset.edited = input.value ? 'true' : '';
+            } else if (field === 'name' || field === 'category' || field === 'location') {
+                updateBatchRowExpiry(tr);
+            }
+            updateBatchSaveLabel();
+        });
+    });
+
+    tbody.insertBefore(tr, after ? after.nextSibling : null);
+    updateBatchSaveLabel();
+    return tr;
+}
+
+/**
+ * Remove a row (the grid always keeps one)
+ * @param {HTMLElement} tr - Row
+ */
+function removeBatchRow(tr) {
+    const rows = getBatchRowElements();
+    const next = rows[rows.indexOf(tr) + 1] || rows[rows.indexOf(tr) - 1];
+
+    tr.remove();
+    if (getBatchRowElements().length === 0) {
+        addBatchRow();
+    }
+
+    focusBatchRow(next && next.isConnected ? next : getBatchRowElements()[0]);
+    updateBatchSaveLabel();
+}
+
+/**
+ * Enter moves to the next row, adding one at the end of the grid
+ * (Tab moves between cells as usual)
+ * @param {KeyboardEvent} event - Keydown in the grid
+ */
+function handleBatchKeydown(event) {
+    if (event.key !== 'Enter' || event.isComposing || event.target.tagName === 'BUTTON') {
+        return;
+    }
+
+    // Enter must not submit or open anything
+    event.preventDefault();
+
+    const tr = event.target.closest('tr');
+    const rows = getBatchRowElements();
+    const next = rows[rows.indexOf(tr) + 1] || addBatchRow(tr);
+    focusBatchRow(next);
+}
+
+/**
+ * Put the cursor in a row's name cell
+ * @param {HTMLElement} tr - Row
+ */
+function focusBatchRow(tr) {
+    if (tr) {
+        tr.querySelector('[data-field="name"]').focus();
+    }
+}
+
+/**
+ * Suggest the expiration date of a row from its name, category and location
+ * Dates typed in by the user are kept.
+ * @param {HTMLElement} tr - Row
+ */
+function updateBatchRowExpiry(tr) {
+    const input = tr.querySelector('[data-field="expirationDate"]');
+    if (input.dataset.edited) {
+        return;
+    }
+
+    const data = readBatchRow(tr);
+    const suggestion = suggestShelfLife(data, learnedShelfLives);
+    const purchaseDate = document.getElementById('batchPurchaseDate').value || getTodayString();
+    input.value = suggestion ? addDaysToDate(purchaseDate, suggestion.days) : '';
+}
+
+/**
+ * Read the values of a row
+ * @param {HTMLElement} tr - Row
+ * @returns {Object} Field values by name
+ */
+function readBatchRow(tr) {
+    const data = {};
+    tr.querySelectorAll('[data-field]').forEach(input => {
+        data[input.dataset.field] = input.value;
+    });
+    return data;
+}
+
+/**
+ * Whether a row has been filled in at all
+ * Suggested dates and defaults alone do not count.
+ * @param {Object} data - Row values
+ * @returns {boolean} Has content
+ */
+function isBatchRowFilled(data) {
+    return Boolean(data.name.trim() || data.category || data.amount || data.location.trim());
+}
+
+/**
+ * Get the grid rows in order
+ * @returns {Array<HTMLElement>} Rows
+ */
+function getBatchRowElements() {
+    return [...document.getElementById('batchRows').children];
+}
+
+/**
+ * Show how many rows will be saved on the save button
+ */
+function updateBatchSaveLabel() {
+    const count = getBatchRowElements().filter(tr => isBatchRowFilled(readBatchRow(tr))).length;
+    const button = document.getElementById('batchSaveBtn');
+    button.textContent = count > 0 ? `${count}件を保存` : '保存';
+    button.disabled = count === 0;
+}
+
+/**
+ * Validate every filled row and save them in one batch, or none if any row has errors
+ */
+function saveBatchRows() {
+    const purchaseDate = document.getElementById('batchPurchaseDate').value || getTodayString();
+    const ingredients = [];
+    let firstInvalid = null;
+
+    getBatchRowElements().forEach(tr => {
+        const row = readBatchRow(tr);
+        clearBatchRowErrors(tr);
+
+        if (!isBatchRowFilled(row)) {
+            return;
+        }
+
+        const data = { ...row, purchaseDate };
+        const validation = validateIngredient(data);
+
+        if (!validation.valid) {
+            markBatchRowErrors(tr, validation.errors);
+            firstInvalid = firstInvalid || tr;
+            return;
+        }
+        ingredients.push(createIngredient(data));
+    });
+
+    if (firstInvalid) {
+        document.getElementById('batchError').textContent = '赤字の行を確認してください。1件も保存していません';
+        firstInvalid.querySelector('.error').focus();
+        return;
+    }
+
+    if (ingredients.length === 0) {
+        return;
+    }
+
+    addIngredients(ingredients);
+    closeForm();
+    showUndoNotification(`${ingredients.length}件を追加しました`);
+}
+
+/**
+ * Highlight the cells of a row that failed validation and list the problems under the name
+ * @param {HTMLElement} tr - Row
+ * @param {Object} errors - Errors from validateIngredient
+ */
+function markBatchRowErrors(tr, errors) {
+    Object.keys(errors).forEach(field => {
+        // The purchase date is shared; the expiration date of the row is what to fix
+        const inputField = field === 'purchaseDate' ? 'expirationDate' : field;
+        const input = tr.querySelector(`[data-field="${inputField}"]`);
+        if (input) {
+            input.classList.add('error');
+        }
+    });
+
+    tr.classList.add('batch-row-invalid');
+    tr.querySelector('.batch-row-error').textContent = Object.values(errors).join(' / ');
+}
+
+/**
+ * Remove the error highlight of a row
+ * @param {HTMLElement} tr - Row
+ */
+function clearBatchRowErrors(tr) {
+    tr.classList.remove('batch-row-invalid');
+    tr.querySelector('.batch-row-error').textContent = '';
+    tr.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+}
+
+/**
+ * Create a select with plain text options
+ * @param {Array<string>} values - Option values (shown as is)
+ * @param {string|null} emptyLabel - Label of an empty first option, or null for none
+ * @param {string} ariaLabel - Accessible name
+ * @returns {HTMLSelectElement} Select
+ */
+function createOptionSelect(values, emptyLabel, ariaLabel) {
+    const select = document.createElement('select');
+    select.className = 'form-select';
+    select.setAttribute('aria-label', ariaLabel);
+    if (emptyLabel !== null) {
+        select.add(new Option(emptyLabel, ''));
+    }
+    values.forEach(value => select.add(new Option(value, value)));
+    return select;
+}
@@ -0,0 +1,53 @@
+// catalog.js - Product catalog on this device (JAN code → name, category, shelf life)
+
+/**
+ * Look up a product by its JAN code
+ * @param {string} code - JAN/EAN digits
+ * @returns {Promise<Object|null>} Catalog entry, or null if the code is unknown
+ */
+async function lookupProduct(code) {
+    try {
+        return (await idbGet('products', code)) || null;
+    } catch (error) {
+        console.error('Error reading product catalog:', error);
+        return null;
+    }
+}
+
+/**
+ * Get every catalog entry
+ * @returns {Promise<Array>} Catalog entries (empty if the catalog cannot be read)
+ */
+async function loadCatalogProducts() {
+    try {
+        return await idbGetAll('products');
+    } catch (error) {
+        console.error('Error reading product catalog:', error);
+        return [];
+    }
+}
+
+/**
+ * Add or replace a catalog entry
+ * @param {Object} product - Catalog entry (see createProductFromIngredient)
+ * @returns {Promise<void>}
+ */
+async function saveProduct(product) {
+    await idbPut('products', product);
+}
+
+/**
+ * Create a catalog entry from an ingredient that carries a barcode
+ * @param {Object} ingredient - Ingredient (or form data) with barcode
+ * @returns {Object} { code, name, category, dateType, shelfLifeDays, updatedAt }
+ */
+function createProductFromIngredient(ingredient) {
+    return {
+        code: ingredient.barcode,
+        name: ingredient.name.trim(),
+        category: ingredient.category,
+        dateType: getDateType(ingredient),
+        shelfLifeDays: Math.max(0, getShelfLifeDays(ingredient)),
+        updatedAt: new Date().toISOString()
+    };
+}
@@ -0,0 +1,185 @@
+// conflictDialog.js - Field-by-field merge dialog for edits that collided with someone else's
+
+const CONFLICT_FIELD_LABELS = {
+    name: '名前',
+    category: 'カテゴリー',
+    purchaseDate: '購入日',
+    expirationDate: '期限',
+    dateType: '期限の種類',
+    amount: '数量',
+    unit: '単位',
+    location: '保管場所',
+    notes: 'メモ'
+};
+
+// Outbox entries waiting for the user's decision, shown one at a time
+let conflictQueue = [];
+let activeConflictEntry = null;
+
+/**
+ * Initialize merge dialog buttons
+ */
+function initConflictDialog() {
+    const saveBtn = document.getElementById('conflictSaveBtn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', handleConflictSave);
+    }
+
+    const laterBtn = document.getElementById('conflictLaterBtn');
+    if (laterBtn) {
+        laterBtn.addEventListener('click', postponeConflicts);
+    }
+
+    document.querySelectorAll('[data-conflict-pick]').forEach(button => {
+        button.addEventListener('click', () => pickAllConflictFields(button.dataset.conflictPick));
+    });
+}
+
+/**
+ * Ask the user how to merge an update that was rejected as a conflict
+ * @param {Object} entry - Outbox entry in 'conflict' state
+ */
+function showConflictDialog(entry) {
+    if (entry === activeConflictEntry || conflictQueue.includes(entry)) {
+        return;
+    }
+
+    conflictQueue.push(entry);
+
+    if (!activeConflictEntry) {
+        openNextConflict();
+    }
+}
+
+/**
+ * Show the next queued conflict, or close the dialog when none are left
+ */
+function openNextConflict() {
+    activeConflictEntry = conflictQueue.shift() || null;
+
+    if (!activeConflictEntry) {
+        closeModal('conflictModal');
+        return;
+    }
+
+    renderConflictDialog(activeConflictEntry);
+    openModal('conflictModal');
+}
+
+/**
+ * Render one row per field both sides changed
+ * @param {Object} entry - Outbox entry in 'conflict' state
+ */
+function renderConflictDialog(entry) {
+    const remote = entry.remote;
+    const tbody = document.getElementById('conflictFields');
+
+    document.getElementById('conflictModalTitle').textContent = `「${remote.name}」が他の端末で変更されました`;
+    tbody.innerHTML = '';
+
+    entry.conflicts.forEach(key => {
+        const row = document.createElement('tr');
+
+        const label = document.createElement('th');
+        label.scope = 'row';
+        label.textContent = CONFLICT_FIELD_LABELS[key] || key;
+        row.appendChild(label);
+
+        row.appendChild(createConflictChoice(key, 'mine', entry.updates[key], true));
+        row.appendChild(createConflictChoice(key, 'theirs', remote[key], false));
+
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Create a table cell with a radio button for one side of a field
+ * @param {string} key - Field name
+ * @param {string} side - 'mine' or 'theirs'
+ * @param {*} value - Field value on that side
+ * @param {boolean} checked - Initially selected
+ * @returns {HTMLElement} Table cell
+ */
+function createConflictChoice(key, side, value, checked) {
+    const cell = document.createElement('td');
+    const label = document.createElement('label');
+    label.className = 'conflict-choice';
+
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = `conflict-${key}`;
+    radio.value = side;
+    radio.checked = checked;
+
+    const text = document.createElement('span');
+    text.textContent = formatConflictValue(key, value);
+
+    label.appendChild(radio);
+    label.appendChild(text);
+    cell.appendChild(label);
+    return cell;
+}
+
+/**
+ * Format a field value for the merge dialog
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {string} Display text
+ */
+function formatConflictValue(key, value) {
+    if (value === undefined || value === null || value === '') {
+        return '（なし）';
+    }
+
+    if (key === 'purchaseDate' || key === 'expirationDate') {
+        return formatDateFullJP(value);
+    }
+
+    if (key === 'dateType' && DATE_TYPES[value]) {
+        return DATE_TYPES[value].label;
+    }
+
+    return String(value);
+}
+
+/**
+ * Select the same side for every field
+ * @param {string} side - 'mine' or 'theirs'
+ */
+function pickAllConflictFields(side) {
+    document.querySelectorAll(`#conflictFields input[value="${side}"]`).forEach(radio => {
+        radio.checked = true;
+    });
+}
+
+/**
+ * Save the merged version chosen in the dialog
+ */
+function handleConflictSave() {
+    const entry = activeConflictEntry;
+    if (!entry) {
+        return;
+    }
+
+    const choices = {};
+    entry.conflicts.forEach(key => {
+        const checked = document.querySelector(`#conflictFields input[name="conflict-${key}"]:checked`);
+        choices[key] = checked ? checked.value : 'mine';
+    });
+
+    resolveConflict(entry, choices);
+    showNotification('変更をまとめて保存しました', 'success');
+
+    openNextConflict();
+}
+
+/**
+ * Close the dialog; the conflicts stay in the outbox until resolved
+ */
+function postponeConflicts() {
+    conflictQueue = [];
+    activeConflictEntry = null;
+    closeModal('conflictModal');
+
+    showNotification('ヘッダーの「未同期」から後で選べます', 'warning');
+}
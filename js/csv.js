@@ -0,0 +1,129 @@
+// csv.js - Read and write CSV/TSV text for spreadsheets (Excel, Numbers, Google Sheets)
+
+// Excel only opens UTF-8 files with Japanese correctly when they start with a byte order mark
+const UTF8_BOM = '\uFEFF';
+
+// Japanese eras that can appear in dates typed into spreadsheets, by the Gregorian year of 元年
+const ERA_START_YEARS = {
+    '令和': 2019,
+    'r': 2019,
+    '平成': 1989,
+    'h': 1989
+};
+
+/**
+ * Format rows as CSV or TSV
+ * CSV fields are quoted when needed (RFC 4180). TSV cannot quote, so tabs and
+ * line breaks inside a value become spaces. Lines end with CRLF, as Excel writes them.
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {string} Text
+ */
+function formatDelimited(rows, delimiter) {
+    return rows.map(row => row.map(value => {
+        const text = value === undefined || value === null ? '' : String(value);
+
+        if (delimiter === '\t') {
+            return text.replace(/[\t\r\n]+/g, ' ');
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV or TSV text into rows
+ * Handles quoted fields with delimiters, quotes and line breaks; empty lines are skipped.
+ * @param {string} text - File content
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const source = text.startsWith(UTF8_BOM) ? text.slice(1) : text;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+/**
+ * Guess whether a file uses tabs or commas from its first line
+ * @param {string} text - File content
+ * @returns {string} ',' or '\t'
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const tabs = firstLine.split('\t').length;
+    const commas = firstLine.split(',').length;
+    return tabs > commas ? '\t' : ',';
+}
+
+/**
+ * Read a date as spreadsheets write it
+ * 2026-03-15, 2026/3/15, 2026.3.15, 2026年3月15日, 20260315, 26/3/15, 令和8年3月15日, R8.3.15,
+ * optionally followed by a time (2026/3/15 0:00, 2026-03-15T00:00:00Z).
+ * @param {string} text - Cell value
+ * @returns {string|null} YYYY-MM-DD, or null if not understood
+ */
+function parseDateValue(text) {
+    const value = text.normalize('NFKC').trim()
+        .replace(/(?:T|\s+)\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/i, '');
+
+    const era = value.match(/^(令和|平成|[RrHh])\s*(\d{1,2}|元)\s*[.\/\-年]\s*(\d{1,2})\s*[.\/\-月]\s*(\d{1,2})\s*日?$/);
+    if (era) {
+        const year = ERA_START_YEARS[era[1].toLowerCase()] + (era[2] === '元' ? 1 : Number(era[2])) - 1;
+        return toDateString(String(year), era[3], era[4]);
+    }
+
+    const separated = value.match(/^(\d{4}|\d{2})\s*[.\/\-年]\s*(\d{1,2})\s*[.\/\-月]\s*(\d{1,2})\s*日?$/);
+    if (separated) {
+        return toDateString(separated[1], separated[2], separated[3]);
+    }
+
+    const compact = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (compact) {
+        return toDateString(compact[1], compact[2], compact[3]);
+    }
+    return null;
+}
@@ -0,0 +1,449 @@
+// dashboard.js - Food-waste dashboard with SVG charts (no chart library)
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 40 };
+const BAR_ROW_HEIGHT = 26;
+const DASHBOARD_TOP_ITEMS = 5;
+
+// History of the active household, loaded when the dashboard opens
+let dashboardEntries = [];
+
+/**
+ * Initialize dashboard listeners
+ */
+function initDashboard() {
+    const dashboardBtn = document.getElementById('dashboardBtn');
+    if (dashboardBtn) {
+        dashboardBtn.addEventListener('click', openDashboard);
+    }
+
+    const periodSelect = document.getElementById('dashboardPeriod');
+    if (periodSelect) {
+        periodSelect.addEventListener('change', renderDashboard);
+    }
+}
+
+/**
+ * Open the dashboard for the active household
+ */
+async function openDashboard() {
+    document.getElementById('dashboardContent').innerHTML = '<p class="history-empty">読み込み中...</p>';
+    openModal('dashboardModal');
+
+    dashboardEntries = await loadHistory();
+    renderDashboard();
+}
+
+/**
+ * Render all dashboard sections for the selected period
+ */
+function renderDashboard() {
+    const container = document.getElementById('dashboardContent');
+    const months = parseInt(document.getElementById('dashboardPeriod').value, 10);
+
+    const since = new Date();
+    since.setMonth(since.getMonth() - months + 1, 1);
+    since.setHours(0, 0, 0, 0);
+
+    const entries = dashboardEntries.filter(entry => new Date(entry.disposedAt) >= since);
+    const stats = getHistoryStats(entries, months);
+    const inventory = getIngredientStats(loadIngredients());
+
+    container.innerHTML = '';
+    container.appendChild(createSummaryCards(stats, inventory));
+
+    if (stats.total === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'history-empty';
+        empty.textContent = 'この期間の履歴はまだありません。「食べた」「捨てた」を記録するとグラフが表示されます。';
+        container.appendChild(empty);
+        return;
+    }
+
+    container.appendChild(createDashboardSection('廃棄率の推移',
+        createLineChart(stats.monthly.map(m => ({
+            label: formatMonthLabel(m.month),
+            value: m.wasteRate === null ? null : Math.round(m.wasteRate * 100)
+        })), { unit: '%', max: 100, label: '廃棄率の推移' })
+    ));
+
+    container.appendChild(createDashboardSection('月ごとの記録',
+        createStackedColumnChart(stats.monthly.map(m => ({
+            label: formatMonthLabel(m.month),
+            values: { eaten: m.eaten, discarded: m.discarded, given: m.given }
+        })))
+    ));
+
+    container.appendChild(createDashboardSection('よく捨てるカテゴリー',
+        createHorizontalBarChart(stats.wastedByCategory.slice(0, DASHBOARD_TOP_ITEMS).map(c => ({
+            label: c.category,
+            value: c.count
+        })), { unit: '件', className: 'chart-bar-discarded' })
+    ));
+
+    container.appendChild(createDashboardSection('よく捨てるアイテム',
+        createHorizontalBarChart(stats.wastedItems.slice(0, DASHBOARD_TOP_ITEMS).map(item => ({
+            label: item.name,
+            value: item.count
+        })), { unit: '件', className: 'chart-bar-discarded' })
+    ));
+
+    container.appendChild(createDashboardSection('購入から食べるまでの平均日数',
+        createHorizontalBarChart(stats.daysToConsumeByCategory.map(c => ({
+            label: c.category,
+            value: c.days
+        })), { unit: '日', className: 'chart-bar-eaten' })
+    ));
+}
+
+/**
+ * Create the summary cards (inventory + waste numbers)
+ * @param {Object} stats - Result of getHistoryStats
+ * @param {Object} inventory - Result of getIngredientStats
+ * @returns {HTMLElement} Cards container
+ */
+function createSummaryCards(stats, inventory) {
+    const cards = [
+        { label: '廃棄率', value: stats.wasteRate === null ? '-' : `${Math.round(stats.wasteRate * 100)}%`, className: 'card-waste' },
+        { label: '🍽️ 食べた', value: `${stats.eaten}件` },
+        { label: '🗑️ 捨てた', value: `${stats.discarded}件` },
+        { label: '🎁 あげた', value: `${stats.given}件` },
+        { label: '在庫', value: `${inventory.total}件` },
+        { label: '期限切れの在庫', value: `${inventory.expired}件`, className: inventory.expired > 0 ? 'card-alert' : '' }
+    ];
+
+    const container = document.createElement('div');
+    container.className = 'dashboard-cards';
+
+    cards.forEach(card => {
+        const el = document.createElement('div');
+        el.className = `dashboard-card ${card.className || ''}`;
+
+        const value = document.createElement('div');
+        value.className = 'dashboard-card-value';
+        value.textContent = card.value;
+
+        const label = document.createElement('div');
+        label.className = 'dashboard-card-label';
+        label.textContent = card.label;
+
+        el.appendChild(value);
+        el.appendChild(label);
+        container.appendChild(el);
+    });
+
+    return container;
+}
+
+/**
+ * Wrap a chart with a heading
+ * @param {string} title - Section title
+ * @param {Element} chart - Chart element
+ * @returns {HTMLElement} Section element
+ */
+function createDashboardSection(title, chart) {
+    const section = document.createElement('section');
+    section.className = 'dashboard-section';
+
+    const heading = document.createElement('h3');
+    heading.className = 'dashboard-section-title';
+    heading.textContent = title;
+
+    section.appendChild(heading);
+    section.appendChild(chart);
+    return section;
+}
+
+/**
+ * Line chart of one value per label (gaps where the value is null)
+ * @param {Array} points - [{ label, value }]
+ * @param {Object} options - { unit, max, label }
+ * @returns {SVGElement} Chart
+ */
+function createLineChart(points, options = {}) {
+    const svg = createChartSvg(CHART_WIDTH, CHART_HEIGHT, options.label || '');
+    const plot = getPlotArea(CHART_WIDTH, CHART_HEIGHT);
+    const max = options.max || Math.max(1, ...points.map(p => p.value || 0));
+
+    drawValueAxis(svg, plot, max, options.unit);
+
+    const step = plot.width / Math.max(1, points.length - 1);
+    const x = i => plot.left + (points.length === 1 ? plot.width / 2 : i * step);
+    const y = value => plot.top + plot.height - (value / max) * plot.height;
+
+    // Separate segments so months without data leave a gap
+    let segment = [];
+    const flush = () => {
+        if (segment.length > 1) {
+            svg.appendChild(createSvgElement('polyline', {
+                class: 'chart-line',
+                points: segment.join(' ')
+            }));
+        }
+        segment = [];
+    };
+
+    points.forEach((point, i) => {
+        drawCategoryLabel(svg, x(i), plot, point.label);
+
+        if (point.value === null) {
+            flush();
+            return;
+        }
+
+        segment.push(`${x(i)},${y(point.value)}`);
+
+        const dot = createSvgElement('circle', { class: 'chart-dot', cx: x(i), cy: y(point.value), r: 3.5 });
+        dot.appendChild(createSvgTitle(`${point.label}: ${point.value}${options.unit || ''}`));
+        svg.appendChild(dot);
+    });
+    flush();
+
+    return svg;
+}
+
+/**
+ * Stacked column chart of eaten / discarded / given per label
+ * @param {Array} columns - [{ label, values: { eaten, discarded, given } }]
+ * @returns {HTMLElement} Chart with legend
+ */
+function createStackedColumnChart(columns) {
+    const wrapper = document.createElement('div');
+    const svg = createChartSvg(CHART_WIDTH, CHART_HEIGHT, '月ごとの記録');
+    const plot = getPlotArea(CHART_WIDTH, CHART_HEIGHT);
+    const keys = Object.keys(DISPOSITIONS);
+
+    const totals = columns.map(c => keys.reduce((sum, key) => sum + c.values[key], 0));
+    const max = Math.max(1, ...totals);
+
+    drawValueAxis(svg, plot, max, '件');
+
+    const slot = plot.width / columns.length;
+    const barWidth = Math.min(32, slot * 0.6);
+
+    columns.forEach((column, i) => {
+        const cx = plot.left + slot * i + slot / 2;
+        let top = plot.top + plot.height;
+
+        keys.forEach(key => {
+            const value = column.values[key];
+            if (value === 0) {
+                return;
+            }
+
+            const height = (value / max) * plot.height;
+            top -= height;
+
+            const rect = createSvgElement('rect', {
+                class: `chart-bar-${key}`,
+                x: cx - barWidth / 2,
+                y: top,
+                width: barWidth,
+                height
+            });
+            rect.appendChild(createSvgTitle(`${column.label} ${DISPOSITIONS[key].label}: ${value}件`));
+            svg.appendChild(rect);
+        });
+
+        drawCategoryLabel(svg, cx, plot, column.label);
+    });
+
+    wrapper.appendChild(svg);
+    wrapper.appendChild(createChartLegend(keys));
+    return wrapper;
+}
+
+/**
+ * Horizontal bar chart (one row per label)
+ * @param {Array} rows - [{ label, value }]
+ * @param {Object} options - { unit, className }
+ * @returns {Element} Chart, or a note when there is no data
+ */
+function createHorizontalBarChart(rows, options = {}) {
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'dashboard-no-data';
+        empty.textContent = 'データがありません';
+        return empty;
+    }
+
+    const labelWidth = 120;
+    const valueWidth = 56;
+    const height = rows.length * BAR_ROW_HEIGHT + 8;
+    const svg = createChartSvg(CHART_WIDTH, height, '');
+    const barArea = CHART_WIDTH - labelWidth - valueWidth;
+    const max = Math.max(...rows.map(r => r.value), 1);
+
+    rows.forEach((row, i) => {
+        const y = 4 + i * BAR_ROW_HEIGHT;
+
+        const label = createSvgElement('text', {
+            class: 'chart-label',
+            x: labelWidth - 8,
+            y: y + BAR_ROW_HEIGHT / 2,
+            'text-anchor': 'end',
+            'dominant-baseline': 'middle'
+        });
+        label.textContent = row.label;
+        svg.appendChild(label);
+
+        svg.appendChild(createSvgElement('rect', {
+            class: options.className || 'chart-bar',
+            x: labelWidth,
+            y: y + 4,
+            width: Math.max(2, (row.value / max) * barArea),
+            height: BAR_ROW_HEIGHT - 8,
+            rx: 3
+        }));
+
+        const value = createSvgElement('text', {
+            class: 'chart-value',
+            x: labelWidth + (row.value / max) * barArea + 6,
+            y: y + BAR_ROW_HEIGHT / 2,
+            'dominant-baseline': 'middle'
+        });
+        value.textContent = `${row.value}${options.unit || ''}`;
+        svg.appendChild(value);
+    });
+
+    return svg;
+}
+
+/**
+ * Create a legend for disposition colors
+ * @param {Array<string>} keys - Disposition keys
+ * @returns {HTMLElement} Legend
+ */
+function createChartLegend(keys) {
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+
+    keys.forEach(key => {
+        const item = document.createElement('span');
+        item.className = `chart-legend-item legend-${key}`;
+        item.textContent = DISPOSITIONS[key].label;
+        legend.appendChild(item);
+    });
+
+    return legend;
+}
+
+/**
+ * Draw horizontal grid lines with value labels
+ * @param {SVGElement} svg - Chart
+ * @param {Object} plot - Plot area
+ * @param {number} max - Value at the top of the axis
+ * @param {string} unit - Unit shown after the top value
+ */
+function drawValueAxis(svg, plot, max, unit = '') {
+    [0, 0.5, 1].forEach(ratio => {
+        const y = plot.top + plot.height - ratio * plot.height;
+
+        svg.appendChild(createSvgElement('line', {
+            class: 'chart-grid',
+            x1: plot.left,
+            x2: plot.left + plot.width,
+            y1: y,
+            y2: y
+        }));
+
+        const label = createSvgElement('text', {
+            class: 'chart-axis-label',
+            x: plot.left - 6,
+            y,
+            'text-anchor': 'end',
+            'dominant-baseline': 'middle'
+        });
+        const value = Math.round(max * ratio * 10) / 10;
+        label.textContent = ratio === 1 ? `${value}${unit}` : String(value);
+        svg.appendChild(label);
+    });
+}
+
+/**
+ * Draw a label under the plot area
+ * @param {SVGElement} svg - Chart
+ * @param {number} x - Center of the label
+ * @param {Object} plot - Plot area
+ * @param {string} text - Label
+ */
+function drawCategoryLabel(svg, x, plot, text) {
+    const label = createSvgElement('text', {
+        class: 'chart-axis-label',
+        x,
+        y: plot.top + plot.height + 18,
+        'text-anchor': 'middle'
+    });
+    label.textContent = text;
+    svg.appendChild(label);
+}
+
+/**
+ * Get the inner plot area of a chart
+ * @param {number} width - Chart width
+ * @param {number} height - Chart height
+ * @returns {Object} { left, top, width, height }
+ */
+function getPlotArea(width, height) {
+    return {
+        left: CHART_PADDING.left,
+        top: CHART_PADDING.top,
+        width: width - CHART_PADDING.left - CHART_PADDING.right,
+        height: height - CHART_PADDING.top - CHART_PADDING.bottom
+    };
+}
+
+/**
+ * Create a responsive <svg> element
+ * @param {number} width - viewBox width
+ * @param {number} height - viewBox height
+ * @param {string} label - Accessible name
+ * @returns {SVGElement} SVG element
+ */
+function createChartSvg(width, height, label) {
+    const svg = createSvgElement('svg', {
+        class: 'chart',
+        viewBox: `0 0 ${width} ${height}`,
+        preserveAspectRatio: 'xMidYMid meet',
+        role: 'img'
+    });
+
+    if (label) {
+        svg.setAttribute('aria-label', label);
+    }
+    return svg;
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - Element name
+ * @param {Object} attrs - Attributes
+ * @returns {SVGElement} Element
+ */
+function createSvgElement(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+}
+
+/**
+ * Create a <title> tooltip for an SVG element
+ * @param {string} text - Tooltip text
+ * @returns {SVGElement} Title element
+ */
+function createSvgTitle(text) {
+    const title = createSvgElement('title');
+    title.textContent = text;
+    return title;
+}
+
+/**
+ * Format a month key for axis labels
+ * @param {string} month - 'YYYY-MM'
+ * @returns {string} e.g. "9月"
+ */
+function formatMonthLabel(month) {
+    return `${parseInt(month.split('-')[1], 10)}月`;
+}
@@ -12,6 +12,49 @@ function generateUUID() {
     });
 }
 
+/**
+ * Kinds of dates printed on Japanese food labels
+ * bestBefore (賞味期限): tastes best until the date, often still fine a little after
+ * useBy (消費期限): must not be eaten after the date
+ */
+const DATE_TYPES = {
+    bestBefore: { label: '賞味期限', short: '賞味' },
+    useBy: { label: '消費期限', short: '消費' }
+};
+
+const DEFAULT_DATE_TYPE = 'bestBefore';
+
+/**
+ * Units for quantities; step is the default amount for "少し使った"
+ */
+const QUANTITY_UNITS = {
+    'g': { step: 100 },
+    'kg': { step: 0.5 },
+    'ml': { step: 100 },
+    'L': { step: 0.5 },
+    '個': { step: 1 },
+    '本': { step: 1 },
+    '枚': { step: 1 },
+    '袋': { step: 1 },
+    'パック': { step: 1 },
+    '缶': { step: 1 }
+};
+
+// Other spellings accepted when parsing free text
+const QUANTITY_UNIT_ALIASES = {
+    'グラム': 'g',
+    'キロ': 'kg',
+    'ミリリットル': 'ml',
+    'mL': 'ml',
+    'l': 'L',
+    'リットル': 'L',
+    'こ': '個',
+    'コ': '個',
+    'pack': 'パック'
+};
+
+const MAX_QUANTITY_AMOUNT = 99999;
+
 /**
  * Create a new ingredient object
  * @param {Object} data - Ingredient data
@@ -20,18 +63,88 @@ function generateUUID() {
 function createIngredient(data) {
     const now = new Date().toISOString();
 
-    return {
+    // Older data and imports may carry a free-text quantity such as "500g"
+    const quantityText = typeof data.quantity === 'string' ? data.quantity.trim() : '';
+    const parsed = data.amount === undefined && quantityText ? parseQuantity(quantityText) : null;
+
+    const ingredient = {
         id: generateUUID(),
         name: (data.name || '').trim(),
         category: data.category || '',
         purchaseDate: data.purchaseDate || getTodayString(),
         expirationDate: data.expirationDate || '',
-        quantity: (data.quantity || '').trim(),
+        dateType: DATE_TYPES[data.dateType] ? data.dateType : DEFAULT_DATE_TYPE,
+        amount: parsed ? parsed.amount : normalizeAmount(data.amount),
+        unit: parsed ? parsed.unit : (data.unit || ''),
         location: (data.location || '').trim(),
         notes: (data.notes || '').trim(),
+        barcode: data.barcode || '',
+        schemaVersion: SCHEMA_VERSION,
         createdAt: now,
         updatedAt: now
     };
+
+    // Text that is not an amount (e.g. "少し") is kept and still shown, as in migrateQuantityToAmount
+    if (quantityText && !parsed) {
+        ingredient.quantity = quantityText;
+    }
+    return ingredient;
+}
+
+// IDs kept on import must also be usable as Firestore document IDs
+const IMPORTED_ID_PATTERN = /^[\w-]{1,128}$/;
+
+/**
+ * Rebuild an ingredient from imported data (a backup), keeping its id and timestamps
+ * Missing or malformed ones are generated as for a new ingredient.
+ * @param {Object} data - Imported item
+ * @returns {Object} Ingredient
+ */
+function restoreIngredient(data) {
+    const ingredient = createIngredient(data);
+
+    if (typeof data.id === 'string' && IMPORTED_ID_PATTERN.test(data.id)) {
+        ingredient.id = data.id;
+    }
+    ['createdAt', 'updatedAt'].forEach(key => {
+        if (typeof data[key] === 'string' && !isNaN(Date.parse(data[key]))) {
+            ingredient[key] = data[key];
+        }
+    });
+    return ingredient;
+}
+
+/**
+ * Ways an item can leave the inventory
+ */
+const DISPOSITIONS = {
+    eaten: { label: '食べた', icon: '🍽️' },
+    discarded: { label: '捨てた', icon: '🗑️' },
+    given: { label: 'あげた', icon: '🎁' }
+};
+
+/**
+ * Create a history entry for an item that was eaten, thrown away or given away
+ * @param {Object} ingredient - Ingredient leaving the inventory
+ * @param {string} disposition - 'eaten', 'discarded' or 'given'
+ * @returns {Object} History entry (keeps the ingredient's id and fields)
+ */
+function createHistoryEntry(ingredient, disposition) {
+    return {
+        ...ingredient,
+        disposition,
+        disposedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Turn a history entry back into an ingredient (undo of 食べた / 捨てた / あげた)
+ * @param {Object} entry - History entry
+ * @returns {Object} Ingredient as it was before it was archived
+ */
+function getIngredientFromHistoryEntry(entry) {
+    const { disposition, disposedAt, ...ingredient } = entry;
+    return ingredient;
 }
 
 /**
@@ -65,28 +178,144 @@ function validateIngredient(data) {
         }
     }
 
-    // Optional: purchaseDate validation
-    if (data.purchaseDate) {
-        const purDate = new Date(data.purchaseDate);
-        if (isNaN(purDate.getTime())) {
-            errors.purchaseDate = '有効な日付を入力してください';
-        }
+    if (data.dateType && !DATE_TYPES[data.dateType]) {
+        errors.dateType = '期限の種類を選択してください';
+    }
 
-        // Check if purchase date is after expiration date
-        if (data.expirationDate) {
-            const expDate = new Date(data.expirationDate);
-            if (!isNaN(purDate.getTime()) && !isNaN(expDate.getTime()) && purDate > expDate) {
-                errors.purchaseDate = '購入日は賞味期限より前である必要があります';
-            }
+    // Optional: quantity (amount + unit)
+    const amount = normalizeAmount(data.amount);
+    if (data.amount !== undefined && data.amount !== null && data.amount !== '' && amount === null) {
+        errors.amount = '数量は数字で入力してください';
+    } else if (amount !== null) {
+        if (amount <= 0) {
+            errors.amount = '数量は0より大きい数を入力してください';
+        } else if (amount > MAX_QUANTITY_AMOUNT) {
+            errors.amount = `数量は${MAX_QUANTITY_AMOUNT}以下で入力してください`;
+        } else if (!data.unit) {
+            errors.amount = '単位を選択してください';
+        } else if (!QUANTITY_UNITS[data.unit]) {
+            errors.amount = '単位が正しくありません';
         }
     }
 
+    // Optional: purchaseDate validation
+    const purchaseDateError = getPurchaseDateError(data);
+    if (purchaseDateError) {
+        errors.purchaseDate = purchaseDateError;
+    }
+
     return {
         valid: Object.keys(errors).length === 0,
         errors: errors
     };
 }
 
+/**
+ * Check a purchase date on its own and against the expiration date
+ * @param {Object} data - { purchaseDate, expirationDate, dateType }; the dates (YYYY-MM-DD) may be empty
+ * @returns {string} Error message, or '' when valid
+ */
+function getPurchaseDateError(data) {
+    const { purchaseDate, expirationDate } = data;
+    if (!purchaseDate) {
+        return '';
+    }
+
+    const purDate = new Date(purchaseDate);
+    if (isNaN(purDate.getTime())) {
+        return '有効な日付を入力してください';
+    }
+
+    // Check if purchase date is after expiration date
+    if (expirationDate) {
+        const expDate = new Date(expirationDate);
+        if (!isNaN(expDate.getTime()) && purDate > expDate) {
+            return `購入日は${getDateTypeLabel(data)}より前である必要があります`;
+        }
+    }
+
+    return '';
+}
+
+/**
+ * Convert an amount from a form or import to a number
+ * @param {*} value - Amount (number or numeric string)
+ * @returns {number|null} Amount, or null when empty / not a number
+ */
+function normalizeAmount(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const amount = typeof value === 'number' ? value : Number(String(value).trim());
+    return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Parse free text such as "500g", "2 個" or "1.5L"
+ * @param {string} text - Quantity text
+ * @returns {Object|null} { amount, unit }, or null if not understood
+ */
+function parseQuantity(text) {
+    const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(\S*)$/);
+    if (!match) {
+        return null;
+    }
+
+    const unit = QUANTITY_UNIT_ALIASES[match[2]] || match[2];
+    if (!QUANTITY_UNITS[unit]) {
+        return null;
+    }
+
+    return { amount: Number(match[1]), unit };
+}
+
+/**
+ * Format an amount with its unit
+ * @param {number} amount - Amount
+ * @param {string} unit - Unit
+ * @returns {string} e.g. "500g", "2個", "1.5L"
+ */
+function formatQuantity(amount, unit) {
+    // Avoid float noise such as 0.30000000000000004
+    const rounded = Math.round(amount * 100) / 100;
+    return `${rounded}${unit}`;
+}
+
+/**
+ * Get an ingredient's quantity
+ * @param {Object} ingredient - Ingredient
+ * @returns {Object|null} { amount, unit }, or null when none
+ */
+function getIngredientQuantity(ingredient) {
+    if (ingredient.amount !== null && ingredient.amount !== undefined) {
+        return { amount: ingredient.amount, unit: ingredient.unit };
+    }
+
+    // Free-text quantity of items saved before amounts were structured
+    return ingredient.quantity ? parseQuantity(ingredient.quantity) : null;
+}
+
+/**
+ * Get the display text for an ingredient's quantity
+ * @param {Object} ingredient - Ingredient
+ * @returns {string} Quantity text, or '' when none
+ */
+function getQuantityLabel(ingredient) {
+    const quantity = getIngredientQuantity(ingredient);
+    return quantity ? formatQuantity(quantity.amount, quantity.unit) : (ingredient.quantity || '');
+}
+
+/**
+ * Subtract a used amount
+ * @param {number} amount - Current amount
+ * @param {number} used - Amount used
+ * @returns {number} Remaining amount (0 when used up)
+ */
+function subtractQuantity(amount, used) {
+    return Math.max(0, Math.round((amount - used) * 100) / 100);
+}
+
 /**
  * Calculate days remaining until expiration
  * @param {string} expirationDate - ISO date string
@@ -110,22 +339,46 @@ function calculateDaysRemaining(expirationDate) {
     }
 }
 
+/**
+ * Get the kind of date an ingredient carries
+ * Items saved before date types existed count as best-before.
+ * @param {Object} ingredient - Ingredient object
+ * @returns {string} 'bestBefore' or 'useBy'
+ */
+function getDateType(ingredient) {
+    return DATE_TYPES[ingredient.dateType] ? ingredient.dateType : DEFAULT_DATE_TYPE;
+}
+
+/**
+ * Get the label of an ingredient's date
+ * @param {Object} ingredient - Ingredient object
+ * @returns {string} '賞味期限' or '消費期限'
+ */
+function getDateTypeLabel(ingredient) {
+    return DATE_TYPES[getDateType(ingredient)].label;
+}
+
 /**
  * Get expiration status
  * @param {Object} ingredient - Ingredient object
- * @returns {string} Status: 'expired', 'critical', 'warning', 'fresh'
+ * @returns {string} Status: 'expired', 'grace', 'critical', 'warning', 'fresh'
  */
 function getExpirationStatus(ingredient) {
     const daysRemaining = calculateDaysRemaining(ingredient.expirationDate);
+    const thresholds = getStatusThresholds(ingredient.category);
 
     if (daysRemaining < 0) {
+        // Best-before items get a few more days; use-by items never do
+        if (getDateType(ingredient) === 'bestBefore' && -daysRemaining <= getSettings().graceDays) {
+            return 'grace';  // 賞味期限切れ（猶予中）
+        }
         return 'expired';  // 期限切れ
-    } else if (daysRemaining <= 3) {
-        return 'critical';  // 要注意（1-3日）
-    } else if (daysRemaining <= 7) {
-        return 'warning';  // 注意（4-7日）
+    } else if (daysRemaining <= thresholds.critical) {
+        return 'critical';  // 要注意（既定 1-3日）
+    } else if (daysRemaining <= thresholds.warning) {
+        return 'warning';  // 注意（既定 4-7日）
     } else {
-        return 'fresh';  // 新鮮（8日以上）
+        return 'fresh';  // 新鮮（既定 8日以上）
     }
 }
 
@@ -137,6 +390,7 @@ function getExpirationStatus(ingredient) {
 function getStatusLabel(status) {
     const labels = {
         'expired': '期限切れ',
+        'grace': '猶予中',
         'critical': '要注意',
         'warning': '注意',
         'fresh': '新鮮'
@@ -169,7 +423,7 @@ function sortIngredients(ingredients, sortBy = 'expiration', order = 'asc') {
                 break;
 
             case 'status':
-                const statusOrder = { 'expired': 0, 'critical': 1, 'warning': 2, 'fresh': 3 };
+                const statusOrder = { 'expired': 0, 'grace': 1, 'critical': 2, 'warning': 3, 'fresh': 4 };
                 compareA = statusOrder[getExpirationStatus(a)];
                 compareB = statusOrder[getExpirationStatus(b)];
                 break;
@@ -190,6 +444,11 @@ function sortIngredients(ingredients, sortBy = 'expiration', order = 'asc') {
 
         if (compareA < compareB) return order === 'asc' ? -1 : 1;
         if (compareA > compareB) return order === 'asc' ? 1 : -1;
+
+        // Same date: use-by items first, they cannot wait past it
+        if (sortBy === 'expiration' || sortBy === 'status') {
+            return (getDateType(b) === 'useBy') - (getDateType(a) === 'useBy');
+        }
         return 0;
     });
 
@@ -248,6 +507,29 @@ function getTodayString() {
     return today.toISOString().split('T')[0];
 }
 
+/**
+ * Add days to a date
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function addDaysToDate(dateString, days) {
+    const date = new Date(dateString);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Days from purchase to expiration
+ * @param {Object} ingredient - Ingredient with purchaseDate and expirationDate
+ * @returns {number} Shelf life in days
+ */
+function getShelfLifeDays(ingredient) {
+    const purchased = new Date(ingredient.purchaseDate || getTodayString());
+    const expires = new Date(ingredient.expirationDate);
+    return Math.round((expires - purchased) / (1000 * 60 * 60 * 24));
+}
+
 /**
  * Format date to Japanese format
  * @param {string} dateString - ISO date string
@@ -290,6 +572,7 @@ function getIngredientStats(ingredients) {
     const stats = {
         total: ingredients.length,
         expired: 0,
+        grace: 0,
         critical: 0,
         warning: 0,
         fresh: 0,
@@ -309,3 +592,99 @@ function getIngredientStats(ingredients) {
 
     return stats;
 }
+
+/**
+ * Get statistics about consumed / discarded / given-away items
+ * @param {Array} entries - History entries (see createHistoryEntry)
+ * @param {number} months - Number of months in the monthly breakdown (ending this month)
+ * @returns {Object} Statistics
+ */
+function getHistoryStats(entries, months = 12) {
+    const stats = {
+        total: entries.length,
+        eaten: 0,
+        discarded: 0,
+        given: 0,
+        wasteRate: null,
+        monthly: [],
+        wastedByCategory: [],
+        wastedItems: [],
+        daysToConsumeByCategory: []
+    };
+
+    // Monthly buckets, oldest first
+    const today = new Date();
+    const monthIndex = {};
+    for (let i = months - 1; i >= 0; i--) {
+        const date = new Date(today.getFullYear(), today.getMonth() - i, 1);
+        const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        monthIndex[key] = stats.monthly.length;
+        stats.monthly.push({ month: key, eaten: 0, discarded: 0, given: 0, wasteRate: null });
+    }
+
+    const wastedByCategory = {};
+    const wastedItems = {};
+    const consumeDays = {};
+
+    entries.forEach(entry => {
+        if (stats[entry.disposition] === undefined) {
+            return;
+        }
+        stats[entry.disposition]++;
+
+        const disposed = new Date(entry.disposedAt);
+        const key = `${disposed.getFullYear()}-${String(disposed.getMonth() + 1).padStart(2, '0')}`;
+        if (monthIndex[key] !== undefined) {
+            stats.monthly[monthIndex[key]][entry.disposition]++;
+        }
+
+        if (entry.disposition === 'discarded') {
+            wastedByCategory[entry.category] = (wastedByCategory[entry.category] || 0) + 1;
+            wastedItems[entry.name] = (wastedItems[entry.name] || 0) + 1;
+        }
+
+        if (entry.disposition === 'eaten' && entry.purchaseDate) {
+            const purchased = new Date(entry.purchaseDate);
+            purchased.setHours(0, 0, 0, 0);
+            disposed.setHours(0, 0, 0, 0);
+
+            const days = Math.max(0, Math.round((disposed - purchased) / (1000 * 60 * 60 * 24)));
+            if (!consumeDays[entry.category]) {
+                consumeDays[entry.category] = [];
+            }
+            consumeDays[entry.category].push(days);
+        }
+    });
+
+    stats.wasteRate = getWasteRate(stats);
+    stats.monthly.forEach(month => {
+        month.wasteRate = getWasteRate(month);
+    });
+
+    const byCountDesc = (a, b) => b.count - a.count;
+    stats.wastedByCategory = Object.entries(wastedByCategory)
+        .map(([category, count]) => ({ category, count }))
+        .sort(byCountDesc);
+    stats.wastedItems = Object.entries(wastedItems)
+        .map(([name, count]) => ({ name, count }))
+        .sort(byCountDesc);
+    stats.daysToConsumeByCategory = Object.entries(consumeDays)
+        .map(([category, days]) => ({
+            category,
+            days: Math.round(days.reduce((sum, d) => sum + d, 0) / days.length * 10) / 10,
+            count: days.length
+        }))
+        .sort((a, b) => b.days - a.days);
+
+    return stats;
+}
+
+/**
+ * Share of items that were thrown away
+ * @param {Object} counts - { eaten, discarded, given }
+ * @returns {number|null} Ratio between 0 and 1, or null without data
+ */
+function getWasteRate(counts) {
+    const total = counts.eaten + counts.discarded + counts.given;
+    return total > 0 ? counts.discarded / total : null;
+}
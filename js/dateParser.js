@@ -0,0 +1,152 @@
+// dateParser.js - Find expiry dates in text read from a package (OCR output)
+
+// Dates further away than this are probably not expiry dates (lot numbers, phone numbers...)
+const PARSED_DATE_MAX_PAST_DAYS = 365;
+const PARSED_DATE_MAX_FUTURE_YEARS = 10;
+
+// Candidates shown for confirmation
+const MAX_DATE_CANDIDATES = 3;
+
+// Printed keywords and the date type they announce ('manufactured' dates are skipped)
+const DATE_TYPE_KEYWORDS = [
+    { pattern: /賞味期限|賞味/g, dateType: 'bestBefore' },
+    { pattern: /消費期限|消費/g, dateType: 'useBy' },
+    { pattern: /製造|加工|包装/g, dateType: 'manufactured' }
+];
+
+// Formats, most specific first; `rank` orders candidates of the same quality
+const DATE_STAMP_PATTERNS = [
+    // 2026年3月15日, 2026.03.15, 26.03.15, 26-3-15, 26/3/15
+    { regex: /(?<!\d)(\d{4}|\d{2})\s*[.\/\-年]\s*(\d{1,2})\s*[.\/\-月]\s*(\d{1,2})(?!\d)\s*日?/g, parts: 'ymd', rank: 0 },
+    // 2027.03, 2027年3月, 27年3月 (year and month only = last day of the month)
+    { regex: /(?<!\d)(\d{4})\s*[.\/\-年]\s*(\d{1,2})(?![\d.\/\-])\s*月?/g, parts: 'ym', rank: 1 },
+    { regex: /(?<!\d)(\d{2})\s*年\s*(\d{1,2})\s*月/g, parts: 'ym', rank: 1 },
+    // 20260315, 260315
+    { regex: /(?<!\d)(\d{4}|\d{2})(\d{2})(\d{2})(?!\d)/g, parts: 'ymd', rank: 2 }
+];
+
+/**
+ * Find expiry date candidates in OCR text
+ * @param {string} text - Recognized text
+ * @param {string} today - Today (YYYY-MM-DD), for the plausible range
+ * @returns {Array} Up to three { date, text, dateType }, most likely first; dateType is null when no keyword was printed
+ */
+function parseExpiryDates(text, today = getTodayString()) {
+    const normalized = normalizeOcrText(text);
+    const candidates = [];
+    const taken = [];
+
+    DATE_STAMP_PATTERNS.forEach(({ regex, parts, rank }) => {
+        for (const match of normalized.matchAll(regex)) {
+            const start = match.index;
+            const end = start + match[0].length;
+
+            // A shorter format must not re-read part of a date already found
+            if (taken.some(span => start < span.end && end > span.start)) {
+                continue;
+            }
+
+            const date = parts === 'ymd' ?
+                toDateString(match[1], match[2], match[3]) :
+                toDateString(match[1], match[2], null);
+
+            if (!date || !isPlausibleExpiryDate(date, today)) {
+                continue;
+            }
+
+            taken.push({ start, end });
+
+            const dateType = findDateTypeBefore(normalized, start);
+            if (dateType === 'manufactured') {
+                continue;
+            }
+
+            candidates.push({
+                date,
+                text: match[0].trim(),
+                dateType,
+                rank,
+                index: start
+            });
+        }
+    });
+
+    // Dates next to a printed keyword first, then by format, then in reading order
+    candidates.sort((a, b) =>
+        (a.dateType ? 0 : 1) - (b.dateType ? 0 : 1) ||
+        a.rank - b.rank ||
+        a.index - b.index);
+
+    const unique = [];
+    candidates.forEach(candidate => {
+        if (!unique.some(c => c.date === candidate.date)) {
+            unique.push({ date: candidate.date, text: candidate.text, dateType: candidate.dateType });
+        }
+    });
+    return unique.slice(0, MAX_DATE_CANDIDATES);
+}
+
+/**
+ * Normalize OCR text: full-width characters and letters misread inside numbers
+ * @param {string} text - Recognized text
+ * @returns {string} Normalized text
+ */
+function normalizeOcrText(text) {
+    return text
+        .normalize('NFKC')
+        .replace(/(?<=\d)[Oo]|[Oo](?=\d)/g, '0')
+        .replace(/(?<=\d)[lI|]|[lI|](?=\d)/g, '1')
+        .replace(/[・･]/g, '.');
+}
+
+/**
+ * Build a YYYY-MM-DD string, or null if it is not a real date
+ * @param {string} year - Two or four digits (two digits = 20YY)
+ * @param {string} month - Month
+ * @param {string|null} day - Day, or null for the last day of the month
+ * @returns {string|null} Date string
+ */
+function toDateString(year, month, day) {
+    const y = year.length === 2 ? 2000 + Number(year) : Number(year);
+    const m = Number(month);
+    const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const d = day === null ? lastDay : Number(day);
+
+    if (m < 1 || m > 12 || d < 1 || d > lastDay) {
+        return null;
+    }
+    return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+/**
+ * Whether a date is in the range an expiry date can reasonably be in
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD
+ * @returns {boolean} Plausible
+ */
+function isPlausibleExpiryDate(date, today) {
+    const earliest = addDaysToDate(today, -PARSED_DATE_MAX_PAST_DAYS);
+    const latest = `${Number(today.slice(0, 4)) + PARSED_DATE_MAX_FUTURE_YEARS}${today.slice(4)}`;
+    return date >= earliest && date <= latest;
+}
+
+/**
+ * The date type announced by the last keyword before a position
+ * @param {string} text - Normalized text
+ * @param {number} position - Start of the date
+ * @returns {string|null} 'bestBefore', 'useBy', 'manufactured', or null
+ */
+function findDateTypeBefore(text, position) {
+    let found = null;
+    let foundAt = -1;
+
+    DATE_TYPE_KEYWORDS.forEach(({ pattern, dateType }) => {
+        for (const match of text.slice(0, position).matchAll(pattern)) {
+            if (match.index > foundAt) {
+                found = dateType;
+                foundAt = match.index;
+            }
+        }
+    });
+    return found;
+}
@@ -0,0 +1,161 @@
+// digest.js - Daily expiry digest, shared by the page and the service worker (no DOM access)
+
+// Used both as the periodic sync tag and the notification tag
+const DIGEST_TAG = 'freshly-daily-digest';
+
+// Key of the schedule record in the 'meta' store: { key, time, householdIds, lastDigestDate }
+const DIGEST_SCHEDULE_KEY = 'digestSchedule';
+
+// Names listed per group before "ほかN件"
+const DIGEST_MAX_NAMES = 5;
+
+/**
+ * Show today's digest once its time has come, unless it was already shown
+ * @param {Function} show - (title, options) => Promise, e.g. registration.showNotification
+ * @param {Date} [now] - Current time
+ * @returns {Promise<boolean>} Whether a digest was shown
+ */
+async function runDailyDigest(show, now = new Date()) {
+    const schedule = await idbGet('meta', DIGEST_SCHEDULE_KEY);
+    if (!schedule || schedule.householdIds.length === 0) {
+        return false;
+    }
+
+    const today = toLocalDateString(now);
+    if (schedule.lastDigestDate === today || toLocalTimeString(now) < schedule.time) {
+        return false;
+    }
+
+    const snapshots = (await idbGetAll('digestSnapshots'))
+        .filter(snapshot => schedule.householdIds.includes(snapshot.householdId));
+    const digest = buildDigest(snapshots, schedule.lastDigestDate, today);
+
+    // Marked before showing; if the page and the worker race, the shared tag
+    // makes the second notification replace the first instead of stacking
+    await idbPut('meta', { ...schedule, lastDigestDate: today });
+
+    const message = formatDigest(digest);
+    if (!message) {
+        return false;
+    }
+
+    await show(message.title, {
+        body: message.body,
+        tag: DIGEST_TAG,
+        icon: 'icons/icon-192.png'
+    });
+    return true;
+}
+
+/**
+ * Collect the items that expire today or turned critical since the last digest
+ * @param {Array} snapshots - Digest snapshots: { householdId, householdName, items: [{ name, expirationDate, criticalDays }] }
+ * @param {string|undefined} lastDigestDate - Day of the previous digest (YYYY-MM-DD)
+ * @param {string} today - Today (YYYY-MM-DD)
+ * @returns {Array} [{ householdName, expiringToday: [name], turnedCritical: [{ name, days }] }]
+ */
+function buildDigest(snapshots, lastDigestDate, today) {
+    // Days since the previous digest, so items are not missed when a day was skipped
+    const gap = lastDigestDate ? Math.max(1, getDaysBetween(lastDigestDate, today)) : 1;
+
+    return snapshots.map(snapshot => {
+        const expiringToday = [];
+        const turnedCritical = [];
+
+        snapshot.items.forEach(item => {
+            const days = getDaysBetween(today, item.expirationDate);
+
+            if (days === 0) {
+                expiringToday.push(item.name);
+            } else if (days > 0 && days <= item.criticalDays && days > item.criticalDays - gap) {
+                turnedCritical.push({ name: item.name, days });
+            }
+        });
+
+        turnedCritical.sort((a, b) => a.days - b.days);
+        return { householdName: snapshot.householdName, expiringToday, turnedCritical };
+    }).filter(entry => entry.expiringToday.length > 0 || entry.turnedCritical.length > 0);
+}
+
+/**
+ * Turn a digest into notification text
+ * @param {Array} digest - Result of buildDigest
+ * @returns {Object|null} { title, body }, or null when there is nothing to report
+ */
+function formatDigest(digest) {
+    if (digest.length === 0) {
+        return null;
+    }
+
+    const count = digest.reduce((sum, entry) => sum + entry.expiringToday.length + entry.turnedCritical.length, 0);
+    const lines = [];
+
+    digest.forEach(entry => {
+        const prefix = digest.length > 1 ? `【${entry.householdName}】` : '';
+
+        if (entry.expiringToday.length > 0) {
+            lines.push(`${prefix}今日まで: ${formatDigestNames(entry.expiringToday)}`);
+        }
+        if (entry.turnedCritical.length > 0) {
+            const names = entry.turnedCritical.map(item => `${item.name}（あと${item.days}日）`);
+            lines.push(`${prefix}要注意: ${formatDigestNames(names)}`);
+        }
+    });
+
+    return {
+        title: `期限が近いものが${count}件あります`,
+        body: lines.join('\n')
+    };
+}
+
+/**
+ * Join names, shortening long lists
+ * @param {Array<string>} names - Item names
+ * @returns {string} e.g. "牛乳、卵 ほか3件"
+ */
+function formatDigestNames(names) {
+    const shown = names.slice(0, DIGEST_MAX_NAMES).join('、');
+    const rest = names.length - DIGEST_MAX_NAMES;
+    return rest > 0 ? `${shown} ほか${rest}件` : shown;
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - Date (YYYY-MM-DD)
+ * @param {string} to - Date (YYYY-MM-DD)
+ * @returns {number} Days (negative if `to` is earlier)
+ */
+function getDaysBetween(from, to) {
+    return Math.round((parseLocalDate(to) - parseLocalDate(from)) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Midnight, local time, of a YYYY-MM-DD date
+ * (new Date('YYYY-MM-DD') is midnight UTC, the day before in time zones west of it)
+ * @param {string} dateString - Date (YYYY-MM-DD)
+ * @returns {Date} Local date
+ */
+function parseLocalDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Local date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toLocalDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Local time as HH:MM
+ * @param {Date} date - Date
+ * @returns {string} Time string
+ */
+function toLocalTimeString(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
@@ -0,0 +1,230 @@
+// expiryOcr.js - Read the printed expiry date from a photo (Tesseract.js, runs in the browser)
+
+// Loaded from the CDN on first use, like the worker and WASM files Tesseract.js fetches itself.
+// The service worker does not keep them, so reading a photo needs a connection;
+// Tesseract.js stores the language data in IndexedDB after the first download.
+const TESSERACT_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js';
+const OCR_LANGUAGE = 'jpn';
+
+// Photos are scaled down to this size (longest side) before recognition
+const OCR_MAX_IMAGE_SIZE = 1600;
+
+let tesseractLoading = null;
+let expiryOcrPreviewUrl = null;
+
+// Increased on every photo and reset, so a late result of an old photo is ignored
+let expiryOcrRun = 0;
+
+/**
+ * Initialize the photo button and the candidate panel
+ */
+function initExpiryOcr() {
+    const photoBtn = document.getElementById('expiryPhotoBtn');
+    const photoInput = document.getElementById('expiryPhotoInput');
+    if (photoBtn && photoInput) {
+        photoBtn.addEventListener('click', () => photoInput.click());
+        photoInput.addEventListener('change', () => {
+            if (photoInput.files.length > 0) {
+                readExpiryDateFromPhoto(photoInput.files[0]);
+            }
+            photoInput.value = '';
+        });
+    }
+
+    const closeBtn = document.getElementById('expiryOcrCloseBtn');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', resetExpiryOcr);
+    }
+}
+
+/**
+ * Recognize the text in a photo and offer the dates found in it
+ * @param {File} file - Photo taken or chosen by the user
+ */
+async function readExpiryDateFromPhoto(file) {
+    resetExpiryOcr();
+    const run = expiryOcrRun;
+
+    expiryOcrPreviewUrl = URL.createObjectURL(file);
+    document.getElementById('expiryOcrPreview').src = expiryOcrPreviewUrl;
+    document.getElementById('expiryOcr').classList.remove('hidden');
+    setExpiryOcrStatus('文字認識の準備をしています…');
+
+    let text;
+    try {
+        const image = await loadImage(expiryOcrPreviewUrl);
+        text = await recognizeText(scaleImageForOcr(image), progress => {
+            if (run === expiryOcrRun) {
+                setExpiryOcrStatus(`読み取り中… ${Math.round(progress * 100)}%`);
+            }
+        });
+    } catch (error) {
+        console.error('OCR failed:', error);
+        if (run === expiryOcrRun) {
+            setExpiryOcrStatus('読み取りに失敗しました。通信状態を確認するか、日付を入力してください');
+        }
+        return;
+    }
+
+    if (run !== expiryOcrRun) {
+        return;
+    }
+
+    const candidates = parseExpiryDates(text);
+    if (candidates.length === 0) {
+        setExpiryOcrStatus('日付を見つけられませんでした。日付に近づいて撮り直すか、入力してください');
+        return;
+    }
+
+    setExpiryOcrStatus('読み取った日付を確認して選んでください');
+    renderExpiryCandidates(candidates);
+}
+
+/**
+ * Load Tesseract.js and run it on an image
+ * The worker is ended after each photo to give its memory back (it is large on phones).
+ * @param {HTMLCanvasElement} canvas - Image to read
+ * @param {Function} onProgress - Called with 0..1 while recognizing
+ * @returns {Promise<string>} Recognized text
+ */
+async function recognizeText(canvas, onProgress) {
+    await loadTesseract();
+
+    const worker = await Tesseract.createWorker(OCR_LANGUAGE, 1, {
+        logger: message => {
+            if (message.status === 'recognizing text') {
+                onProgress(message.progress);
+            }
+        }
+    });
+
+    try {
+        const { data } = await worker.recognize(canvas);
+        return data.text;
+    } finally {
+        await worker.terminate();
+    }
+}
+
+/**
+ * Add the Tesseract.js script to the page once
+ * @returns {Promise<void>}
+ */
+function loadTesseract() {
+    if (typeof Tesseract !== 'undefined') {
+        return Promise.resolve();
+    }
+
+    if (!tesseractLoading) {
+        tesseractLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = TESSERACT_SCRIPT_URL;
+            script.onload = resolve;
+            script.onerror = () => {
+                tesseractLoading = null;
+                script.remove();
+                reject(new Error('Could not load Tesseract.js'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return tesseractLoading;
+}
+
+/**
+ * Load an image from a URL
+ * @param {string} url - Object URL of the photo
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not read the photo'));
+        image.src = url;
+    });
+}
+
+/**
+ * Draw a photo on a canvas no larger than OCR_MAX_IMAGE_SIZE
+ * @param {HTMLImageElement} image - Photo
+ * @returns {HTMLCanvasElement} Scaled copy
+ */
+function scaleImageForOcr(image) {
+    const scale = Math.min(1, OCR_MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Show the dates found as buttons; choosing one fills in the form
+ * @param {Array} candidates - Result of parseExpiryDates
+ */
+function renderExpiryCandidates(candidates) {
+    const container = document.getElementById('expiryOcrCandidates');
+    container.innerHTML = '';
+
+    candidates.forEach(candidate => {
+        const [year, month, day] = candidate.date.split('-').map(Number);
+        const typeLabel = candidate.dateType ? `${DATE_TYPES[candidate.dateType].label}・` : '';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'expiry-ocr-candidate';
+        button.textContent = `${year}年${month}月${day}日（${typeLabel}「${candidate.text}」）`;
+        button.addEventListener('click', () => applyExpiryCandidate(candidate));
+        container.appendChild(button);
+    });
+}
+
+/**
+ * Fill in the expiration date (and date type, when it was printed) from a confirmed candidate
+ * @param {Object} candidate - { date, text, dateType }
+ */
+function applyExpiryCandidate(candidate) {
+    const input = document.getElementById('expirationDate');
+    input.value = candidate.date;
+    input.classList.remove('error');
+    document.getElementById('expirationDateError').textContent = '';
+
+    if (candidate.dateType) {
+        document.getElementById('dateType').value = candidate.dateType;
+        updateExpirationDateLabel();
+    }
+
+    checkPurchaseDateField();
+    updateShelfLifeSuggestion();
+    resetExpiryOcr();
+}
+
+/**
+ * Show a status line in the OCR panel
+ * @param {string} message - Status text
+ */
+function setExpiryOcrStatus(message) {
+    document.getElementById('expiryOcrStatus').textContent = message;
+}
+
+/**
+ * Hide the OCR panel and drop the photo (form opened or closed, or panel closed)
+ */
+function resetExpiryOcr() {
+    expiryOcrRun++;
+
+    if (expiryOcrPreviewUrl) {
+        URL.revokeObjectURL(expiryOcrPreviewUrl);
+        expiryOcrPreviewUrl = null;
+    }
+
+    const panel = document.getElementById('expiryOcr');
+    if (!panel) {
+        return;
+    }
+    panel.classList.add('hidden');
+    document.getElementById('expiryOcrPreview').removeAttribute('src');
+    document.getElementById('expiryOcrCandidates').innerHTML = '';
+    setExpiryOcrStatus('');
+}
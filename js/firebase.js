@@ -12,32 +12,86 @@ const firebaseConfig = {
   appId: "1:801616785736:web:1f7cc7e7f376ba4fac437d"
 };
 
+// Must match emulators.firestore.port in firebase.json
+const FIRESTORE_EMULATOR_PORT = 8080;
 
-// Initialize Firebase
-firebase.initializeApp(firebaseConfig);
+// Maximum number of writes in one Firestore batch
+const FIRESTORE_BATCH_LIMIT = 500;
 
-// Initialize Firestore
-const db = firebase.firestore();
 
-// Collection reference
-const ingredientsCollection = db.collection('ingredients');
+// Initialized lazily so the app can run on the local backend without Firebase
+let db = null;
+let householdsCollection = null;
 
-console.log('Firebase initialized successfully!');
+/**
+ * Initialize Firebase and Firestore (only when the Firestore backend is used)
+ * @returns {Object} Firestore instance
+ */
+function initializeFirebase() {
+    if (db) {
+        return db;
+    }
+
+    if (typeof firebase === 'undefined') {
+        throw new Error('Firebase SDK is not loaded');
+    }
+
+    firebase.initializeApp(firebaseConfig);
+    db = firebase.firestore();
+
+    // Local development against the Firestore emulator: http://localhost:<port>/?emulator
+    if (isFirestoreEmulatorRequested()) {
+        db.useEmulator('localhost', FIRESTORE_EMULATOR_PORT);
+        console.log('Using Firestore emulator on port', FIRESTORE_EMULATOR_PORT);
+    }
+
+    // Keep a local copy of the data so the list still shows after an offline reload
+    db.enablePersistence({ synchronizeTabs: true })
+        .catch(error => {
+            console.warn('Firestore offline persistence unavailable:', error.code);
+        });
+
+    // Collection reference
+    householdsCollection = db.collection('households');
+
+    console.log('Firebase initialized successfully!');
+    return db;
+}
+
+/**
+ * Check whether the app should talk to the local Firestore emulator
+ * @returns {boolean} True on localhost with ?emulator in the URL
+ */
+function isFirestoreEmulatorRequested() {
+    const host = window.location.hostname;
+    const params = new URLSearchParams(window.location.search);
+    return (host === 'localhost' || host === '127.0.0.1') && params.has('emulator');
+}
 
 /**
- * Load all ingredients from Firestore
+ * Get the ingredients collection of a household
+ * @param {string} householdId - Household ID
+ * @returns {Object} Collection reference (households/{id}/ingredients)
+ */
+function getIngredientsCollection(householdId) {
+    return householdsCollection.doc(householdId).collection('ingredients');
+}
+
+/**
+ * Load all ingredients of a household from Firestore
+ * @param {string} householdId - Household ID
  * @returns {Promise<Array>} Array of ingredients
  */
-async function loadIngredientsFromFirestore() {
+async function loadIngredientsFromFirestore(householdId) {
     try {
-        const snapshot = await ingredientsCollection.orderBy('expirationDate', 'asc').get();
+        const snapshot = await getIngredientsCollection(householdId).orderBy('expirationDate', 'asc').get();
         const ingredients = [];
 
         snapshot.forEach(doc => {
-            ingredients.push({
+            ingredients.push(migrateIngredient({
                 id: doc.id,
                 ...doc.data()
-            });
+            }));
         });
 
         console.log(`Loaded ${ingredients.length} ingredients from Firestore`);
@@ -50,15 +104,16 @@ async function loadIngredientsFromFirestore() {
 
 /**
  * Add ingredient to Firestore
+ * @param {string} householdId - Household ID
  * @param {Object} ingredient - Ingredient object
  * @returns {Promise<string>} Document ID
  */
-async function addIngredientToFirestore(ingredient) {
+async function addIngredientToFirestore(householdId, ingredient) {
     try {
         // Use local UUID as Firestore document ID for consistent ID across local and cloud
         const docId = ingredient.id;
         const { id, ...data } = ingredient;
-        await ingredientsCollection.doc(docId).set(data);
+        await getIngredientsCollection(householdId).doc(docId).set(data);
         console.log('Ingredient added with ID:', docId);
         return docId;
     } catch (error) {
@@ -69,32 +124,65 @@ async function addIngredientToFirestore(ingredient) {
 
 /**
  * Update ingredient in Firestore
+ * With baseUpdatedAt the update runs in a transaction and is rejected
+ * if someone else saved the item after it was read.
+ * @param {string} householdId - Household ID
  * @param {string} id - Ingredient ID
  * @param {Object} data - Updated data
+ * @param {string} [baseUpdatedAt] - updatedAt of the version the change is based on
  * @returns {Promise<boolean>} Success status
  */
-async function updateIngredientInFirestore(id, data) {
+async function updateIngredientInFirestore(householdId, id, data, baseUpdatedAt) {
+    const docRef = getIngredientsCollection(householdId).doc(id);
+
+    // Keep the client's timestamp so queued edits of the same item chain up
+    const changes = { ...data, updatedAt: data.updatedAt || new Date().toISOString() };
+
     try {
-        await ingredientsCollection.doc(id).update({
-            ...data,
-            updatedAt: new Date().toISOString()
-        });
+        if (baseUpdatedAt === undefined) {
+            await docRef.update(changes);
+        } else {
+            await db.runTransaction(async transaction => {
+                const doc = await transaction.get(docRef);
+
+                if (!doc.exists) {
+                    const error = new Error(`No ingredient with id ${id}`);
+                    error.code = 'not-found';
+                    throw error;
+                }
+
+                // Sent again after a timeout, but the first attempt went through
+                if (data.updatedAt && doc.data().updatedAt === data.updatedAt) {
+                    return;
+                }
+
+                if (doc.data().updatedAt !== baseUpdatedAt) {
+                    throw createConflictError({ id, ...doc.data() });
+                }
+
+                transaction.update(docRef, changes);
+            });
+        }
+
         console.log('Ingredient updated:', id);
         return true;
     } catch (error) {
-        console.error('Error updating in Firestore:', error);
+        if (error.code !== 'conflict') {
+            console.error('Error updating in Firestore:', error);
+        }
         throw error;
     }
 }
 
 /**
  * Delete ingredient from Firestore
+ * @param {string} householdId - Household ID
  * @param {string} id - Ingredient ID
  * @returns {Promise<boolean>} Success status
  */
-async function deleteIngredientFromFirestore(id) {
+async function deleteIngredientFromFirestore(householdId, id) {
     try {
-        await ingredientsCollection.doc(id).delete();
+        await getIngredientsCollection(householdId).doc(id).delete();
         console.log('Ingredient deleted:', id);
         return true;
     } catch (error) {
@@ -104,12 +192,13 @@ async function deleteIngredientFromFirestore(id) {
 }
 
 /**
- * Clear all ingredients from Firestore
+ * Clear all ingredients of a household from Firestore
+ * @param {string} householdId - Household ID
  * @returns {Promise<boolean>} Success status
  */
-async function clearAllIngredientsFromFirestore() {
+async function clearAllIngredientsFromFirestore(householdId) {
     try {
-        const snapshot = await ingredientsCollection.get();
+        const snapshot = await getIngredientsCollection(householdId).get();
         const batch = db.batch();
 
         snapshot.forEach(doc => {
@@ -126,18 +215,20 @@ async function clearAllIngredientsFromFirestore() {
 }
 
 /**
- * Listen to real-time updates from Firestore
+ * Listen to real-time updates of a household's ingredients
+ * @param {string} householdId - Household ID
  * @param {Function} callback - Callback function when data changes
+ * @returns {Function} Unsubscribe function
  */
-function listenToIngredientsChanges(callback) {
-    ingredientsCollection.orderBy('expirationDate', 'asc').onSnapshot(
+function listenToIngredientsChanges(householdId, callback) {
+    return getIngredientsCollection(householdId).orderBy('expirationDate', 'asc').onSnapshot(
         snapshot => {
             const ingredients = [];
             snapshot.forEach(doc => {
-                ingredients.push({
+                ingredients.push(migrateIngredient({
                     id: doc.id,
                     ...doc.data()
-                });
+                }));
             });
             console.log('Real-time update received:', ingredients.length, 'ingredients');
             callback(ingredients);
@@ -147,3 +238,518 @@ function listenToIngredientsChanges(callback) {
         }
     );
 }
+
+/**
+ * Move an ingredient into the household's history in one batch
+ * @param {string} householdId - Household ID
+ * @param {Object} entry - History entry (see createHistoryEntry)
+ * @returns {Promise<boolean>} Success status
+ */
+async function archiveIngredientInFirestore(householdId, entry) {
+    try {
+        const { id, ...data } = entry;
+        const batch = db.batch();
+
+        batch.set(getHistoryCollection(householdId).doc(id), data);
+        batch.delete(getIngredientsCollection(householdId).doc(id));
+
+        await batch.commit();
+        console.log('Ingredient archived:', id, entry.disposition);
+        return true;
+    } catch (error) {
+        console.error('Error archiving in Firestore:', error);
+        throw error;
+    }
+}
+
+/**
+ * Write several operations in one Firestore batch (all or nothing)
+ * @param {string} householdId - Household ID
+ * @param {Array} operations - add/update/delete/archive/restore operations (see enqueueOperation)
+ * @returns {Promise<boolean>} Success status
+ */
+async function batchWriteInFirestore(householdId, operations) {
+    try {
+        const batch = db.batch();
+        const ingredients = getIngredientsCollection(householdId);
+        const history = getHistoryCollection(householdId);
+
+        operations.forEach(operation => {
+            switch (operation.type) {
+                case 'add': {
+                    const { id, ...data } = operation.ingredient;
+                    batch.set(ingredients.doc(id), data);
+                    break;
+                }
+                case 'update':
+                    batch.update(ingredients.doc(operation.id), operation.updates);
+                    break;
+                case 'delete':
+                    batch.delete(ingredients.doc(operation.id));
+                    break;
+                case 'archive': {
+                    const { id, ...data } = operation.entry;
+                    batch.set(history.doc(id), data);
+                    batch.delete(ingredients.doc(id));
+                    break;
+                }
+                case 'restore': {
+                    const { id, ...data } = getIngredientFromHistoryEntry(operation.entry);
+                    batch.set(ingredients.doc(id), data);
+                    batch.delete(history.doc(id));
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown batch operation type: ${operation.type}`);
+            }
+        });
+
+        await batch.commit();
+        console.log('Batch written:', operations.length, 'operations');
+        return true;
+    } catch (error) {
+        console.error('Error writing batch to Firestore:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load the household's history from Firestore
+ * @param {string} householdId - Household ID
+ * @returns {Promise<Array>} History entries, newest first
+ */
+async function loadHistoryFromFirestore(householdId) {
+    try {
+        const snapshot = await getHistoryCollection(householdId).orderBy('disposedAt', 'desc').get();
+        const entries = [];
+
+        snapshot.forEach(doc => {
+            entries.push(migrateIngredient({
+                id: doc.id,
+                ...doc.data()
+            }));
+        });
+
+        return entries;
+    } catch (error) {
+        console.error('Error loading history from Firestore:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the history collection of a household
+ * @param {string} householdId - Household ID
+ * @returns {Object} Collection reference (households/{id}/history)
+ */
+function getHistoryCollection(householdId) {
+    return householdsCollection.doc(householdId).collection('history');
+}
+
+/**
+ * Get the backup collection of a household
+ * @param {string} householdId - Household ID
+ * @returns {Object} Collection reference (households/{id}/backups)
+ */
+function getBackupsCollection(householdId) {
+    return householdsCollection.doc(householdId).collection('backups');
+}
+
+/**
+ * Save a snapshot of the household's items
+ * @param {string} householdId - Household ID
+ * @param {Object} backup - { id, reason, date, createdAt, ingredients }
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveBackupToFirestore(householdId, backup) {
+    try {
+        const { id, ...data } = backup;
+        await getBackupsCollection(householdId).doc(id).set(data);
+        return true;
+    } catch (error) {
+        console.error('Error saving backup to Firestore:', error);
+        throw error;
+    }
+}
+
+/**
+ * Load the household's snapshots
+ * @param {string} householdId - Household ID
+ * @returns {Promise<Array>} Backups, newest first
+ */
+async function loadBackupsFromFirestore(householdId) {
+    try {
+        const snapshot = await getBackupsCollection(householdId).orderBy('createdAt', 'desc').get();
+        const backups = [];
+
+        snapshot.forEach(doc => {
+            backups.push({
+                id: doc.id,
+                householdId,
+                ...doc.data()
+            });
+        });
+
+        return backups;
+    } catch (error) {
+        console.error('Error loading backups from Firestore:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} householdId - Household ID
+ * @param {string} id - Backup ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteBackupFromFirestore(householdId, id) {
+    try {
+        await getBackupsCollection(householdId).doc(id).delete();
+        return true;
+    } catch (error) {
+        console.error('Error deleting backup from Firestore:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create a household with its owner as first member
+ * @param {Object} household - { id, name, ownerUid, ownerName, createdAt }
+ * @returns {Promise<string>} Household ID
+ */
+async function createHouseholdInFirestore(household) {
+    try {
+        const { id, ownerName, ...data } = household;
+        const householdRef = householdsCollection.doc(id);
+        const batch = db.batch();
+
+        batch.set(householdRef, data);
+        batch.set(householdRef.collection('members').doc(household.ownerUid), {
+            role: 'owner',
+            displayName: ownerName || null,
+            joinedAt: household.createdAt
+        });
+        batch.set(getMembershipsCollection(household.ownerUid).doc(id), { name: household.name });
+
+        await batch.commit();
+        console.log('Household created:', id);
+        return id;
+    } catch (error) {
+        console.error('Error creating household:', error);
+        throw error;
+    }
+}
+
+/**
+ * Take ownership of a household created before sign-in existed
+ * (it has no ownerUid yet, so nobody could access it under the rules)
+ * @param {Object} household - { id, name }
+ * @param {Object} user - { uid, displayName }
+ * @returns {Promise<void>}
+ */
+async function claimHouseholdInFirestore(household, user) {
+    try {
+        const householdRef = householdsCollection.doc(household.id);
+        const batch = db.batch();
+
+        batch.update(householdRef, { ownerUid: user.uid });
+        batch.set(householdRef.collection('members').doc(user.uid), {
+            role: 'owner',
+            displayName: user.displayName || null,
+            joinedAt: new Date().toISOString()
+        });
+        batch.set(getMembershipsCollection(user.uid).doc(household.id), { name: household.name });
+
+        await batch.commit();
+        console.log('Household claimed:', household.id);
+    } catch (error) {
+        console.error('Error claiming household:', error);
+        throw error;
+    }
+}
+
+/**
+ * Hand a household over from the signed-in owner to another account
+ * (a guest signing in with an email that already has an account)
+ * @param {Object} household - { id, name }
+ * @param {string} fromUid - Current owner, signed in to db
+ * @param {Object} toUser - { uid, displayName }
+ * @param {Object} toDb - Firestore instance signed in as toUser
+ * @returns {Promise<void>}
+ */
+async function moveHouseholdInFirestore(household, fromUid, toUser, toDb) {
+    try {
+        const householdRef = householdsCollection.doc(household.id);
+        await householdRef.update({ ownerUid: toUser.uid });
+
+        // Only the new owner can register themselves (see ownsAfterWrite in firestore.rules)
+        const batch = toDb.batch();
+        batch.set(toDb.collection('households').doc(household.id).collection('members').doc(toUser.uid), {
+            role: 'owner',
+            displayName: toUser.displayName || null,
+            joinedAt: new Date().toISOString()
+        });
+        batch.set(toDb.collection('users').doc(toUser.uid).collection('memberships').doc(household.id), { name: household.name });
+        await batch.commit();
+
+        const leave = db.batch();
+        leave.delete(householdRef.collection('members').doc(fromUid));
+        leave.delete(getMembershipsCollection(fromUid).doc(household.id));
+        await leave.commit();
+
+        console.log('Household moved:', household.id, toUser.uid);
+    } catch (error) {
+        console.error('Error moving household:', error);
+        throw error;
+    }
+}
+
+/**
+ * List the households a user belongs to
+ * @param {string} uid - User ID
+ * @returns {Promise<Array>} [{ id, name }]
+ */
+async function listHouseholdsFromFirestore(uid) {
+    try {
+        const snapshot = await getMembershipsCollection(uid).get();
+        const households = [];
+
+        snapshot.forEach(doc => {
+            households.push({ id: doc.id, name: doc.data().name });
+        });
+
+        return households;
+    } catch (error) {
+        console.error('Error listing households:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a user's role in a household
+ * @param {string} householdId - Household ID
+ * @param {string} uid - User ID
+ * @returns {Promise<string|null>} 'owner', 'editor', 'viewer' or null if not a member
+ */
+async function getMemberRoleFromFirestore(householdId, uid) {
+    try {
+        const doc = await householdsCollection.doc(householdId).collection('members').doc(uid).get();
+        return doc.exists ? doc.data().role : null;
+    } catch (error) {
+        // Non-members are not allowed to read the member list
+        if (error.code === 'permission-denied') {
+            return null;
+        }
+        console.error('Error loading member role:', error);
+        throw error;
+    }
+}
+
+/**
+ * List members of a household
+ * @param {string} householdId - Household ID
+ * @returns {Promise<Array>} [{ uid, role, displayName, joinedAt }]
+ */
+async function listMembersFromFirestore(householdId) {
+    try {
+        const snapshot = await householdsCollection.doc(householdId).collection('members').get();
+        const members = [];
+
+        snapshot.forEach(doc => {
+            members.push({ uid: doc.id, ...doc.data() });
+        });
+
+        return members;
+    } catch (error) {
+        console.error('Error listing members:', error);
+        throw error;
+    }
+}
+
+/**
+ * Change a member's role (owner only)
+ * @param {string} householdId - Household ID
+ * @param {string} uid - Member's user ID
+ * @param {string} role - New role
+ * @returns {Promise<void>}
+ */
+async function updateMemberRoleInFirestore(householdId, uid, role) {
+    try {
+        await householdsCollection.doc(householdId).collection('members').doc(uid).update({ role });
+        console.log('Member role updated:', uid, role);
+    } catch (error) {
+        console.error('Error updating member role:', error);
+        throw error;
+    }
+}
+
+/**
+ * Remove a member from a household (owner, or the member leaving)
+ * @param {string} householdId - Household ID
+ * @param {string} uid - Member's user ID
+ * @returns {Promise<void>}
+ */
+async function removeMemberFromFirestore(householdId, uid) {
+    try {
+        const batch = db.batch();
+        batch.delete(householdsCollection.doc(householdId).collection('members').doc(uid));
+
+        // Only the user can edit their own household list
+        const user = getCurrentUser();
+        if (user && user.uid === uid) {
+            batch.delete(getMembershipsCollection(uid).doc(householdId));
+        }
+
+        await batch.commit();
+        console.log('Member removed:', uid);
+    } catch (error) {
+        console.error('Error removing member:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create an invite code for a household (owner only)
+ * @param {Object} invite - { code, householdId, householdName, role, createdBy, createdAt, expiresAt }
+ * @returns {Promise<string>} Invite code
+ */
+async function createInviteInFirestore(invite) {
+    try {
+        const { code, ...data } = invite;
+
+        // Stored as a Timestamp so security rules can compare it with request.time
+        await db.collection('invites').doc(code).set({
+            ...data,
+            expiresAt: new Date(invite.expiresAt)
+        });
+        console.log('Invite created:', code);
+        return code;
+    } catch (error) {
+        console.error('Error creating invite:', error);
+        throw error;
+    }
+}
+
+/**
+ * Join a household with an invite code
+ * @param {string} code - Invite code
+ * @param {Object} user - { uid, displayName }
+ * @returns {Promise<Object>} Joined household { id, name, role }
+ */
+async function acceptInviteInFirestore(code, user) {
+    const inviteDoc = await db.collection('invites').doc(code).get();
+
+    if (!inviteDoc.exists) {
+        const error = new Error('Invite not found');
+        error.code = 'not-found';
+        throw error;
+    }
+
+    const invite = inviteDoc.data();
+    if (invite.expiresAt.toDate() < new Date()) {
+        const error = new Error('Invite expired');
+        error.code = 'expired';
+        throw error;
+    }
+
+    const batch = db.batch();
+    batch.set(householdsCollection.doc(invite.householdId).collection('members').doc(user.uid), {
+        role: invite.role,
+        displayName: user.displayName || null,
+        inviteCode: code,
+        joinedAt: new Date().toISOString()
+    });
+    batch.set(getMembershipsCollection(user.uid).doc(invite.householdId), { name: invite.householdName });
+    await batch.commit();
+
+    console.log('Joined household:', invite.householdId);
+    return { id: invite.householdId, name: invite.householdName, role: invite.role };
+}
+
+/**
+ * Get the collection listing a user's households
+ * @param {string} uid - User ID
+ * @returns {Object} Collection reference (users/{uid}/memberships)
+ */
+function getMembershipsCollection(uid) {
+    return db.collection('users').doc(uid).collection('memberships');
+}
+
+/**
+ * Upgrade a household's ingredient documents written with an older schema
+ * Only the fields a migration changes are written, so edits made meanwhile are kept;
+ * updatedAt is left alone because the item itself did not change.
+ * @param {string} householdId - Household ID
+ * @returns {Promise<number>} Number of migrated items
+ */
+async function migrateIngredientSchemaInFirestore(householdId) {
+    try {
+        const snapshot = await getIngredientsCollection(householdId).get();
+        const outdated = snapshot.docs.filter(doc => needsMigration(doc.data()));
+
+        for (let i = 0; i < outdated.length; i += FIRESTORE_BATCH_LIMIT) {
+            const batch = db.batch();
+            outdated.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(doc => {
+                const data = doc.data();
+                const migrated = migrateIngredient(data);
+                const changes = {};
+
+                Object.keys(migrated).forEach(key => {
+                    if (migrated[key] !== data[key]) {
+                        changes[key] = migrated[key];
+                    }
+                });
+                Object.keys(data).forEach(key => {
+                    if (!(key in migrated)) {
+                        changes[key] = firebase.firestore.FieldValue.delete();
+                    }
+                });
+
+                batch.update(doc.ref, changes);
+            });
+            await batch.commit();
+        }
+
+        return outdated.length;
+    } catch (error) {
+        console.error('Error migrating ingredient schema:', error);
+        throw error;
+    }
+}
+
+/**
+ * Create the Firestore storage adapter
+ * @returns {StorageAdapter} Adapter backed by Cloud Firestore
+ */
+function createFirestoreAdapter() {
+    initializeFirebase();
+
+    return {
+        name: 'firestore',
+        requiresNetwork: true,
+        supportsSharing: true,
+        load: loadIngredientsFromFirestore,
+        add: addIngredientToFirestore,
+        update: updateIngredientInFirestore,
+        delete: deleteIngredientFromFirestore,
+        clear: clearAllIngredientsFromFirestore,
+        archive: archiveIngredientInFirestore,
+        batch: batchWriteInFirestore,
+        loadHistory: loadHistoryFromFirestore,
+        saveBackup: saveBackupToFirestore,
+        loadBackups: loadBackupsFromFirestore,
+        deleteBackup: deleteBackupFromFirestore,
+        subscribe: listenToIngredientsChanges,
+        createHousehold: createHouseholdInFirestore,
+        claimHousehold: claimHouseholdInFirestore,
+        listHouseholds: listHouseholdsFromFirestore,
+        getMemberRole: getMemberRoleFromFirestore,
+        listMembers: listMembersFromFirestore,
+        updateMemberRole: updateMemberRoleInFirestore,
+        removeMember: removeMemberFromFirestore,
+        createInvite: createInviteInFirestore,
+        acceptInvite: acceptInviteInFirestore,
+        migrateSchema: migrateIngredientSchemaInFirestore
+    };
+}
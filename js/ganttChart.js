@@ -1,77 +1,325 @@
 // ganttChart.js - Gantt chart rendering and visualization
 
-const TIMELINE_DAYS = 90; // 3 months
+// Visible windows of the timeline. The header shows one column per unit;
+// lead is how many days before today the window starts when showing today,
+// step how far ◀ ▶ move it.
+const TIMELINE_ZOOM_LEVELS = {
+    week: { label: '1週間', days: 7, unit: 'day', lead: 1, step: 7 },
+    month: { label: '1か月', days: 30, unit: 'day', lead: 3, step: 14 },
+    quarter: { label: '3か月', days: 91, unit: 'week', lead: 7, step: 30 },
+    year: { label: '1年', days: 365, unit: 'month', lead: 30, step: 91 }
+};
+
+const DEFAULT_TIMELINE_ZOOM = 'quarter';
+const TIMELINE_ZOOM_KEY = 'freshly.timelineZoom';
+
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// Badges for rows with changes not yet confirmed by the storage backend
+const SYNC_BADGE_LABELS = {
+    pending: '未同期',
+    failed: '同期失敗',
+    conflict: '競合'
+};
+
+let timelineZoom = DEFAULT_TIMELINE_ZOOM;
+
+// Days from today to the first visible day (negative: the window starts in the past)
+let timelineOffset = -TIMELINE_ZOOM_LEVELS[DEFAULT_TIMELINE_ZOOM].lead;
+
+// Horizontal wheel movement not yet turned into whole days
+let timelineWheelDelta = 0;
+
+/**
+ * Initialize the zoom, scroll and 今日へ戻る controls of the timeline
+ */
+function initTimelineControls() {
+    const saved = localStorage.getItem(TIMELINE_ZOOM_KEY);
+    if (TIMELINE_ZOOM_LEVELS[saved]) {
+        timelineZoom = saved;
+        timelineOffset = -TIMELINE_ZOOM_LEVELS[saved].lead;
+    }
+
+    document.querySelectorAll('[data-timeline-zoom]').forEach(button => {
+        button.addEventListener('click', () => setTimelineZoom(button.dataset.timelineZoom));
+    });
+
+    const prevBtn = document.getElementById('timelinePrevBtn');
+    if (prevBtn) {
+        prevBtn.addEventListener('click', () => scrollTimeline(-TIMELINE_ZOOM_LEVELS[timelineZoom].step));
+    }
+
+    const nextBtn = document.getElementById('timelineNextBtn');
+    if (nextBtn) {
+        nextBtn.addEventListener('click', () => scrollTimeline(TIMELINE_ZOOM_LEVELS[timelineZoom].step));
+    }
+
+    const todayBtn = document.getElementById('timelineTodayBtn');
+    if (todayBtn) {
+        todayBtn.addEventListener('click', scrollTimelineToToday);
+    }
+
+    const container = document.getElementById('ganttContainer');
+    if (container) {
+        container.addEventListener('wheel', handleTimelineWheel, { passive: false });
+    }
+
+    updateTimelineControls();
+}
+
+/**
+ * Get the visible window of the timeline
+ * @returns {Object} { start: Date (local midnight), days }
+ */
+function getTimelineRange() {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() + timelineOffset);
+
+    return { start, days: TIMELINE_ZOOM_LEVELS[timelineZoom].days };
+}
+
+/**
+ * Change the zoom level
+ * A window showing today keeps showing it; otherwise the date in the middle stays in the middle.
+ * @param {string} zoom - Key of TIMELINE_ZOOM_LEVELS
+ */
+function setTimelineZoom(zoom) {
+    if (!TIMELINE_ZOOM_LEVELS[zoom] || zoom === timelineZoom) {
+        return;
+    }
+
+    const current = TIMELINE_ZOOM_LEVELS[timelineZoom];
+    const next = TIMELINE_ZOOM_LEVELS[zoom];
+
+    if (timelineOffset === -current.lead) {
+        timelineOffset = -next.lead;
+    } else {
+        timelineOffset = Math.round(timelineOffset + current.days / 2 - next.days / 2);
+    }
+
+    timelineZoom = zoom;
+    localStorage.setItem(TIMELINE_ZOOM_KEY, zoom);
+    refreshTimeline();
+}
+
+/**
+ * Move the window into the past or the future
+ * @param {number} days - Days to move (negative: into the past)
+ */
+function scrollTimeline(days) {
+    if (days === 0) {
+        return;
+    }
+    timelineOffset += days;
+    refreshTimeline();
+}
+
+/**
+ * Show today again (今日へ戻る)
+ */
+function scrollTimelineToToday() {
+    timelineOffset = -TIMELINE_ZOOM_LEVELS[timelineZoom].lead;
+    refreshTimeline();
+}
+
+/**
+ * Scroll the timeline with a horizontal wheel or trackpad swipe (or Shift + wheel)
+ * Vertical scrolling of the list is left alone.
+ * @param {WheelEvent} e - Wheel event
+ */
+function handleTimelineWheel(e) {
+    const delta = e.shiftKey && e.deltaX === 0 ? e.deltaY : e.deltaX;
+    if (delta === 0 || (!e.shiftKey && Math.abs(e.deltaX) <= Math.abs(e.deltaY))) {
+        return;
+    }
+
+    const header = document.getElementById('timelineHeader');
+    if (!header || header.clientWidth === 0) {
+        return;
+    }
+    e.preventDefault();
+
+    const pixelsPerDay = header.clientWidth / TIMELINE_ZOOM_LEVELS[timelineZoom].days;
+    timelineWheelDelta += delta;
+
+    const days = Math.trunc(timelineWheelDelta / pixelsPerDay);
+    timelineWheelDelta -= days * pixelsPerDay;
+    scrollTimeline(days);
+}
+
+/**
+ * Redraw the chart and the controls after the window moved
+ */
+function refreshTimeline() {
+    timelineWheelDelta = 0;
+    updateTimelineControls();
+    refreshGanttDisplay();
+}
+
+/**
+ * Show the zoom level, the visible dates and whether 今日へ戻る has anything to do
+ */
+function updateTimelineControls() {
+    document.querySelectorAll('[data-timeline-zoom]').forEach(button => {
+        const active = button.dataset.timelineZoom === timelineZoom;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+
+    const range = getTimelineRange();
+    const end = new Date(range.start);
+    end.setDate(end.getDate() + range.days - 1);
+
+    const label = document.getElementById('timelineRangeLabel');
+    if (label) {
+        label.textContent = `${formatDateFullJP(range.start)}〜${formatDateFullJP(end)}`;
+    }
+
+    const todayBtn = document.getElementById('timelineTodayBtn');
+    if (todayBtn) {
+        todayBtn.disabled = timelineOffset === -TIMELINE_ZOOM_LEVELS[timelineZoom].lead;
+    }
+}
+
+/**
+ * Split the visible window into header columns
+ * Week and month columns follow the calendar (weeks start on Monday), so the first
+ * and last ones may be cut off by the window.
+ * @param {Object} range - { start, days } from getTimelineRange
+ * @param {string} unit - 'day', 'week' or 'month'
+ * @returns {Array} Columns { start: Date, days }
+ */
+function getTimelineColumns(range, unit) {
+    const end = new Date(range.start);
+    end.setDate(end.getDate() + range.days);
+
+    const columns = [];
+    let cursor = new Date(range.start);
+
+    while (cursor < end) {
+        const next = new Date(cursor);
+        if (unit === 'month') {
+            next.setMonth(next.getMonth() + 1, 1);
+        } else if (unit === 'week') {
+            next.setDate(next.getDate() + (7 - (next.getDay() + 6) % 7));
+        } else {
+            next.setDate(next.getDate() + 1);
+        }
+
+        const columnEnd = next < end ? next : end;
+        columns.push({ start: cursor, days: getTimelineDayOffset(cursor, columnEnd) });
+        cursor = columnEnd;
+    }
+
+    return columns;
+}
 
 /**
  * Create timeline header with dates
+ * @param {Object} range - { start, days } from getTimelineRange
  * @returns {DocumentFragment} Timeline header element
  */
-function createTimelineHeader() {
+function createTimelineHeader(range) {
     const fragment = document.createDocumentFragment();
+    const unit = TIMELINE_ZOOM_LEVELS[timelineZoom].unit;
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    for (let i = 0; i < TIMELINE_DAYS; i++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() + i);
+    getTimelineColumns(range, unit).forEach((column, index) => {
+        const date = column.start;
+        const daysFromToday = getTimelineDayOffset(today, date);
 
         const dateEl = document.createElement('div');
         dateEl.className = 'timeline-date';
-        dateEl.textContent = `${date.getMonth() + 1}/${date.getDate()}`;
+        dateEl.style.flexGrow = String(column.days);
+        dateEl.textContent = formatTimelineColumn(date, unit, index === 0);
 
         // Mark special dates
-        if (i === 0) {
+        if (daysFromToday <= 0 && daysFromToday + column.days > 0) {
             dateEl.classList.add('today');
         }
-        if (date.getDay() === 0) {  // Sunday
+        if (unit === 'day' && date.getDay() === 0) {  // Sunday
             dateEl.classList.add('week-start');
         }
         if (date.getDate() === 1) {  // First day of month
             dateEl.classList.add('month-start');
         }
 
-        dateEl.setAttribute('data-date', date.toISOString().split('T')[0]);
+        dateEl.setAttribute('data-date', toLocalDateString(date));
         fragment.appendChild(dateEl);
-    }
+    });
 
     return fragment;
 }
 
+/**
+ * Label of a header column
+ * @param {Date} date - First day of the column
+ * @param {string} unit - 'day', 'week' or 'month'
+ * @param {boolean} first - Leftmost column (shows the month or year for orientation)
+ * @returns {string} e.g. 10/19(月), 19, 10/19〜, 2027年1月, 2月
+ */
+function formatTimelineColumn(date, unit, first) {
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
+
+    if (unit === 'month') {
+        return first || month === 1 ? `${date.getFullYear()}年${month}月` : `${month}月`;
+    }
+    if (unit === 'week') {
+        return `${month}/${day}〜`;
+    }
+    if (timelineZoom === 'week') {
+        return `${month}/${day}(${WEEKDAY_LABELS[date.getDay()]})`;
+    }
+    return first || day === 1 ? `${month}/${day}` : String(day);
+}
+
+/**
+ * Days from one point of the timeline to another (both at local midnight)
+ * Takes Date objects; getDaysBetween (digest.js) is the same for YYYY-MM-DD strings.
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} Whole days (negative when to is earlier)
+ */
+function getTimelineDayOffset(from, to) {
+    return Math.round((to - from) / (1000 * 60 * 60 * 24));
+}
+
 /**
  * Calculate bar position and width based on dates
+ * A bar covers the purchase date through the expiration date and is cut off at the
+ * edges of the visible window.
  * @param {Object} ingredient - Ingredient object
- * @returns {Object} Position data { left, width, visible }
+ * @param {Object} [range] - { start, days } visible window (getTimelineRange by default)
+ * @returns {Object} Position data { left, width, visible, before, after, clippedStart, clippedEnd,
+ *   daysFromToday, duration }; left and width are percentages of the window
  */
-function calculateBarPosition(ingredient) {
+function calculateBarPosition(ingredient, range = getTimelineRange()) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    const purchaseDate = ingredient.purchaseDate ?
-        new Date(ingredient.purchaseDate) :
-        new Date(today);
-    purchaseDate.setHours(0, 0, 0, 0);
-
-    const expirationDate = new Date(ingredient.expirationDate);
-    expirationDate.setHours(0, 0, 0, 0);
-
-    // Calculate position from today
-    const daysFromToday = Math.floor((purchaseDate - today) / (1000 * 60 * 60 * 24));
-    const leftPercent = Math.max(0, (daysFromToday / TIMELINE_DAYS) * 100);
+    const purchaseDate = ingredient.purchaseDate ? parseLocalDate(ingredient.purchaseDate) : today;
+    const expirationDate = parseLocalDate(ingredient.expirationDate);
 
-    // Calculate duration
-    const duration = Math.floor((expirationDate - purchaseDate) / (1000 * 60 * 60 * 24));
-    const widthPercent = (duration / TIMELINE_DAYS) * 100;
+    // Days from the start of the window; the expiration day itself is part of the bar
+    const startDay = getTimelineDayOffset(range.start, purchaseDate);
+    const endDay = getTimelineDayOffset(range.start, expirationDate) + 1;
 
-    // Check if visible in timeline
-    const expirationDaysFromToday = Math.floor((expirationDate - today) / (1000 * 60 * 60 * 24));
-    const visible = expirationDaysFromToday >= 0 && daysFromToday < TIMELINE_DAYS;
+    const left = Math.min(Math.max(startDay, 0), range.days);
+    const right = Math.min(Math.max(endDay, 0), range.days);
 
     return {
-        left: Math.min(leftPercent, 100),
-        width: Math.max(0, Math.min(widthPercent, 100 - leftPercent)),
-        visible: visible,
-        daysFromToday: daysFromToday,
-        duration: duration
+        left: (left / range.days) * 100,
+        width: (Math.max(0, right - left) / range.days) * 100,
+        visible: endDay > 0 && startDay < range.days,
+        before: endDay <= 0,
+        after: startDay >= range.days,
+        clippedStart: startDay < 0,
+        clippedEnd: endDay > range.days,
+        daysFromToday: getTimelineDayOffset(today, purchaseDate),
+        duration: getTimelineDayOffset(purchaseDate, expirationDate)
     };
 }
 
@@ -79,14 +327,22 @@ function calculateBarPosition(ingredient) {
  * Create ingredient row element
  * @param {Object} ingredient - Ingredient object
  * @param {Function} onEdit - Edit callback
- * @param {Function} onDelete - Delete callback
+ * @param {Function} onDispose - Callback (id, disposition) for 食べた / 捨てた / あげた
+ * @param {Function} onUse - Callback (id) for 少し使った
+ * @param {Object} range - { start, days } visible window
  * @returns {HTMLElement} Row element
  */
-function createIngredientRow(ingredient, onEdit, onDelete) {
+function createIngredientRow(ingredient, onEdit, onDispose, onUse, range) {
     const row = document.createElement('div');
     row.className = 'ingredient-row';
     row.setAttribute('data-id', ingredient.id);
 
+    // Mark rows with changes not yet confirmed by the storage backend
+    const syncState = getSyncState(ingredient.id);
+    if (syncState) {
+        row.classList.add(`sync-${syncState}`);
+    }
+
     // Create label column
     const labelCol = document.createElement('div');
     labelCol.className = 'ingredient-label';
@@ -95,6 +351,24 @@ function createIngredientRow(ingredient, onEdit, onDelete) {
     name.className = 'ingredient-name';
     name.textContent = ingredient.name;
 
+    if (syncState) {
+        const syncBadge = document.createElement('span');
+        syncBadge.className = `sync-badge sync-badge-${syncState}`;
+        syncBadge.textContent = SYNC_BADGE_LABELS[syncState];
+        name.prepend(syncBadge);
+    }
+
+    const dateType = getDateType(ingredient);
+    row.classList.add(`date-type-${dateType}`);
+
+    if (dateType === 'useBy') {
+        const dateTypeBadge = document.createElement('span');
+        dateTypeBadge.className = 'date-type-badge';
+        dateTypeBadge.textContent = DATE_TYPES.useBy.short;
+        dateTypeBadge.title = '消費期限: 期限を過ぎたら食べないでください';
+        name.appendChild(dateTypeBadge);
+    }
+
     const category = document.createElement('div');
     category.className = 'ingredient-category';
     category.textContent = ingredient.category;
@@ -102,9 +376,11 @@ function createIngredientRow(ingredient, onEdit, onDelete) {
     const meta = document.createElement('div');
     meta.className = 'ingredient-meta';
 
-    if (ingredient.quantity) {
+    const quantityLabel = getQuantityLabel(ingredient);
+    if (quantityLabel) {
         const quantity = document.createElement('span');
-        quantity.textContent = ingredient.quantity;
+        quantity.className = 'ingredient-quantity';
+        quantity.textContent = quantityLabel;
         meta.appendChild(quantity);
     }
 
@@ -125,20 +401,61 @@ function createIngredientRow(ingredient, onEdit, onDelete) {
         onEdit(ingredient.id);
     };
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'action-btn action-btn-ate';
-    deleteBtn.innerHTML = '🍽️ 食べた！';
-    deleteBtn.onclick = (e) => {
+    const ateBtn = document.createElement('button');
+    ateBtn.className = 'action-btn action-btn-ate';
+    ateBtn.innerHTML = '🍽️ 食べた！';
+    ateBtn.onclick = (e) => {
         e.stopPropagation();
         // Add celebration animation
-        deleteBtn.classList.add('celebrating');
+        ateBtn.classList.add('celebrating');
         setTimeout(() => {
-            onDelete(ingredient.id);
+            onDispose(ingredient.id, 'eaten');
         }, 300);
     };
 
-    actions.appendChild(editBtn);
-    actions.appendChild(deleteBtn);
+    // Only items with a known amount can be used up little by little
+    const useBtn = getIngredientQuantity(ingredient) ? document.createElement('button') : null;
+    if (useBtn) {
+        useBtn.className = 'action-btn action-btn-use';
+        useBtn.textContent = '🥄 少し使った';
+        useBtn.onclick = (e) => {
+            e.stopPropagation();
+            onUse(ingredient.id);
+        };
+    }
+
+    const discardBtn = document.createElement('button');
+    discardBtn.className = 'action-btn action-btn-discard';
+    discardBtn.textContent = '🗑️ 捨てた';
+    discardBtn.onclick = (e) => {
+        e.stopPropagation();
+        onDispose(ingredient.id, 'discarded');
+    };
+
+    const giveBtn = document.createElement('button');
+    giveBtn.className = 'action-btn action-btn-give';
+    giveBtn.textContent = '🎁';
+    giveBtn.title = 'あげた';
+    giveBtn.setAttribute('aria-label', 'あげた');
+    giveBtn.onclick = (e) => {
+        e.stopPropagation();
+        onDispose(ingredient.id, 'given');
+    };
+
+    // Viewers only see the items
+    if (canEditIngredients()) {
+        labelCol.classList.add('selectable');
+        labelCol.appendChild(createSelectionCheckbox(ingredient.id));
+        row.classList.toggle('selected', selectedIngredientIds.has(ingredient.id));
+
+        actions.appendChild(editBtn);
+        if (useBtn) {
+            actions.appendChild(useBtn);
+        }
+        actions.appendChild(ateBtn);
+        actions.appendChild(discardBtn);
+        actions.appendChild(giveBtn);
+    }
 
     labelCol.appendChild(name);
     labelCol.appendChild(category);
@@ -152,15 +469,19 @@ function createIngredientRow(ingredient, onEdit, onDelete) {
     timelineCol.className = 'timeline-bars';
 
     // Calculate bar position
-    const position = calculateBarPosition(ingredient);
+    const position = calculateBarPosition(ingredient, range);
+    const status = getExpirationStatus(ingredient);
+    const daysRemaining = calculateDaysRemaining(ingredient.expirationDate);
+    const dateLabel = getDateTypeLabel(ingredient);
 
     if (position.visible && position.width > 0) {
         const bar = document.createElement('div');
         bar.className = 'timeline-bar';
 
         // Apply status class
-        const status = getExpirationStatus(ingredient);
         bar.classList.add(`status-${status}`);
+        bar.classList.toggle('clipped-start', position.clippedStart);
+        bar.classList.toggle('clipped-end', position.clippedEnd);
 
         // Set position
         bar.style.left = `${position.left}%`;
@@ -170,14 +491,13 @@ function createIngredientRow(ingredient, onEdit, onDelete) {
         const barContent = document.createElement('div');
         barContent.className = 'timeline-bar-content';
 
-        const daysRemaining = calculateDaysRemaining(ingredient.expirationDate);
         const barText = document.createElement('span');
         barText.className = 'bar-text';
 
-        if (daysRemaining < 0) {
-            barText.textContent = `期限切れ (${Math.abs(daysRemaining)}日前)`;
-        } else if (daysRemaining === 0) {
-            barText.textContent = '今日期限';
+        if (daysRemaining === 0) {
+            barText.textContent = `今日が${dateLabel}`;
+        } else if (daysRemaining < 0) {
+            barText.textContent = `${dateLabel}切れ`;
         } else {
             barText.textContent = `あと${daysRemaining}日`;
         }
@@ -186,9 +506,36 @@ function createIngredientRow(ingredient, onEdit, onDelete) {
         bar.appendChild(barContent);
 
         // Add tooltip
-        bar.title = `${ingredient.name}\n購入: ${formatDateJP(ingredient.purchaseDate || getTodayString())}\n期限: ${formatDateJP(ingredient.expirationDate)}\nあと${daysRemaining}日`;
+        bar.title = `${ingredient.name}\n購入: ${formatDateJP(ingredient.purchaseDate || getTodayString())}\n${dateLabel}: ${formatDateJP(ingredient.expirationDate)}\n${daysRemaining < 0 ? `${Math.abs(daysRemaining)}日前に期限切れ` : `あと${daysRemaining}日`}`;
+
+        // Editors can drag the ends of the bar to change the dates
+        if (canEditIngredients()) {
+            addBarHandles(bar, ingredient, position, range);
+        }
 
         timelineCol.appendChild(bar);
+    } else if (position.before && daysRemaining < 0) {
+        // Past items have no bar; say which kind of date has passed
+        const expiredLabel = document.createElement('div');
+        expiredLabel.className = `timeline-expired status-${status}`;
+        expiredLabel.textContent = `${dateLabel}切れ (${Math.abs(daysRemaining)}日前)`;
+
+        if (status === 'grace') {
+            expiredLabel.textContent += '・猶予中';
+            expiredLabel.title = '賞味期限を過ぎていますが、状態を確かめれば食べられることがあります';
+        } else if (dateType === 'useBy') {
+            expiredLabel.title = '消費期限を過ぎています。食べないでください';
+        }
+
+        timelineCol.appendChild(expiredLabel);
+    } else if (position.before || position.after) {
+        // The bar is outside the window; point to where it is
+        const offscreen = document.createElement('div');
+        offscreen.className = `timeline-offscreen ${position.before ? 'offscreen-before' : 'offscreen-after'}`;
+        offscreen.textContent = position.before ?
+            `◀ ${dateLabel} ${formatDateJP(ingredient.expirationDate)}` :
+            `購入 ${formatDateJP(ingredient.purchaseDate || getTodayString())} ▶`;
+        timelineCol.appendChild(offscreen);
     }
 
     row.appendChild(labelCol);
@@ -199,12 +546,21 @@ function createIngredientRow(ingredient, onEdit, onDelete) {
 
 /**
  * Create "today" indicator line
- * @returns {HTMLElement} Today indicator element
+ * @param {Object} range - { start, days } visible window
+ * @returns {HTMLElement|null} Today indicator element, or null when today is not visible
  */
-function createTodayIndicator() {
+function createTodayIndicator(range) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const day = getTimelineDayOffset(range.start, today);
+    if (day < 0 || day >= range.days) {
+        return null;
+    }
+
     const indicator = document.createElement('div');
     indicator.className = 'today-indicator';
-    indicator.style.left = '0%';
+    indicator.style.left = `${(day / range.days) * 100}%`;
     return indicator;
 }
 
@@ -212,9 +568,10 @@ function createTodayIndicator() {
  * Render the Gantt chart
  * @param {Array} ingredients - Array of ingredients to display
  * @param {Function} onEdit - Edit callback
- * @param {Function} onDelete - Delete callback
+ * @param {Function} onDispose - Callback (id, disposition) for 食べた / 捨てた / あげた
+ * @param {Function} onUse - Callback (id) for 少し使った
  */
-function renderGanttChart(ingredients, onEdit, onDelete) {
+function renderGanttChart(ingredients, onEdit, onDispose, onUse) {
     const timelineHeader = document.getElementById('timelineHeader');
     const ganttBody = document.getElementById('ganttBody');
     const emptyState = document.getElementById('emptyState');
@@ -224,17 +581,22 @@ function renderGanttChart(ingredients, onEdit, onDelete) {
         return;
     }
 
+    // Redrawing replaces the bar handles; keyboard users stay on the same one
+    const focusedHandle = getFocusedBarHandle();
+
     // Clear existing content
     timelineHeader.innerHTML = '';
-    ganttBody.innerHTML = '';
+    clearGanttBody();
 
     // Render timeline header
-    const headerFragment = createTimelineHeader();
+    const range = getTimelineRange();
+    const headerFragment = createTimelineHeader(range);
     timelineHeader.appendChild(headerFragment);
 
     // Check if there are ingredients
     if (!ingredients || ingredients.length === 0) {
         emptyState.style.display = 'block';
+        syncSelectionWithRows();
         return;
     }
 
@@ -247,25 +609,34 @@ function renderGanttChart(ingredients, onEdit, onDelete) {
     const fragment = document.createDocumentFragment();
 
     sortedIngredients.forEach(ingredient => {
-        const row = createIngredientRow(ingredient, onEdit, onDelete);
+        const row = createIngredientRow(ingredient, onEdit, onDispose, onUse, range);
         fragment.appendChild(row);
     });
 
     ganttBody.appendChild(fragment);
 
     // Add today indicator to all timeline bars
-    addTodayIndicators();
+    addTodayIndicators(range);
+
+    if (focusedHandle) {
+        focusBarHandle(focusedHandle.id, focusedHandle.edge);
+    }
+
+    syncSelectionWithRows();
 }
 
 /**
  * Add "today" indicator lines to all timeline bars
+ * @param {Object} range - { start, days } visible window
  */
-function addTodayIndicators() {
+function addTodayIndicators(range) {
     const timelineBars = document.querySelectorAll('.timeline-bars');
 
     timelineBars.forEach(timeline => {
-        const indicator = createTodayIndicator();
-        timeline.appendChild(indicator);
+        const indicator = createTodayIndicator(range);
+        if (indicator) {
+            timeline.appendChild(indicator);
+        }
     });
 }
 
@@ -274,7 +645,7 @@ function addTodayIndicators() {
  */
 function updateGanttChart() {
     const ingredients = loadIngredients();
-    renderGanttChart(ingredients, openEditForm, confirmDeleteIngredient);
+    renderGanttChart(ingredients, openEditForm, confirmDisposeIngredient, promptUseIngredient);
 }
 
 /**
@@ -282,31 +653,55 @@ function updateGanttChart() {
  * @param {string} message - Message to display
  */
 function showNoResults(message = '検索条件に一致するアイテムが見つかりません') {
-    const ganttBody = document.getElementById('ganttBody');
-    ganttBody.innerHTML = `
+    const ganttBody = clearGanttBody();
+    ganttBody.insertAdjacentHTML('beforeend', `
         <div class="no-results">
             <p class="no-results-text">${message}</p>
             <p class="no-results-hint">検索条件やフィルターを変更してください</p>
         </div>
-    `;
+    `);
+    syncSelectionWithRows();
 }
 
 /**
  * Show loading state
  */
 function showLoading() {
-    const ganttBody = document.getElementById('ganttBody');
-    ganttBody.innerHTML = `
+    const ganttBody = clearGanttBody();
+    ganttBody.insertAdjacentHTML('beforeend', `
         <div class="gantt-loading">
             <div class="loading-spinner"></div>
         </div>
-    `;
+    `);
+}
+
+/**
+ * Remove rendered rows while keeping the (hidden) empty state element,
+ * so later renders can still find it
+ * @returns {HTMLElement} Gantt body element
+ */
+function clearGanttBody() {
+    const ganttBody = document.getElementById('ganttBody');
+    const emptyState = document.getElementById('emptyState');
+
+    ganttBody.innerHTML = '';
+
+    if (emptyState) {
+        emptyState.style.display = 'none';
+        ganttBody.appendChild(emptyState);
+    }
+
+    return ganttBody;
 }
 
 /**
  * Refresh the display based on current filters
  */
 function refreshGanttDisplay() {
+    if (deferGanttRefreshDuringBarDrag()) {
+        return;
+    }
+
     const searchInput = document.getElementById('searchInput');
     const categoryFilterEl = document.getElementById('categoryFilter');
     const statusFilterEl = document.getElementById('statusFilter');
@@ -336,5 +731,5 @@ function refreshGanttDisplay() {
         }
     }
 
-    renderGanttChart(ingredients, openEditForm, confirmDeleteIngredient);
+    renderGanttChart(ingredients, openEditForm, confirmDisposeIngredient, promptUseIngredient);
 }
@@ -0,0 +1,177 @@
+// history.js - History view of eaten, discarded and given-away items
+
+// Period filter values (days back from today; '' = all)
+const HISTORY_PERIODS = {
+    '30': 30,
+    '90': 90,
+    '365': 365
+};
+
+// Entries of the active household, loaded when the view opens
+let historyEntries = [];
+
+/**
+ * Initialize history view listeners
+ */
+function initHistoryView() {
+    const historyBtn = document.getElementById('historyBtn');
+    if (historyBtn) {
+        historyBtn.addEventListener('click', openHistoryView);
+    }
+
+    ['historyDisposition', 'historyCategory', 'historyPeriod'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', renderHistoryList);
+        }
+    });
+
+    const searchInput = document.getElementById('historySearch');
+    if (searchInput) {
+        searchInput.addEventListener('input', debounce(renderHistoryList, 300));
+    }
+}
+
+/**
+ * Open the history view for the active household
+ */
+async function openHistoryView() {
+    const list = document.getElementById('historyList');
+    list.innerHTML = '<li class="history-empty">読み込み中...</li>';
+    openModal('historyModal');
+
+    historyEntries = await loadHistory();
+    renderHistoryList();
+}
+
+/**
+ * Get the history filter values from the view
+ * @returns {Object} { disposition, category, period, query }
+ */
+function getHistoryFilters() {
+    return {
+        disposition: document.getElementById('historyDisposition').value,
+        category: document.getElementById('historyCategory').value,
+        period: document.getElementById('historyPeriod').value,
+        query: document.getElementById('historySearch').value.trim().toLowerCase()
+    };
+}
+
+/**
+ * Filter history entries
+ * @param {Array} entries - History entries
+ * @param {Object} filters - { disposition, category, period, query }
+ * @returns {Array} Matching entries
+ */
+function filterHistoryEntries(entries, filters) {
+    let since = null;
+    if (HISTORY_PERIODS[filters.period]) {
+        since = new Date();
+        since.setDate(since.getDate() - HISTORY_PERIODS[filters.period]);
+    }
+
+    return entries.filter(entry => {
+        if (filters.disposition && entry.disposition !== filters.disposition) {
+            return false;
+        }
+        if (filters.category && entry.category !== filters.category) {
+            return false;
+        }
+        if (since && new Date(entry.disposedAt) < since) {
+            return false;
+        }
+        if (filters.query && !entry.name.toLowerCase().includes(filters.query)) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Render the filtered history list with a per-disposition summary
+ */
+function renderHistoryList() {
+    const list = document.getElementById('historyList');
+    const summary = document.getElementById('historySummary');
+    const entries = filterHistoryEntries(historyEntries, getHistoryFilters());
+
+    summary.textContent = Object.entries(DISPOSITIONS)
+        .map(([key, { label, icon }]) => `${icon} ${label} ${entries.filter(e => e.disposition === key).length}件`)
+        .join('　');
+
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'history-empty';
+        empty.textContent = historyEntries.length === 0 ? 'まだ履歴はありません' : '条件に合う履歴はありません';
+        list.appendChild(empty);
+        return;
+    }
+
+    entries.forEach(entry => list.appendChild(createHistoryItem(entry)));
+}
+
+/**
+ * Create a list item for a history entry
+ * @param {Object} entry - History entry
+ * @returns {HTMLElement} List item
+ */
+function createHistoryItem(entry) {
+    const disposition = DISPOSITIONS[entry.disposition] || { label: entry.disposition, icon: '' };
+
+    const item = document.createElement('li');
+    item.className = `history-item history-${entry.disposition}`;
+
+    const icon = document.createElement('span');
+    icon.className = 'history-icon';
+    icon.textContent = disposition.icon;
+    icon.title = disposition.label;
+    item.appendChild(icon);
+
+    const body = document.createElement('div');
+    body.className = 'history-body';
+
+    const name = document.createElement('div');
+    name.className = 'history-name';
+    name.textContent = entry.name;
+    body.appendChild(name);
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = [
+        entry.category,
+        `${formatDateFullJP(entry.disposedAt)}に${disposition.label}`,
+        formatExpirationOffset(entry)
+    ].filter(Boolean).join(' ・ ');
+    body.appendChild(meta);
+
+    item.appendChild(body);
+    return item;
+}
+
+/**
+ * Describe when an item left the inventory relative to its expiration date
+ * @param {Object} entry - History entry
+ * @returns {string} e.g. "期限の3日前" / "期限を2日過ぎて"
+ */
+function formatExpirationOffset(entry) {
+    if (!entry.expirationDate) {
+        return '';
+    }
+
+    const disposed = new Date(entry.disposedAt);
+    disposed.setHours(0, 0, 0, 0);
+    const expiration = new Date(entry.expirationDate);
+    expiration.setHours(0, 0, 0, 0);
+
+    const days = Math.round((expiration - disposed) / (1000 * 60 * 60 * 24));
+
+    if (days > 0) {
+        return `期限の${days}日前`;
+    }
+    if (days === 0) {
+        return '期限当日';
+    }
+    return `期限を${-days}日過ぎて`;
+}
@@ -0,0 +1,699 @@
+// household.js - Households (separate inventories), member roles and the header switcher
+
+const KNOWN_HOUSEHOLDS_KEY = 'freshly.households';
+const ACTIVE_HOUSEHOLD_KEY = 'freshly.activeHousehold';
+const LEGACY_MIGRATED_KEY = 'freshly.legacyMigrated';
+const DEFAULT_HOUSEHOLD_NAME = 'わが家';
+const INVITE_VALID_DAYS = 7;
+
+// Without confusable characters (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+const ROLE_LABELS = {
+    owner: 'オーナー',
+    editor: '編集者',
+    viewer: '閲覧者'
+};
+
+// Households remembered on this device: [{ id, name, role }]
+let knownHouseholds = [];
+let activeHouseholdId = null;
+
+/**
+ * Load the user's households, creating a default one on first run
+ * Called from storage.js (after sign-in) before subscribing to data
+ */
+async function initializeHouseholds() {
+    knownHouseholds = loadKnownHouseholds();
+
+    const user = getCurrentUser();
+    if (getStorageAdapter().supportsSharing && user) {
+        await syncHouseholdsWithAccount(user);
+    }
+
+    if (knownHouseholds.length === 0) {
+        createHousehold(DEFAULT_HOUSEHOLD_NAME);
+    }
+
+    const saved = localStorage.getItem(getHouseholdStorageKey(ACTIVE_HOUSEHOLD_KEY));
+    activeHouseholdId = knownHouseholds.some(h => h.id === saved) ? saved : knownHouseholds[0].id;
+
+    // Queued writes from before households existed belong to the first household
+    assignOutboxHousehold(knownHouseholds[0].id);
+
+    await refreshActiveRole();
+    renderHouseholdSwitcher();
+
+    const select = document.getElementById('householdSelect');
+    if (select) {
+        select.addEventListener('change', handleHouseholdSelectChange);
+    }
+
+    initHouseholdPanel();
+    migrateLegacyIngredients(knownHouseholds[0]);
+}
+
+/**
+ * Get the ID of the household currently shown
+ * @returns {string|null} Household ID
+ */
+function getActiveHouseholdId() {
+    return activeHouseholdId;
+}
+
+/**
+ * Get the household currently shown
+ * @returns {Object|null} { id, name, role }
+ */
+function getActiveHousehold() {
+    return knownHouseholds.find(h => h.id === activeHouseholdId) || null;
+}
+
+/**
+ * Get the user's role in the active household
+ * The local backend has no accounts, so the user owns everything.
+ * @returns {string} 'owner', 'editor' or 'viewer'
+ */
+function getActiveRole() {
+    if (!getStorageAdapter().supportsSharing) {
+        return 'owner';
+    }
+
+    const household = getActiveHousehold();
+    return household && household.role ? household.role : 'viewer';
+}
+
+/**
+ * Check whether the user may add, edit and remove items
+ * @returns {boolean} True for owners and editors
+ */
+function canEditIngredients() {
+    const role = getActiveRole();
+    return role === 'owner' || role === 'editor';
+}
+
+/**
+ * Check whether the user may invite members, change roles and clear data
+ * @returns {boolean} True for owners
+ */
+function canManageHousehold() {
+    return getActiveRole() === 'owner';
+}
+
+/**
+ * Create a new household owned by the current user
+ * (written to the backend through the outbox)
+ * @param {string} name - Household name
+ * @returns {Object} Created household { id, name, role }
+ */
+function createHousehold(name) {
+    const user = getCurrentUser();
+    const household = {
+        id: generateUUID(),
+        name: name.trim(),
+        createdAt: new Date().toISOString()
+    };
+
+    if (user) {
+        household.ownerUid = user.uid;
+        household.ownerName = user.email || null;
+    }
+
+    rememberHousehold({ id: household.id, name: household.name, role: 'owner' });
+    enqueueOperation({ type: 'createHousehold', householdId: household.id, household });
+
+    return getKnownHousehold(household.id);
+}
+
+/**
+ * Join a household with an invite code
+ * @param {string} code - Invite code shared by the owner
+ * @returns {Promise<Object|null>} Joined household, or null on failure
+ */
+async function joinHouseholdWithInvite(code) {
+    const user = getCurrentUser();
+    if (!user) {
+        showNotification('サインインしていないため参加できません', 'error');
+        return null;
+    }
+
+    let household;
+    try {
+        household = await getStorageAdapter().acceptInvite(
+            normalizeInviteCode(code),
+            { uid: user.uid, displayName: user.email || null }
+        );
+    } catch (error) {
+        console.error('Failed to accept invite:', error);
+
+        const messages = {
+            'not-found': '招待コードが見つかりません',
+            'expired': '招待コードの有効期限が切れています'
+        };
+        showNotification(messages[error.code] || '参加できませんでした。ネットワークを確認してください。', 'error');
+        return null;
+    }
+
+    const existing = getKnownHousehold(household.id);
+    if (existing) {
+        existing.role = household.role;
+        saveKnownHouseholds();
+    } else {
+        rememberHousehold(household);
+    }
+
+    switchHousehold(household.id);
+    return household;
+}
+
+/**
+ * Create an invite code for the active household (owner only)
+ * @param {string} role - Role given to whoever uses the code
+ * @returns {Promise<string|null>} Invite code
+ */
+async function createHouseholdInvite(role) {
+    const household = getActiveHousehold();
+    const user = getCurrentUser();
+
+    if (!household || !user || !canManageHousehold()) {
+        showNotification('招待コードを発行する権限がありません', 'error');
+        return null;
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now);
+    expiresAt.setDate(expiresAt.getDate() + INVITE_VALID_DAYS);
+
+    const invite = {
+        code: generateInviteCode(),
+        householdId: household.id,
+        householdName: household.name,
+        role: role,
+        createdBy: user.uid,
+        createdAt: now.toISOString(),
+        expiresAt: expiresAt.toISOString()
+    };
+
+    try {
+        await getStorageAdapter().createInvite(invite);
+        return invite.code;
+    } catch (error) {
+        console.error('Failed to create invite:', error);
+        showNotification('招待コードを発行できませんでした', 'error');
+        return null;
+    }
+}
+
+/**
+ * Show another household's items
+ * @param {string} householdId - Household ID
+ */
+async function switchHousehold(householdId) {
+    const household = getKnownHousehold(householdId);
+    if (!household) {
+        showNotification('世帯が見つかりません', 'error');
+        return;
+    }
+
+    activeHouseholdId = householdId;
+    localStorage.setItem(getHouseholdStorageKey(ACTIVE_HOUSEHOLD_KEY), householdId);
+
+    renderHouseholdSwitcher();
+    subscribeToActiveHousehold();
+    applyRoleToUI();
+
+    showNotification(`「${household.name}」に切り替えました`, 'success');
+
+    // The role may have changed since it was cached
+    await refreshActiveRole();
+}
+
+/**
+ * Reload the user's role in the active household from the backend.
+ * A household the user was removed from is dropped from the list.
+ */
+async function refreshActiveRole() {
+    const user = getCurrentUser();
+    const household = getActiveHousehold();
+
+    if (getStorageAdapter().supportsSharing && user && household && !hasPendingHouseholdCreation(household.id)) {
+        try {
+            const role = await getStorageAdapter().getMemberRole(household.id, user.uid);
+
+            if (role) {
+                household.role = role;
+                saveKnownHouseholds();
+            } else if (household.role) {
+                // Without a cached role it was never joined (see syncHouseholdsWithAccount)
+                forgetHousehold(household.id);
+                showNotification(`「${household.name}」のメンバーではなくなりました`, 'warning');
+            }
+        } catch (error) {
+            // Offline: keep the cached role
+            console.warn('Could not refresh role:', error);
+        }
+    }
+
+    applyRoleToUI();
+}
+
+/**
+ * Replace the cached household list with the account's memberships.
+ * Households shared before sign-in existed are claimed; ones that cannot be
+ * are kept and reported. Households the account no longer belongs to (removed
+ * by the owner, or left behind when switching accounts) are dropped and reported.
+ * @param {Object} user - Firebase user
+ */
+async function syncHouseholdsWithAccount(user) {
+    const adapter = getStorageAdapter();
+    let memberships;
+
+    try {
+        memberships = await adapter.listHouseholds(user.uid);
+    } catch (error) {
+        // Offline: keep the cached list
+        console.warn('Could not load households:', error);
+        return;
+    }
+
+    const households = memberships.map(membership => {
+        const cached = getKnownHousehold(membership.id);
+        return { ...membership, role: cached ? cached.role : null };
+    });
+
+    const unreachable = [];
+    const lost = [];
+
+    for (const household of knownHouseholds) {
+        if (households.some(h => h.id === household.id)) {
+            continue;
+        }
+
+        if (hasPendingHouseholdCreation(household.id)) {
+            // Created offline, not uploaded yet
+            households.push(household);
+        } else if (!household.role) {
+            const role = await claimLegacyHousehold(household, user);
+            households.push({ ...household, role });
+            if (!role) {
+                unreachable.push(household.name);
+            }
+        } else {
+            lost.push(household.name);
+        }
+    }
+
+    knownHouseholds = households;
+    saveKnownHouseholds();
+
+    const messages = [];
+    if (lost.length > 0) {
+        messages.push(`「${lost.join('」「')}」のメンバーではなくなりました。`);
+    }
+    if (unreachable.length > 0) {
+        messages.push(`「${unreachable.join('」「')}」を開けませんでした。`);
+    }
+    if (messages.length > 0) {
+        showNotification(`${messages.join('')}オーナーに招待コードを発行してもらってください`, 'warning');
+    }
+}
+
+/**
+ * Get access to a household shared by its ID before sign-in existed
+ * The ID works once: the first device becomes its owner, and the others
+ * sharing it need an invite code from them.
+ * @param {Object} household - { id, name }
+ * @param {Object} user - Firebase user
+ * @returns {Promise<string|null>} 'owner', or null when the household cannot be opened (retried next start)
+ */
+async function claimLegacyHousehold(household, user) {
+    try {
+        await getStorageAdapter().claimHousehold(household, { uid: user.uid, displayName: user.email || null });
+        return 'owner';
+    } catch (error) {
+        console.warn('Could not claim household (already claimed by another device?):', household.id, error);
+        return null;
+    }
+}
+
+/**
+ * Toggle edit controls for read-only (viewer) members
+ */
+function applyRoleToUI() {
+    document.body.classList.toggle('read-only', !canEditIngredients());
+    document.body.classList.toggle('household-owner', canManageHousehold());
+    refreshGanttDisplay();
+}
+
+/**
+ * Handle the header switcher (households + create/join/manage actions)
+ * @param {Event} event - Change event
+ */
+function handleHouseholdSelectChange(event) {
+    const value = event.target.value;
+
+    // Actions are not real selections: show the active household again
+    event.target.value = activeHouseholdId;
+
+    if (value === '__new__') {
+        const name = prompt('新しい世帯の名前を入力してください', '');
+        if (name && name.trim()) {
+            const household = createHousehold(name);
+            switchHousehold(household.id);
+        }
+    } else if (value === '__join__') {
+        const code = prompt('招待コードを入力してください', '');
+        if (code && code.trim()) {
+            joinHouseholdWithInvite(code);
+        }
+    } else if (value === '__manage__') {
+        openHouseholdPanel();
+    } else if (value && value !== activeHouseholdId) {
+        switchHousehold(value);
+    }
+}
+
+/**
+ * Render the household <select> in the header
+ */
+function renderHouseholdSwitcher() {
+    const select = document.getElementById('householdSelect');
+    if (!select) {
+        return;
+    }
+
+    select.innerHTML = '';
+
+    knownHouseholds.forEach(household => {
+        const option = document.createElement('option');
+        option.value = household.id;
+        option.textContent = household.name;
+        select.appendChild(option);
+    });
+
+    const actions = [['__new__', '＋ 新しい世帯を作成']];
+    if (getStorageAdapter().supportsSharing) {
+        actions.push(['__join__', '招待コードで参加']);
+        actions.push(['__manage__', 'メンバー・招待...']);
+    }
+
+    const group = document.createElement('optgroup');
+    group.label = '操作';
+    actions.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        group.appendChild(option);
+    });
+    select.appendChild(group);
+
+    select.value = activeHouseholdId;
+}
+
+/**
+ * Initialize the members & invitations panel
+ */
+function initHouseholdPanel() {
+    const createInviteBtn = document.getElementById('createInviteBtn');
+    if (createInviteBtn) {
+        createInviteBtn.addEventListener('click', async () => {
+            const role = document.getElementById('inviteRole').value;
+            const code = await createHouseholdInvite(role);
+
+            if (code) {
+                const result = document.getElementById('inviteCodeResult');
+                result.textContent = `招待コード: ${formatInviteCode(code)}（${ROLE_LABELS[role]}・${INVITE_VALID_DAYS}日間有効）`;
+                result.classList.remove('hidden');
+            }
+        });
+    }
+
+    const leaveBtn = document.getElementById('leaveHouseholdBtn');
+    if (leaveBtn) {
+        leaveBtn.addEventListener('click', leaveActiveHousehold);
+    }
+}
+
+/**
+ * Open the members & invitations panel for the active household
+ */
+async function openHouseholdPanel() {
+    const household = getActiveHousehold();
+    if (!household) {
+        return;
+    }
+
+    document.getElementById('householdModalTitle').textContent = `${household.name} のメンバー`;
+    document.getElementById('inviteCodeResult').classList.add('hidden');
+    openModal('householdModal');
+
+    await renderMemberList();
+}
+
+/**
+ * Render members of the active household; owners can change roles
+ */
+async function renderMemberList() {
+    const list = document.getElementById('memberList');
+    const user = getCurrentUser();
+    list.innerHTML = '<li class="member-item">読み込み中...</li>';
+
+    let members;
+    try {
+        members = await getStorageAdapter().listMembers(activeHouseholdId);
+    } catch (error) {
+        list.innerHTML = '<li class="member-item">メンバーを読み込めませんでした</li>';
+        return;
+    }
+
+    list.innerHTML = '';
+
+    members.forEach(member => {
+        const item = document.createElement('li');
+        item.className = 'member-item';
+
+        const name = document.createElement('span');
+        name.className = 'member-name';
+        name.textContent = member.displayName || 'ゲスト';
+        if (user && member.uid === user.uid) {
+            name.textContent += '（あなた）';
+        }
+        item.appendChild(name);
+
+        const isSelf = user && member.uid === user.uid;
+        if (canManageHousehold() && !isSelf) {
+            const roleSelect = document.createElement('select');
+            roleSelect.className = 'form-select member-role-select';
+            roleSelect.setAttribute('aria-label', `${name.textContent}の役割`);
+            // Ownership cannot be handed over (see firestore.rules)
+            Object.entries(ROLE_LABELS).filter(([value]) => value !== 'owner').forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                roleSelect.appendChild(option);
+            });
+            roleSelect.value = member.role;
+            roleSelect.addEventListener('change', () => changeMemberRole(member, roleSelect.value));
+            item.appendChild(roleSelect);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'action-btn';
+            removeBtn.textContent = '削除';
+            removeBtn.addEventListener('click', () => removeHouseholdMember(member));
+            item.appendChild(removeBtn);
+        } else {
+            const role = document.createElement('span');
+            role.className = `member-role role-${member.role}`;
+            role.textContent = ROLE_LABELS[member.role] || member.role;
+            item.appendChild(role);
+        }
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Change a member's role (owner only)
+ * @param {Object} member - Member { uid, role, displayName }
+ * @param {string} role - New role
+ */
+async function changeMemberRole(member, role) {
+    try {
+        await getStorageAdapter().updateMemberRole(activeHouseholdId, member.uid, role);
+        showNotification('役割を変更しました', 'success');
+    } catch (error) {
+        showNotification('役割を変更できませんでした', 'error');
+    }
+    renderMemberList();
+}
+
+/**
+ * Remove a member from the active household (owner only)
+ * @param {Object} member - Member { uid, role, displayName }
+ */
+async function removeHouseholdMember(member) {
+    if (!confirm(`${member.displayName || 'ゲスト'} をこの世帯から削除しますか？`)) {
+        return;
+    }
+
+    try {
+        await getStorageAdapter().removeMember(activeHouseholdId, member.uid);
+        showNotification('メンバーを削除しました', 'success');
+    } catch (error) {
+        showNotification('メンバーを削除できませんでした', 'error');
+    }
+    renderMemberList();
+}
+
+/**
+ * Leave the active household
+ */
+async function leaveActiveHousehold() {
+    const household = getActiveHousehold();
+    const user = getCurrentUser();
+
+    if (!household || !user) {
+        return;
+    }
+
+    if (canManageHousehold()) {
+        showNotification('オーナーは世帯から抜けられません', 'warning');
+        return;
+    }
+
+    if (!confirm(`「${household.name}」から抜けますか？`)) {
+        return;
+    }
+
+    try {
+        await getStorageAdapter().removeMember(household.id, user.uid);
+    } catch (error) {
+        showNotification('世帯から抜けられませんでした', 'error');
+        return;
+    }
+
+    closeModal('householdModal');
+    forgetHousehold(household.id);
+    showNotification(`「${household.name}」から抜けました`, 'success');
+}
+
+/**
+ * Move items stored on this device before households existed into a household (once per backend)
+ * @param {Object} household - Target household { id, name }
+ */
+async function migrateLegacyIngredients(household) {
+    const adapter = getStorageAdapter();
+    const key = getHouseholdStorageKey(LEGACY_MIGRATED_KEY);
+    if (!adapter.migrateLegacyIngredients || localStorage.getItem(key) || !canEditIngredients()) {
+        return;
+    }
+
+    try {
+        const count = await adapter.migrateLegacyIngredients(household.id);
+        localStorage.setItem(key, new Date().toISOString());
+
+        if (count > 0) {
+            showNotification(`${count}件のアイテムを「${household.name}」に移行しました`, 'success');
+        }
+    } catch (error) {
+        // Retried on next start
+        console.error('Legacy migration failed:', error);
+    }
+}
+
+/**
+ * Drop a household from this device's list and show another one
+ * @param {string} householdId - Household ID
+ */
+function forgetHousehold(householdId) {
+    knownHouseholds = knownHouseholds.filter(h => h.id !== householdId);
+
+    if (knownHouseholds.length === 0) {
+        createHousehold(DEFAULT_HOUSEHOLD_NAME);
+    }
+
+    saveKnownHouseholds();
+
+    if (activeHouseholdId === householdId) {
+        switchHousehold(knownHouseholds[0].id);
+    } else {
+        renderHouseholdSwitcher();
+    }
+}
+
+/**
+ * Generate a random invite code
+ * @returns {string} Code such as "K7PQ2MXA"
+ */
+function generateInviteCode() {
+    const values = new Uint32Array(INVITE_CODE_LENGTH);
+    crypto.getRandomValues(values);
+
+    return Array.from(values, value => INVITE_CODE_ALPHABET[value % INVITE_CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Normalize a typed invite code (case, spaces, hyphens)
+ * @param {string} code - Code as entered
+ * @returns {string} Normalized code
+ */
+function normalizeInviteCode(code) {
+    return code.toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Format an invite code for reading aloud
+ * @param {string} code - Invite code
+ * @returns {string} Code such as "K7PQ-2MXA"
+ */
+function formatInviteCode(code) {
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+/**
+ * Find a household in this device's list
+ * @param {string} householdId - Household ID
+ * @returns {Object|null} { id, name, role }
+ */
+function getKnownHousehold(householdId) {
+    return knownHouseholds.find(h => h.id === householdId) || null;
+}
+
+/**
+ * Add a household to the list remembered on this device
+ * @param {Object} household - { id, name, role }
+ */
+function rememberHousehold(household) {
+    knownHouseholds.push({ id: household.id, name: household.name, role: household.role || null });
+    saveKnownHouseholds();
+}
+
+/**
+ * Persist the household list of this device
+ */
+function saveKnownHouseholds() {
+    localStorage.setItem(getHouseholdStorageKey(KNOWN_HOUSEHOLDS_KEY), JSON.stringify(knownHouseholds));
+}
+
+/**
+ * Read the households remembered on this device
+ * @returns {Array} [{ id, name, role }]
+ */
+function loadKnownHouseholds() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(getHouseholdStorageKey(KNOWN_HOUSEHOLDS_KEY)));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Household settings are kept per storage backend
+ * @param {string} key - Base localStorage key
+ * @returns {string} Key for the active backend
+ */
+function getHouseholdStorageKey(key) {
+    return `${key}.${getStorageAdapter().name}`;
+}
@@ -0,0 +1,182 @@
+// idb.js - Shared IndexedDB helpers (no DOM access, so the service worker can load it too)
+
+const APP_DB_NAME = 'freshly';
+const APP_DB_VERSION = 7;
+
+let appDatabasePromise = null;
+
+/**
+ * Open the app database, creating or upgrading object stores as needed
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openAppDatabase() {
+    if (appDatabasePromise) {
+        return appDatabasePromise;
+    }
+
+    appDatabasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            upgradeAppDatabase(request.result, request.transaction, event.oldVersion);
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+
+            // Another tab is upgrading the schema: let it proceed
+            db.onversionchange = () => {
+                db.close();
+                appDatabasePromise = null;
+            };
+
+            resolve(db);
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    appDatabasePromise.catch(() => {
+        appDatabasePromise = null;
+    });
+
+    return appDatabasePromise;
+}
+
+/**
+ * Create object stores for each schema version
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {IDBTransaction} tx - The upgrade transaction
+ * @param {number} oldVersion - Previously installed version (0 if new)
+ */
+function upgradeAppDatabase(db, tx, oldVersion) {
+    // v1: outbox of pending write operations, replayed in insertion order
+    if (oldVersion < 1) {
+        db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+    }
+
+    // v2: ingredients of the local-only storage backend
+    if (oldVersion < 2) {
+        db.createObjectStore('ingredients', { keyPath: 'id' });
+    }
+
+    // v3: households; local ingredients are looked up by household
+    if (oldVersion < 3) {
+        db.createObjectStore('households', { keyPath: 'id' });
+        tx.objectStore('ingredients').createIndex('householdId', 'householdId');
+    }
+
+    // v4: eaten / discarded / given-away items of the local backend
+    if (oldVersion < 4) {
+        const history = db.createObjectStore('history', { keyPath: 'id' });
+        history.createIndex('householdId', 'householdId');
+    }
+
+    // v5: small key/value records (e.g. the digest schedule) and the items the
+    // service worker reads for the daily digest, one record per household
+    if (oldVersion < 5) {
+        db.createObjectStore('meta', { keyPath: 'key' });
+        db.createObjectStore('digestSnapshots', { keyPath: 'householdId' });
+    }
+
+    // v6: product catalog for barcode lookups, keyed by JAN code
+    if (oldVersion < 6) {
+        db.createObjectStore('products', { keyPath: 'code' });
+    }
+
+    // v7: automatic snapshots of each household's items, for restoring
+    if (oldVersion < 7) {
+        const backups = db.createObjectStore('backups', { keyPath: 'id' });
+        backups.createIndex('householdId', 'householdId');
+    }
+}
+
+/**
+ * Run work inside a transaction and resolve once it has committed
+ * @param {string|Array<string>} storeNames - Object store name(s)
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the transaction; may return an IDBRequest
+ * @returns {Promise<*>} Result of the returned request (if any)
+ */
+async function runIdbTransaction(storeNames, mode, work) {
+    const db = await openAppDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        let request;
+
+        try {
+            request = work(tx);
+        } catch (error) {
+            tx.abort();
+            reject(error);
+            return;
+        }
+
+        tx.oncomplete = () => {
+            resolve(request && 'result' in request ? request.result : undefined);
+        };
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Get all records of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Records in key order
+ */
+function idbGetAll(storeName) {
+    return runIdbTransaction(storeName, 'readonly', tx => tx.objectStore(storeName).getAll());
+}
+
+/**
+ * Get a single record by key
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>} Record
+ */
+function idbGet(storeName, key) {
+    return runIdbTransaction(storeName, 'readonly', tx => tx.objectStore(storeName).get(key));
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} value - Record to store
+ * @returns {Promise<*>} Key of the stored record
+ */
+function idbPut(storeName, value) {
+    return runIdbTransaction(storeName, 'readwrite', tx => tx.objectStore(storeName).put(value));
+}
+
+/**
+ * Get all records of a store whose index matches a value
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Index name
+ * @param {*} value - Index key to match
+ * @returns {Promise<Array>} Matching records
+ */
+function idbGetAllByIndex(storeName, indexName, value) {
+    return runIdbTransaction(storeName, 'readonly', tx =>
+        tx.objectStore(storeName).index(indexName).getAll(value)
+    );
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<void>}
+ */
+function idbDelete(storeName, key) {
+    return runIdbTransaction(storeName, 'readwrite', tx => {
+        tx.objectStore(storeName).delete(key);
+    });
+}
@@ -0,0 +1,596 @@
+// importExport.js - Export the inventory to a file and import it back after a preview
+
+// What to do with an imported item that is already in the inventory
+const IMPORT_STRATEGY_ACTIONS = {
+    skip: 'スキップ',
+    overwrite: '上書き',
+    keepBoth: '別に追加'
+};
+
+const DUPLICATE_REASON_LABELS = {
+    id: '同じID',
+    nameDate: '同じ名前と期限'
+};
+
+// Fields that must be text when present (numbers and objects are rejected, not converted)
+const IMPORT_TEXT_FIELDS = ['name', 'category', 'expirationDate', 'purchaseDate', 'dateType', 'unit', 'location', 'notes', 'barcode'];
+
+// Spreadsheet columns, in export order. `aliases` are other headers recognized on import
+// (compared after normalizeHeader); history-only columns cannot be imported.
+const SPREADSHEET_FIELDS = [
+    { key: 'name', label: '名前', aliases: ['食材名', '品名', '商品名', '品目', 'アイテム', 'アイテム名', 'name'], required: true },
+    { key: 'category', label: 'カテゴリー', aliases: ['カテゴリ', '分類', 'category'] },
+    { key: 'expirationDate', label: '期限', aliases: ['賞味期限', '消費期限', '期限日', '賞味期限日', '消費期限日', 'expirationdate', 'expiration', 'expiry', 'bestbefore'], required: true },
+    { key: 'dateType', label: '期限の種類', aliases: ['期限種類', 'datetype'] },
+    { key: 'purchaseDate', label: '購入日', aliases: ['買った日', '購入日付', 'purchasedate', 'purchased'] },
+    { key: 'amount', label: '数量', aliases: ['量', '個数', 'amount', 'quantity', 'qty'] },
+    { key: 'unit', label: '単位', aliases: ['unit'] },
+    { key: 'location', label: '保管場所', aliases: ['場所', '保存場所', 'location'] },
+    { key: 'notes', label: 'メモ', aliases: ['備考', 'notes', 'note', 'memo'] },
+    { key: 'barcode', label: 'JANコード', aliases: ['jan', 'バーコード', 'barcode'] },
+    { key: 'id', label: 'ID', aliases: [] },
+    { key: 'createdAt', label: '作成日時', aliases: ['createdat'] },
+    { key: 'updatedAt', label: '更新日時', aliases: ['updatedat'] },
+    { key: 'disposition', label: '記録', aliases: [], historyOnly: true },
+    { key: 'disposedAt', label: '記録日時', aliases: [], historyOnly: true }
+];
+
+// Rows of the open import preview
+let importRows = [];
+
+// Spreadsheet being mapped: { source, header, rows }, or null for JSON files
+let spreadsheetImport = null;
+
+/**
+ * Initialize the export and import buttons of the settings dialog and the import dialog
+ */
+function initImportExport() {
+    const exportBtn = document.getElementById('exportBtn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            exportData(document.getElementById('exportTarget').value, document.getElementById('exportFormat').value);
+        });
+    }
+
+    const importBtn = document.getElementById('importFileBtn');
+    const importInput = document.getElementById('importFileInput');
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length > 0) {
+                importIngredientsFile(importInput.files[0]);
+            }
+            importInput.value = '';
+        });
+    }
+
+    document.querySelectorAll('input[name="importStrategy"]').forEach(radio => {
+        radio.addEventListener('change', renderImportPreview);
+    });
+
+    const mappingBtn = document.getElementById('importMappingBtn');
+    if (mappingBtn) {
+        mappingBtn.addEventListener('click', applyColumnMapping);
+    }
+
+    const backBtn = document.getElementById('importBackBtn');
+    if (backBtn) {
+        backBtn.addEventListener('click', () => showImportStep('mapping'));
+    }
+
+    const commitBtn = document.getElementById('importCommitBtn');
+    if (commitBtn) {
+        commitBtn.addEventListener('click', commitImport);
+    }
+}
+
+/**
+ * Export ingredients as JSON
+ */
+function exportIngredientsJSON() {
+    exportData('ingredients', 'json');
+}
+
+/**
+ * Download the current items or the history
+ * @param {string} target - 'ingredients' or 'history'
+ * @param {string} format - 'csv' (UTF-8 with BOM, for Excel), 'tsv' or 'json'
+ */
+async function exportData(target, format) {
+    try {
+        const items = target === 'history' ? await loadHistory() : loadIngredients();
+        const filename = `${target}_${getTodayString()}.${format}`;
+
+        if (format === 'json') {
+            downloadFile(JSON.stringify(items, null, 2), filename, 'application/json');
+        } else {
+            const fields = SPREADSHEET_FIELDS.filter(field => target === 'history' || !field.historyOnly);
+            const rows = [
+                fields.map(field => field.label),
+                ...items.map(item => fields.map(field => formatSpreadsheetValue(field.key, item[field.key])))
+            ];
+            const delimiter = format === 'tsv' ? '\t' : ',';
+            const type = format === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+            downloadFile(UTF8_BOM + formatDelimited(rows, delimiter), filename, `${type};charset=utf-8`);
+        }
+
+        showNotification(`${items.length}件を書き出しました`, 'success');
+    } catch (error) {
+        handleError(error, 'exportData');
+    }
+}
+
+/**
+ * Cell text of a field: codes become the labels shown in the app
+ * @param {string} key - Field key
+ * @param {*} value - Stored value
+ * @returns {string} Cell text
+ */
+function formatSpreadsheetValue(key, value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (key === 'dateType' && DATE_TYPES[value]) {
+        return DATE_TYPES[value].label;
+    }
+    if (key === 'disposition' && DISPOSITIONS[value]) {
+        return DISPOSITIONS[value].label;
+    }
+    return String(value);
+}
+
+/**
+ * Let the browser save text as a file
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+    const dataBlob = new Blob([content], { type });
+
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Import a JSON export or a CSV/TSV file, by its name or content
+ * @param {File} file - Chosen file
+ */
+async function importIngredientsFile(file) {
+    const text = await file.text();
+    const isJson = /\.json$/i.test(file.name) || /^\s*[\[{]/.test(text.replace(UTF8_BOM, ''));
+
+    if (isJson) {
+        await importIngredientsJSON(file);
+    } else {
+        await importIngredientsSpreadsheet(file);
+    }
+}
+
+/**
+ * Read a CSV/TSV file and ask which column holds what
+ * @param {File} file - CSV or TSV file
+ */
+async function importIngredientsSpreadsheet(file) {
+    if (!canEditIngredients()) {
+        showNotification('閲覧者はアイテムを追加できません', 'warning');
+        return;
+    }
+
+    const text = await file.text();
+    const [header, ...rows] = parseDelimited(text, detectDelimiter(text.replace(UTF8_BOM, '')));
+
+    if (!header || rows.length === 0) {
+        showNotification('ファイルに取り込めるアイテムがありません', 'error');
+        return;
+    }
+
+    spreadsheetImport = { source: file.name, header, rows };
+    renderColumnMapping();
+    document.getElementById('importSource').textContent = file.name;
+    document.getElementById('importSummary').textContent = `${rows.length}行`;
+    showImportStep('mapping');
+
+    closeModal('settingsModal');
+    openModal('importModal');
+}
+
+/**
+ * Show one select per field, preset from the headers, with the first row as an example
+ */
+function renderColumnMapping() {
+    const { header, rows } = spreadsheetImport;
+    const guessed = guessColumnMapping(header);
+    const container = document.getElementById('importMapping');
+    container.innerHTML = '';
+
+    SPREADSHEET_FIELDS.filter(field => !field.historyOnly).forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'import-mapping-label';
+        label.textContent = field.required ? `${field.label}（必須）` : field.label;
+
+        const select = createOptionSelect([], '（使わない）', field.label);
+        select.dataset.field = field.key;
+        header.forEach((name, index) => select.add(new Option(name || `${index + 1}列目`, String(index))));
+        select.value = guessed[field.key] === undefined ? '' : String(guessed[field.key]);
+
+        const sample = document.createElement('span');
+        sample.className = 'import-mapping-sample';
+        const updateSample = () => {
+            sample.textContent = select.value === '' ? '' : `例: ${rows[0][Number(select.value)] || '（空欄）'}`;
+        };
+        select.addEventListener('change', updateSample);
+        updateSample();
+
+        select.id = `importColumn-${field.key}`;
+        label.htmlFor = select.id;
+        container.append(label, select, sample);
+    });
+
+    document.getElementById('importMappingError').textContent = '';
+}
+
+/**
+ * Match headers to fields by label and aliases (食材名, 賞味期限, カテゴリ, quantity...)
+ * @param {Array<string>} header - First row of the file
+ * @returns {Object} Column index by field key
+ */
+function guessColumnMapping(header) {
+    const normalized = header.map(normalizeHeader);
+    const mapping = {};
+    const used = new Set();
+
+    SPREADSHEET_FIELDS.filter(field => !field.historyOnly).forEach(field => {
+        const names = [field.label, ...field.aliases].map(normalizeHeader);
+        const index = normalized.findIndex((name, i) => !used.has(i) && names.includes(name));
+        if (index !== -1) {
+            mapping[field.key] = index;
+            used.add(index);
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Normalize a header for matching: width, case, spaces and brackets
+ * @param {string} name - Header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(name) {
+    return name.normalize('NFKC').toLowerCase().replace(/[\s_()（）・-]/g, '');
+}
+
+/**
+ * Turn the spreadsheet rows into items with the chosen mapping and show the preview
+ */
+function applyColumnMapping() {
+    const mapping = {};
+    document.querySelectorAll('#importMapping select').forEach(select => {
+        if (select.value !== '') {
+            mapping[select.dataset.field] = Number(select.value);
+        }
+    });
+
+    const missing = SPREADSHEET_FIELDS.filter(field => field.required && mapping[field.key] === undefined);
+    if (missing.length > 0) {
+        document.getElementById('importMappingError').textContent =
+            `${missing.map(field => field.label).join('・')}の列を選んでください`;
+        return;
+    }
+
+    // A column headed 消費期限 or 賞味期限 also tells the date type
+    const expirationHeader = spreadsheetImport.header[mapping.expirationDate];
+    const headerDateType = /消費/.test(expirationHeader) ? 'useBy' : (/賞味/.test(expirationHeader) ? 'bestBefore' : null);
+
+    const items = spreadsheetImport.rows.map(row => readSpreadsheetRow(row, mapping, headerDateType));
+    openImportPreview(items, spreadsheetImport.source);
+}
+
+/**
+ * Read one spreadsheet row as an imported item
+ * Values that cannot be understood are kept as they are, so the preview reports them.
+ * @param {Array<string>} row - Cells
+ * @param {Object} mapping - Column index by field key
+ * @param {string|null} headerDateType - Date type implied by the expiration column header
+ * @returns {Object} Item for restoreIngredient
+ */
+function readSpreadsheetRow(row, mapping, headerDateType) {
+    const item = {};
+
+    Object.entries(mapping).forEach(([key, index]) => {
+        const value = (row[index] || '').trim();
+        if (value !== '') {
+            item[key] = value;
+        }
+    });
+
+    ['expirationDate', 'purchaseDate'].forEach(key => {
+        if (item[key]) {
+            item[key] = parseDateValue(item[key]) || item[key];
+        }
+    });
+
+    if (item.dateType) {
+        const label = item.dateType.normalize('NFKC');
+        const match = Object.entries(DATE_TYPES).find(([key, type]) =>
+            key === label || type.label === label || type.short === label);
+        item.dateType = match ? match[0] : item.dateType;
+    } else if (headerDateType) {
+        item.dateType = headerDateType;
+    }
+
+    if (item.amount) {
+        const amount = item.amount.normalize('NFKC');
+        // Without a unit column the amount may carry its unit (500g, 2個)
+        if (mapping.unit === undefined) {
+            delete item.amount;
+            item.quantity = amount;
+        } else {
+            item.amount = amount;
+        }
+    }
+    return item;
+}
+
+/**
+ * Read a JSON file (an export or backup) and show what importing it would do
+ * Nothing is saved until the preview is confirmed.
+ * @param {File} file - JSON file to import
+ */
+async function importIngredientsJSON(file) {
+    if (!canEditIngredients()) {
+        showNotification('閲覧者はアイテムを追加できません', 'warning');
+        return;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        showNotification('JSONファイルを読み込めませんでした', 'error');
+        return;
+    }
+
+    // A plain export is an array; other files may wrap it as { ingredients: [...] }
+    const items = Array.isArray(data) ? data : (data && Array.isArray(data.ingredients) ? data.ingredients : null);
+    if (!items || items.length === 0) {
+        showNotification('ファイルに取り込めるアイテムがありません', 'error');
+        return;
+    }
+
+    // Exports from older versions of the app are brought up to the current schema first
+    spreadsheetImport = null;
+    openImportPreview(items.map(item => (item && typeof item === 'object' ? migrateIngredient(item) : item)), file.name);
+}
+
+/**
+ * Switch between the column mapping (spreadsheets only) and the preview
+ * @param {string} step - 'mapping' or 'preview'
+ */
+function showImportStep(step) {
+    document.getElementById('importMappingStep').classList.toggle('hidden', step !== 'mapping');
+    document.getElementById('importPreviewStep').classList.toggle('hidden', step !== 'preview');
+    document.getElementById('importBackBtn').classList.toggle('hidden', !spreadsheetImport);
+}
+
+/**
+ * Check imported items against the inventory and open the preview dialog
+ * @param {Array} items - Imported items
+ * @param {string} source - File name, shown in the dialog
+ */
+function openImportPreview(items, source) {
+    importRows = prepareImportRows(items, loadIngredients());
+
+    document.getElementById('importSource').textContent = source;
+    document.querySelector('input[name="importStrategy"][value="skip"]').checked = true;
+    renderImportPreview();
+    showImportStep('preview');
+
+    closeModal('settingsModal');
+    openModal('importModal');
+}
+
+/**
+ * Validate imported items and find the ones already in the inventory
+ * An inventory item is matched at most once, by id first, then by name and expiration date;
+ * a later row with the id of an item already matched is imported as a new item.
+ * @param {Array} items - Imported items
+ * @param {Array} existing - Current ingredients
+ * @returns {Array} Rows { number, item, ingredient, errors, duplicate: { reason, existing } | null }
+ */
+function prepareImportRows(items, existing) {
+    const byId = new Map(existing.map(ingredient => [ingredient.id, ingredient]));
+    const byKey = new Map();
+    existing.forEach(ingredient => {
+        const key = getImportKey(ingredient);
+        if (!byKey.has(key)) {
+            byKey.set(key, ingredient);
+        }
+    });
+
+    const seenIds = new Set();
+    const claimed = new Set();
+
+    return items.map((item, index) => {
+        const row = { number: index + 1, item, ingredient: null, errors: getImportItemErrors(item), duplicate: null };
+        if (row.errors.length > 0) {
+            return row;
+        }
+
+        row.ingredient = restoreIngredient(item);
+
+        if (seenIds.has(row.ingredient.id)) {
+            row.errors.push('ファイル内で同じIDが重複しています');
+            return row;
+        }
+        seenIds.add(row.ingredient.id);
+
+        let sameId = byId.get(row.ingredient.id);
+        if (sameId && claimed.has(sameId.id)) {
+            // An earlier row already matched that item by name and date; added under
+            // this id it would replace the item, so it is added under a new one
+            row.ingredient.id = generateUUID();
+            sameId = null;
+        }
+        const sameKey = byKey.get(getImportKey(row.ingredient));
+
+        if (sameId && !claimed.has(sameId.id)) {
+            row.duplicate = { reason: 'id', existing: sameId };
+        } else if (sameKey && !claimed.has(sameKey.id)) {
+            row.duplicate = { reason: 'nameDate', existing: sameKey };
+        }
+
+        if (row.duplicate) {
+            claimed.add(row.duplicate.existing.id);
+        }
+        return row;
+    });
+}
+
+/**
+ * Problems that keep an imported item out
+ * @param {*} item - Imported item
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function getImportItemErrors(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return ['アイテムの形式が正しくありません'];
+    }
+
+    const wrongType = IMPORT_TEXT_FIELDS.filter(field =>
+        item[field] !== undefined && item[field] !== null && typeof item[field] !== 'string');
+    if (wrongType.length > 0) {
+        return [`文字列でない項目があります（${wrongType.join(', ')}）`];
+    }
+
+    return Object.values(validateIngredient(item).errors);
+}
+
+/**
+ * Key for "the same item": normalized name and expiration date
+ * @param {Object} ingredient - Ingredient
+ * @returns {string} Key
+ */
+function getImportKey(ingredient) {
+    return `${normalizeItemName(ingredient.name)}|${ingredient.expirationDate}`;
+}
+
+/**
+ * The strategy chosen for duplicates
+ * @returns {string} 'skip', 'overwrite' or 'keepBoth'
+ */
+function getImportStrategy() {
+    return document.querySelector('input[name="importStrategy"]:checked').value;
+}
+
+/**
+ * Show the rows with what will happen to each, and the totals
+ */
+function renderImportPreview() {
+    const strategy = getImportStrategy();
+    const tbody = document.getElementById('importRows');
+    tbody.innerHTML = '';
+    importRows.forEach(row => tbody.appendChild(createImportRowElement(row, strategy)));
+
+    const invalid = importRows.filter(row => row.errors.length > 0).length;
+    const duplicates = importRows.filter(row => row.duplicate).length;
+    const added = importRows.length - invalid - duplicates;
+    document.getElementById('importSummary').textContent =
+        `${importRows.length}件中 新規 ${added}件・重複 ${duplicates}件・エラー ${invalid}件`;
+
+    const count = getImportedRows(strategy).length;
+    const commitBtn = document.getElementById('importCommitBtn');
+    commitBtn.textContent = count > 0 ? `${count}件を取り込む` : '取り込む';
+    commitBtn.disabled = count === 0;
+}
+
+/**
+ * Create the preview row of an imported item
+ * @param {Object} row - Import row
+ * @param {string} strategy - Duplicate strategy
+ * @returns {HTMLElement} Table row
+ */
+function createImportRowElement(row, strategy) {
+    const tr = document.createElement('tr');
+    // Invalid rows show what the file contains, so they can be found and fixed
+    const item = row.ingredient || (row.item && typeof row.item === 'object' ? row.item : {});
+
+    const status = document.createElement('td');
+    if (row.errors.length > 0) {
+        tr.className = 'import-row-invalid';
+        status.textContent = row.errors.join(' / ');
+    } else if (row.duplicate) {
+        tr.className = 'import-row-duplicate';
+        status.textContent = `重複（${DUPLICATE_REASON_LABELS[row.duplicate.reason]}）→ ${IMPORT_STRATEGY_ACTIONS[strategy]}`;
+    } else {
+        status.textContent = '新規';
+    }
+
+    [row.number, item.name, item.category, item.expirationDate].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value === undefined || value === null ? '' : String(value);
+        tr.appendChild(td);
+    });
+    tr.appendChild(status);
+    return tr;
+}
+
+/**
+ * Rows that change the inventory with a strategy
+ * @param {string} strategy - Duplicate strategy
+ * @returns {Array} Import rows
+ */
+function getImportedRows(strategy) {
+    return importRows.filter(row => row.errors.length === 0 && (!row.duplicate || strategy !== 'skip'));
+}
+
+/**
+ * Turn the import rows into batch operations
+ * Imported ids and timestamps are kept; a copy kept next to an item with the same id gets a new id.
+ * An overwritten item is replaced as a whole and stamped now, since replacing it is a new change.
+ * @param {Array} rows - Valid import rows
+ * @param {string} strategy - Duplicate strategy
+ * @returns {Array} Batch operations
+ */
+function buildImportOperations(rows, strategy) {
+    const operations = [];
+    const now = new Date().toISOString();
+
+    rows.forEach(({ ingredient, duplicate }) => {
+        if (!duplicate) {
+            operations.push({ type: 'add', id: ingredient.id, ingredient });
+        } else if (strategy === 'overwrite') {
+            operations.push({ type: 'delete', id: duplicate.existing.id });
+            operations.push({ type: 'add', id: ingredient.id, ingredient: { ...ingredient, updatedAt: now } });
+        } else if (strategy === 'keepBoth') {
+            const copy = duplicate.reason === 'id' ? { ...ingredient, id: generateUUID() } : ingredient;
+            operations.push({ type: 'add', id: copy.id, ingredient: copy });
+        }
+    });
+    return operations;
+}
+
+/**
+ * Save the previewed rows in one batch (one undo)
+ */
+function commitImport() {
+    const strategy = getImportStrategy();
+    const rows = getImportedRows(strategy);
+    if (rows.length === 0) {
+        return;
+    }
+
+    createBackup('beforeImport');
+    applyBatch(buildImportOperations(rows, strategy), `${rows.length}件をインポート`);
+    importRows = [];
+    spreadsheetImport = null;
+    closeModal('importModal');
+    showUndoNotification(`${rows.length}件を取り込みました`);
+}
@@ -2,10 +2,18 @@
 
 let currentEditingId = null;
 
+// The ingredient as it was when the edit form opened (for conflict detection)
+let currentEditingBase = null;
+
 /**
  * Open the add ingredient form
  */
 function openAddForm() {
+    if (!canEditIngredients()) {
+        showNotification('閲覧者はアイテムを追加できません', 'warning');
+        return;
+    }
+
     currentEditingId = null;
 
     const modal = document.getElementById('ingredientModal');
@@ -13,9 +21,19 @@ function openAddForm() {
     const form = document.getElementById('ingredientForm');
 
     modalTitle.textContent = 'アイテムを追加';
+    document.getElementById('batchModeBtn').classList.remove('hidden');
     form.reset();
     clearFormErrors();
 
+    // Most items are entered on the day they were bought
+    document.getElementById('purchaseDate').value = getTodayString();
+    document.getElementById('barcode').value = '';
+    setQuantityText('');
+    updateExpirationDateLabel();
+    resetBarcodeScanner();
+    resetExpiryOcr();
+    refreshLearnedShelfLives();
+
     modal.classList.add('active');
     modal.setAttribute('aria-hidden', 'false');
 
@@ -30,6 +48,11 @@ function openAddForm() {
  * @param {string} id - Ingredient ID to edit
  */
 function openEditForm(id) {
+    if (!canEditIngredients()) {
+        showNotification('閲覧者はアイテムを編集できません', 'warning');
+        return;
+    }
+
     const ingredient = getIngredientById(id);
 
     if (!ingredient) {
@@ -38,21 +61,36 @@ function openEditForm(id) {
     }
 
     currentEditingId = id;
+    currentEditingBase = { ...ingredient };
 
     const modal = document.getElementById('ingredientModal');
     const modalTitle = document.getElementById('modalTitle');
     const form = document.getElementById('ingredientForm');
 
     modalTitle.textContent = 'アイテムを編集';
+    document.getElementById('batchModeBtn').classList.add('hidden');
 
     // Populate form with ingredient data
     document.getElementById('ingredientId').value = ingredient.id;
     document.getElementById('ingredientName').value = ingredient.name;
     document.getElementById('ingredientCategory').value = ingredient.category;
+    // Items saved without a purchase date are drawn from today, so show that
+    document.getElementById('purchaseDate').value = ingredient.purchaseDate || getTodayString();
     document.getElementById('expirationDate').value = ingredient.expirationDate;
+    document.getElementById('dateType').value = getDateType(ingredient);
+    document.getElementById('barcode').value = ingredient.barcode || '';
+    updateExpirationDateLabel();
+    resetBarcodeScanner();
+    resetExpiryOcr();
+    refreshLearnedShelfLives();
     document.getElementById('location').value = ingredient.location || '';
     document.getElementById('notes').value = ingredient.notes || '';
 
+    const quantity = getIngredientQuantity(ingredient);
+    document.getElementById('amount').value = quantity ? quantity.amount : '';
+    document.getElementById('unit').value = quantity ? quantity.unit : '';
+    setQuantityText(quantity ? '' : (ingredient.quantity || ''));
+
     clearFormErrors();
 
     modal.classList.add('active');
@@ -64,6 +102,15 @@ function openEditForm(id) {
     }, 100);
 }
 
+/**
+ * Show a quantity that has no amount and unit (free text such as 少し) in its own field
+ * @param {string} text - Free-text quantity, or '' to hide the field
+ */
+function setQuantityText(text) {
+    document.getElementById('quantityText').value = text;
+    document.getElementById('quantityTextGroup').classList.toggle('hidden', !text);
+}
+
 /**
  * Close the form modal
  */
@@ -76,7 +123,11 @@ function closeForm() {
 
     form.reset();
     clearFormErrors();
+    resetBarcodeScanner();
+    resetExpiryOcr();
+    setBatchMode(false);
     currentEditingId = null;
+    currentEditingBase = null;
 }
 
 /**
@@ -90,9 +141,14 @@ function handleFormSubmit(event) {
     const formData = {
         name: document.getElementById('ingredientName').value,
         category: document.getElementById('ingredientCategory').value,
+        purchaseDate: document.getElementById('purchaseDate').value || getTodayString(),
         expirationDate: document.getElementById('expirationDate').value,
+        dateType: document.getElementById('dateType').value,
+        amount: document.getElementById('amount').value,
+        unit: document.getElementById('unit').value,
         location: document.getElementById('location').value,
-        notes: document.getElementById('notes').value
+        notes: document.getElementById('notes').value,
+        barcode: document.getElementById('barcode').value
     };
 
     // Validate
@@ -103,18 +159,32 @@ function handleFormSubmit(event) {
         return;
     }
 
+    formData.amount = normalizeAmount(formData.amount);
+    if (formData.amount === null) {
+        formData.unit = '';
+    }
+
+    // Free text is kept until an amount replaces it
+    const quantityText = document.getElementById('quantityText').value.trim();
+    if (quantityText || (currentEditingBase && currentEditingBase.quantity)) {
+        formData.quantity = formData.amount === null ? quantityText : '';
+    }
+
     // Clear errors
     clearFormErrors();
 
+    // Remember unknown products for the next scan
+    saveScannedProduct(formData);
+
     // Save or update
     if (currentEditingId) {
         // Update existing ingredient
-        const success = updateIngredient(currentEditingId, formData);
+        const success = updateIngredient(currentEditingId, formData, currentEditingBase);
 
         if (success) {
-            showNotification('更新しました', 'success');
+            showUndoNotification('更新しました');
             closeForm();
-            // UI is updated automatically via Firestore real-time listener
+            // UI is updated automatically via the storage sync listener
         } else {
             showNotification('更新に失敗しました', 'error');
         }
@@ -124,9 +194,9 @@ function handleFormSubmit(event) {
         const success = addIngredient(ingredient);
 
         if (success) {
-            showNotification('追加しました', 'success');
+            showUndoNotification('追加しました');
             closeForm();
-            // UI is updated automatically via Firestore real-time listener
+            // UI is updated automatically via the storage sync listener
         } else {
             showNotification('追加に失敗しました', 'error');
         }
@@ -180,10 +250,11 @@ function clearFormErrors() {
 }
 
 /**
- * Confirm and delete ingredient
- * @param {string} id - Ingredient ID to delete
+ * Confirm and move an ingredient to the history
+ * @param {string} id - Ingredient ID
+ * @param {string} disposition - 'eaten', 'discarded' or 'given'
  */
-function confirmDeleteIngredient(id) {
+function confirmDisposeIngredient(id, disposition = 'eaten') {
     const ingredient = getIngredientById(id);
 
     if (!ingredient) {
@@ -191,20 +262,69 @@ function confirmDeleteIngredient(id) {
         return;
     }
 
-    const confirmed = confirm(`「${ingredient.name}」を食べましたか？ 🍽️`);
+    const questions = {
+        eaten: `「${ingredient.name}」を食べましたか？ 🍽️`,
+        discarded: `「${ingredient.name}」を捨てましたか？ 🗑️`,
+        given: `「${ingredient.name}」を誰かにあげましたか？ 🎁`
+    };
+    const messages = {
+        eaten: '🎉 美味しくいただきました！',
+        discarded: '記録しました。次はおいしく食べきりましょう',
+        given: '🎁 おすそわけを記録しました'
+    };
+
+    const confirmed = confirm(questions[disposition]);
 
     if (confirmed) {
-        const success = deleteIngredient(id);
+        const success = archiveIngredient(id, disposition);
 
         if (success) {
-            showNotification('🎉 美味しくいただきました！', 'success');
-            // UI is updated automatically via Firestore real-time listener
+            showUndoNotification(messages[disposition], disposition === 'discarded' ? 'warning' : 'success');
+            // UI is updated automatically via the storage sync listener
         } else {
-            showNotification('削除に失敗しました', 'error');
+            showNotification('記録に失敗しました', 'error');
         }
     }
 }
 
+/**
+ * Ask how much of an ingredient was used and subtract it
+ * @param {string} id - Ingredient ID
+ */
+function promptUseIngredient(id) {
+    const ingredient = getIngredientById(id);
+    const quantity = ingredient && getIngredientQuantity(ingredient);
+
+    if (!quantity) {
+        showNotification('アイテムが見つかりません', 'error');
+        return;
+    }
+
+    const step = Math.min(QUANTITY_UNITS[quantity.unit].step, quantity.amount);
+    const input = prompt(
+        `「${ingredient.name}」をどれだけ使いましたか？（残り ${formatQuantity(quantity.amount, quantity.unit)}）\n単位: ${quantity.unit}`,
+        String(step)
+    );
+
+    if (input === null) {
+        return;
+    }
+
+    const used = normalizeAmount(input.replace(quantity.unit, ''));
+    if (used === null || used <= 0) {
+        showNotification('使った量を数字で入力してください', 'error');
+        return;
+    }
+
+    const result = consumeIngredient(id, used);
+
+    if (result.finished) {
+        showUndoNotification('🎉 使い切りました！');
+    } else {
+        showUndoNotification(`残り ${formatQuantity(result.remaining, quantity.unit)}`);
+    }
+}
+
 /**
  * Initialize form event listeners
  */
@@ -296,5 +416,41 @@ function initFormListeners() {
                 expirationInput.classList.remove('error');
             }
         });
+        expirationInput.addEventListener('change', checkPurchaseDateField);
+    }
+
+    const purchaseInput = document.getElementById('purchaseDate');
+    if (purchaseInput) {
+        purchaseInput.addEventListener('change', checkPurchaseDateField);
+    }
+
+    const dateTypeSelect = document.getElementById('dateType');
+    if (dateTypeSelect) {
+        dateTypeSelect.addEventListener('change', updateExpirationDateLabel);
+        dateTypeSelect.addEventListener('change', checkPurchaseDateField);
     }
 }
+
+/**
+ * Name the date field after the selected date type (賞味期限 / 消費期限)
+ */
+function updateExpirationDateLabel() {
+    const dateType = DATE_TYPES[document.getElementById('dateType').value] || DATE_TYPES[DEFAULT_DATE_TYPE];
+    document.getElementById('expirationDateLabel').textContent = dateType.label;
+}
+
+/**
+ * Show or clear the purchase date error whenever either date changes
+ */
+function checkPurchaseDateField() {
+    const purchaseInput = document.getElementById('purchaseDate');
+    const errorEl = document.getElementById('purchaseDateError');
+    const message = getPurchaseDateError({
+        purchaseDate: purchaseInput.value,
+        expirationDate: document.getElementById('expirationDate').value,
+        dateType: document.getElementById('dateType').value
+    });
+
+    errorEl.textContent = message;
+    purchaseInput.classList.toggle('error', Boolean(message));
+}
@@ -0,0 +1,317 @@
+// localAdapter.js - Local-only storage backend (IndexedDB, no Firebase needed)
+
+const LOCAL_INGREDIENTS_STORE = 'ingredients';
+const LOCAL_HOUSEHOLDS_STORE = 'households';
+const LOCAL_HISTORY_STORE = 'history';
+const LOCAL_CHANNEL_NAME = 'freshly-local-storage';
+
+/**
+ * Create the local IndexedDB storage adapter
+ * @returns {StorageAdapter} Adapter backed by IndexedDB in this browser
+ */
+function createLocalAdapter() {
+    // callback -> household ID it listens to
+    const listeners = new Map();
+
+    // Tell other tabs of this browser about changes
+    const channel = typeof BroadcastChannel !== 'undefined' ?
+        new BroadcastChannel(LOCAL_CHANNEL_NAME) :
+        null;
+
+    if (channel) {
+        channel.onmessage = (event) => notifyListeners(event.data, false);
+    }
+
+    async function load(householdId) {
+        const records = await idbGetAllByIndex(LOCAL_INGREDIENTS_STORE, 'householdId', householdId);
+
+        // householdId is only a storage key, not part of the ingredient
+        const ingredients = records.map(({ householdId: _, ...ingredient }) => migrateIngredient(ingredient));
+        return sortIngredients(ingredients, 'expiration', 'asc');
+    }
+
+    async function notifyListeners(householdId, broadcast = true) {
+        if (broadcast && channel) {
+            channel.postMessage(householdId);
+        }
+
+        const callbacks = [...listeners].filter(([, id]) => id === householdId);
+        if (callbacks.length === 0) {
+            return;
+        }
+
+        try {
+            const ingredients = await load(householdId);
+            callbacks.forEach(([callback]) => callback(ingredients));
+        } catch (error) {
+            console.error('Error loading local ingredients:', error);
+        }
+    }
+
+    async function add(householdId, ingredient) {
+        await idbPut(LOCAL_INGREDIENTS_STORE, { ...ingredient, householdId });
+        notifyListeners(householdId);
+        return ingredient.id;
+    }
+
+    async function update(householdId, id, data, baseUpdatedAt) {
+        let found = true;
+        let remote = null;
+
+        await runIdbTransaction(LOCAL_INGREDIENTS_STORE, 'readwrite', tx => {
+            const store = tx.objectStore(LOCAL_INGREDIENTS_STORE);
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                if (!request.result || request.result.householdId !== householdId) {
+                    found = false;
+                    return;
+                }
+
+                // Changed in another tab since the edit started
+                if (baseUpdatedAt !== undefined && request.result.updatedAt !== baseUpdatedAt) {
+                    const { householdId: _, ...ingredient } = request.result;
+                    remote = ingredient;
+                    return;
+                }
+
+                store.put({
+                    ...request.result,
+                    ...data,
+                    updatedAt: data.updatedAt || new Date().toISOString()
+                });
+            };
+        });
+
+        if (!found) {
+            // Same behaviour as Firestore's update() on a missing document
+            const error = new Error(`No ingredient with id ${id}`);
+            error.code = 'not-found';
+            throw error;
+        }
+
+        if (remote) {
+            throw createConflictError(remote);
+        }
+
+        notifyListeners(householdId);
+        return true;
+    }
+
+    async function remove(householdId, id) {
+        await runIdbTransaction(LOCAL_INGREDIENTS_STORE, 'readwrite', tx => {
+            const store = tx.objectStore(LOCAL_INGREDIENTS_STORE);
+            const request = store.get(id);
+
+            request.onsuccess = () => {
+                if (request.result && request.result.householdId === householdId) {
+                    store.delete(id);
+                }
+            };
+        });
+        notifyListeners(householdId);
+        return true;
+    }
+
+    async function clear(householdId) {
+        await runIdbTransaction(LOCAL_INGREDIENTS_STORE, 'readwrite', tx => {
+            const index = tx.objectStore(LOCAL_INGREDIENTS_STORE).index('householdId');
+            const request = index.openCursor(householdId);
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+        });
+        notifyListeners(householdId);
+        return true;
+    }
+
+    async function archive(householdId, entry) {
+        await runIdbTransaction([LOCAL_INGREDIENTS_STORE, LOCAL_HISTORY_STORE], 'readwrite', tx => {
+            const store = tx.objectStore(LOCAL_INGREDIENTS_STORE);
+            const request = store.get(entry.id);
+
+            tx.objectStore(LOCAL_HISTORY_STORE).put({ ...entry, householdId });
+            request.onsuccess = () => {
+                if (request.result && request.result.householdId === householdId) {
+                    store.delete(entry.id);
+                }
+            };
+        });
+        notifyListeners(householdId);
+        return true;
+    }
+
+    // IDs a batch would delete that belong to another household. Looked up before the batch:
+    // a check inside its transaction would run after the writes queued behind it
+    // (an import deletes an item and adds it again with the same ID)
+    async function findOtherHouseholdIds(householdId, operations) {
+        const deletes = operations.filter(operation => ['delete', 'archive', 'restore'].includes(operation.type));
+        const records = await Promise.all(deletes.map(operation =>
+            idbGet(operation.type === 'restore' ? LOCAL_HISTORY_STORE : LOCAL_INGREDIENTS_STORE, operation.id)));
+
+        return new Set(records.filter(record => record && record.householdId !== householdId).map(record => record.id));
+    }
+
+    async function batch(householdId, operations) {
+        const otherHouseholdIds = await findOtherHouseholdIds(householdId, operations);
+        let missingId = null;
+
+        try {
+            await runIdbTransaction([LOCAL_INGREDIENTS_STORE, LOCAL_HISTORY_STORE], 'readwrite', tx => {
+                const store = tx.objectStore(LOCAL_INGREDIENTS_STORE);
+                const history = tx.objectStore(LOCAL_HISTORY_STORE);
+
+                operations.forEach(operation => {
+                    switch (operation.type) {
+                        case 'add':
+                            store.put({ ...operation.ingredient, householdId });
+                            break;
+                        case 'update': {
+                            const request = store.get(operation.id);
+                            request.onsuccess = () => {
+                                if (!request.result || request.result.householdId !== householdId) {
+                                    missingId = operation.id;
+                                    tx.abort();
+                                    return;
+                                }
+                                store.put({ ...request.result, ...operation.updates });
+                            };
+                            break;
+                        }
+                        case 'delete':
+                            if (!otherHouseholdIds.has(operation.id)) {
+                                store.delete(operation.id);
+                            }
+                            break;
+                        case 'archive':
+                            history.put({ ...operation.entry, householdId });
+                            if (!otherHouseholdIds.has(operation.id)) {
+                                store.delete(operation.id);
+                            }
+                            break;
+                        case 'restore':
+                            store.put({ ...getIngredientFromHistoryEntry(operation.entry), householdId });
+                            if (!otherHouseholdIds.has(operation.id)) {
+                                history.delete(operation.id);
+                            }
+                            break;
+                        default:
+                            // Throwing inside the transaction aborts it, so nothing is written
+                            throw new Error(`Unknown batch operation type: ${operation.type}`);
+                    }
+                });
+            });
+        } catch (error) {
+            if (missingId) {
+                // Same behaviour as a Firestore batch update of a missing document
+                const notFound = new Error(`No ingredient with id ${missingId}`);
+                notFound.code = 'not-found';
+                throw notFound;
+            }
+            throw error;
+        }
+
+        notifyListeners(householdId);
+        return true;
+    }
+
+    async function loadHistory(householdId) {
+        const records = await idbGetAllByIndex(LOCAL_HISTORY_STORE, 'householdId', householdId);
+
+        return records
+            .map(({ householdId: _, ...entry }) => migrateIngredient(entry))
+            .sort((a, b) => b.disposedAt.localeCompare(a.disposedAt));
+    }
+
+    function subscribe(householdId, callback) {
+        listeners.set(callback, householdId);
+
+        // Deliver the current data right away, like onSnapshot does
+        load(householdId)
+            .then(ingredients => {
+                if (listeners.get(callback) === householdId) {
+                    callback(ingredients);
+                }
+            })
+            .catch(error => console.error('Error loading local ingredients:', error));
+
+        return () => listeners.delete(callback);
+    }
+
+    async function createHousehold(household) {
+        await idbPut(LOCAL_HOUSEHOLDS_STORE, { ...household });
+        return household.id;
+    }
+
+    // Items saved before households existed have no householdId
+    async function migrateLegacyIngredients(householdId) {
+        let migrated = 0;
+
+        await runIdbTransaction(LOCAL_INGREDIENTS_STORE, 'readwrite', tx => {
+            const request = tx.objectStore(LOCAL_INGREDIENTS_STORE).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    return;
+                }
+                if (!cursor.value.householdId) {
+                    cursor.update({ ...cursor.value, householdId });
+                    migrated++;
+                }
+                cursor.continue();
+            };
+        });
+
+        if (migrated > 0) {
+            notifyListeners(householdId);
+        }
+        return migrated;
+    }
+
+    // Items written with an older schema are rewritten as they are read
+    async function migrateSchema(householdId) {
+        let migrated = 0;
+
+        await runIdbTransaction(LOCAL_INGREDIENTS_STORE, 'readwrite', tx => {
+            const request = tx.objectStore(LOCAL_INGREDIENTS_STORE).index('householdId').openCursor(IDBKeyRange.only(householdId));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    return;
+                }
+                if (needsMigration(cursor.value)) {
+                    cursor.update(migrateIngredient(cursor.value));
+                    migrated++;
+                }
+                cursor.continue();
+            };
+        });
+
+        return migrated;
+    }
+
+    return {
+        name: 'local',
+        requiresNetwork: false,
+        supportsSharing: false,
+        load,
+        add,
+        update,
+        delete: remove,
+        clear,
+        archive,
+        batch,
+        loadHistory,
+        subscribe,
+        createHousehold,
+        migrateLegacyIngredients,
+        migrateSchema
+    };
+}
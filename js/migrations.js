@@ -0,0 +1,150 @@
+// migrations.js - Schema versions of stored ingredients and the migrations between them
+
+// Version written by createIngredient; records without schemaVersion are version 1
+const SCHEMA_VERSION = 4;
+
+// Per backend: { [householdId]: version } of the stored items already upgraded
+const SCHEMA_MIGRATED_KEY = 'freshly.schemaMigrated';
+
+/**
+ * Migrations in order. Each takes a record of the previous version and returns
+ * a new record; records are read through them wherever they come from (the backend,
+ * an imported file, an old backup). To change the schema, add an entry at the end
+ * and bump SCHEMA_VERSION; released migrations must not change.
+ */
+const INGREDIENT_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Free-text quantity ("500g") split into amount and unit',
+        migrate: migrateQuantityToAmount
+    },
+    {
+        version: 3,
+        description: 'Kind of date (賞味期限 / 消費期限); older items are best-before',
+        migrate: migrateDateType
+    },
+    {
+        version: 4,
+        description: 'JAN barcode of the product',
+        migrate: migrateBarcode
+    }
+];
+
+/**
+ * Get the schema version of a stored record
+ * @param {Object} record - Ingredient or history entry as stored
+ * @returns {number} Version (1 when not recorded)
+ */
+function getSchemaVersion(record) {
+    return Number.isInteger(record.schemaVersion) && record.schemaVersion > 0 ? record.schemaVersion : 1;
+}
+
+/**
+ * Whether a stored record was written by an older version of the app
+ * @param {Object} record - Ingredient or history entry as stored
+ * @returns {boolean} Needs migrating
+ */
+function needsMigration(record) {
+    return getSchemaVersion(record) < SCHEMA_VERSION;
+}
+
+/**
+ * Bring a stored record up to the current schema
+ * Records written by a newer version of the app are returned unchanged.
+ * @param {Object} record - Ingredient or history entry as stored
+ * @returns {Object} Record at SCHEMA_VERSION (the same object when already current)
+ */
+function migrateIngredient(record) {
+    const version = getSchemaVersion(record);
+    if (version >= SCHEMA_VERSION) {
+        return record;
+    }
+
+    return INGREDIENT_MIGRATIONS
+        .filter(migration => migration.version > version)
+        .reduce((migrated, migration) => ({ ...migration.migrate(migrated), schemaVersion: migration.version }), record);
+}
+
+/**
+ * v2: parse the free-text quantity into amount and unit
+ * Text that cannot be parsed (e.g. "少し") stays in quantity, which is still shown.
+ * @param {Object} record - Version 1 record
+ * @returns {Object} Version 2 record
+ */
+function migrateQuantityToAmount(record) {
+    const { quantity, ...migrated } = record;
+    if (record.amount !== undefined) {
+        return record;
+    }
+
+    const parsed = typeof quantity === 'string' ? parseQuantity(quantity) : null;
+    migrated.amount = parsed ? parsed.amount : null;
+    migrated.unit = parsed ? parsed.unit : '';
+
+    if (!parsed && typeof quantity === 'string' && quantity.trim() !== '') {
+        migrated.quantity = quantity.trim();
+    }
+    return migrated;
+}
+
+/**
+ * v3: every item has a date type; labels read before the distinction were best-before dates
+ * @param {Object} record - Version 2 record
+ * @returns {Object} Version 3 record
+ */
+function migrateDateType(record) {
+    return {
+        ...record,
+        dateType: DATE_TYPES[record.dateType] ? record.dateType : DEFAULT_DATE_TYPE
+    };
+}
+
+/**
+ * v4: every item has a barcode field (empty when it was not scanned)
+ * @param {Object} record - Version 3 record
+ * @returns {Object} Version 4 record
+ */
+function migrateBarcode(record) {
+    return {
+        ...record,
+        barcode: typeof record.barcode === 'string' ? record.barcode : ''
+    };
+}
+
+/**
+ * Schema versions the stored items of each household were upgraded to, on this device
+ * @returns {Object} { [householdId]: version }
+ */
+function loadMigratedSchemaVersions() {
+    try {
+        return JSON.parse(localStorage.getItem(getHouseholdStorageKey(SCHEMA_MIGRATED_KEY))) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Upgrade the stored items of a household in place (once per household and schema version)
+ * Items are migrated when read anyway; this rewrites the stored documents so that
+ * exports of the backend and other tools see the current schema too.
+ * @param {string} householdId - Household ID
+ */
+async function migrateStoredIngredients(householdId) {
+    if (loadMigratedSchemaVersions()[householdId] >= SCHEMA_VERSION || !canEditIngredients()) {
+        return;
+    }
+
+    try {
+        const count = await getStorageAdapter().migrateSchema(householdId);
+
+        const versions = { ...loadMigratedSchemaVersions(), [householdId]: SCHEMA_VERSION };
+        localStorage.setItem(getHouseholdStorageKey(SCHEMA_MIGRATED_KEY), JSON.stringify(versions));
+
+        if (count > 0) {
+            console.log(`Migrated ${count} ingredients to schema version ${SCHEMA_VERSION}`);
+        }
+    } catch (error) {
+        // Retried when the household is shown next time
+        console.error('Schema migration failed:', error);
+    }
+}
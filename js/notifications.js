@@ -0,0 +1,189 @@
+// notifications.js - Daily digest opt-in, snapshots for the service worker and on-open reminders
+
+const DEFAULT_DIGEST_TIME = '08:00';
+
+// Ask for hourly wake-ups; browsers decide the real interval (often much longer)
+const DIGEST_SYNC_INTERVAL = 60 * 60 * 1000;
+
+// Shows the digest at the configured time while the app stays open
+let digestTimer = null;
+
+// Snapshots are written after the ingredients settle, not on every change
+const scheduleDigestSnapshot = debounce(updateDigestSnapshot, 1000);
+
+/**
+ * Initialize digest scheduling and on-open reminders
+ */
+function initNotifications() {
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            checkDailyDigest();
+        }
+    });
+
+    syncNotificationSchedule();
+}
+
+/**
+ * Whether the daily digest is turned on for a household on this device
+ * @param {string} householdId - Household ID
+ * @returns {boolean} Opted in
+ */
+function isDigestEnabled(householdId) {
+    return Boolean(getSettings().notifications.households[householdId]);
+}
+
+/**
+ * Whether system notifications may be shown
+ * @returns {boolean} Permission granted
+ */
+function canShowSystemNotifications() {
+    return typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+/**
+ * Ask for permission to show system notifications (call from a user action)
+ * @returns {Promise<boolean>} Permission granted
+ */
+async function requestNotificationPermission() {
+    if (typeof Notification === 'undefined') {
+        return false;
+    }
+    if (Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    return Notification.permission === 'granted';
+}
+
+/**
+ * Store the digest schedule where the service worker can read it,
+ * and (un)register the periodic wake-up
+ */
+async function syncNotificationSchedule() {
+    const { time, households } = getSettings().notifications;
+    const householdIds = Object.keys(households).filter(id => households[id]);
+
+    scheduleDigestTimer();
+
+    try {
+        const saved = await idbGet('meta', DIGEST_SCHEDULE_KEY);
+        await idbPut('meta', { ...saved, key: DIGEST_SCHEDULE_KEY, time, householdIds });
+
+        // Forget snapshots of households that were turned off
+        const snapshots = await idbGetAll('digestSnapshots');
+        await Promise.all(snapshots
+            .filter(snapshot => !householdIds.includes(snapshot.householdId))
+            .map(snapshot => idbDelete('digestSnapshots', snapshot.householdId)));
+    } catch (error) {
+        console.error('Error saving digest schedule:', error);
+        return;
+    }
+
+    await registerDigestSync(householdIds.length > 0);
+}
+
+/**
+ * Register or remove the periodic background sync that wakes the service worker
+ * Without it (most browsers, or when the app is not installed) the digest is shown when the app is opened.
+ * @param {boolean} enabled - Whether any household is opted in
+ */
+async function registerDigestSync(enabled) {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration || !registration.periodicSync) {
+            return;
+        }
+
+        if (enabled) {
+            await registration.periodicSync.register(DIGEST_TAG, { minInterval: DIGEST_SYNC_INTERVAL });
+        } else {
+            await registration.periodicSync.unregister(DIGEST_TAG);
+        }
+    } catch (error) {
+        // Not installed as an app, or the browser refused background sync
+        console.log('Periodic sync unavailable, digest will show when the app opens:', error);
+    }
+}
+
+/**
+ * Save the active household's items for the service worker
+ * Only the active household is refreshed; others keep the items from when they were last open.
+ */
+async function updateDigestSnapshot() {
+    const household = getActiveHousehold();
+    if (!household || !isDigestEnabled(household.id)) {
+        return;
+    }
+
+    const items = loadIngredients().map(ingredient => ({
+        name: ingredient.name,
+        expirationDate: ingredient.expirationDate,
+        criticalDays: getStatusThresholds(ingredient.category).critical
+    }));
+
+    try {
+        await idbPut('digestSnapshots', {
+            householdId: household.id,
+            householdName: household.name,
+            items,
+            updatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error saving digest snapshot:', error);
+        return;
+    }
+
+    checkDailyDigest();
+}
+
+/**
+ * Show today's digest if it is due (on open, when the tab becomes visible, or at the set time)
+ */
+async function checkDailyDigest() {
+    try {
+        await runDailyDigest(showDigest);
+    } catch (error) {
+        console.error('Error showing daily digest:', error);
+    }
+}
+
+/**
+ * Show the digest as a system notification, or as a toast when that is not allowed
+ * @param {string} title - Notification title
+ * @param {Object} options - Notification options ({ body, tag, icon })
+ */
+async function showDigest(title, options) {
+    if (canShowSystemNotifications()) {
+        const registration = 'serviceWorker' in navigator ?
+            await navigator.serviceWorker.getRegistration() :
+            null;
+
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            new Notification(title, options);
+        }
+        return;
+    }
+
+    showNotification(`${title}: ${options.body.split('\n').join(' ／ ')}`, 'warning');
+}
+
+/**
+ * Check again at the configured time if the app is still open then
+ */
+function scheduleDigestTimer() {
+    clearTimeout(digestTimer);
+
+    const [hours, minutes] = getSettings().notifications.time.split(':').map(Number);
+    const due = new Date();
+    due.setHours(hours, minutes, 0, 0);
+
+    if (due > new Date()) {
+        digestTimer = setTimeout(checkDailyDigest, due - new Date());
+    }
+}
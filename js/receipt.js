@@ -0,0 +1,460 @@
+// receipt.js - Add a whole shopping trip from a receipt (photo or pasted text)
+
+// Receipt lines that are never items (totals, payment, shop details, date and time)
+const RECEIPT_SKIP_PATTERN = /合計|小計|税|釣|現金|預り|預かり|クレジット|カード|点数|買上|ポイント|値引|割引|領収|レシート|登録番号|電話|TEL|〒|ありがとう|担当|レジ|伝票|No\.|\d{1,2}:\d{2}|\d{2,4}[年\/.-]\d{1,2}[月\/.-]\d{1,2}/i;
+
+// "@98 x 2" / "2個 x 98" lines give the count of the item above them
+const RECEIPT_COUNT_PATTERNS = [
+    /^(?:@|単)?\s*[\d,]+\s*[xX×*]\s*(\d+)\s*(?:個|点|コ)?/,
+    /^(\d+)\s*(?:個|点|コ)\s*[xX×*]\s*(?:@|単)?\s*[\d,]+/
+];
+
+// Name, then the price at the end of the line (with tax marks such as ※ or 軽)
+const RECEIPT_ITEM_PATTERN = /^(.*?\D)\s*[¥\\]?\s*(-?[\d,]+)\s*円?\s*[*※軽内外税]*$/;
+
+// Size printed in the name, e.g. "牛乳 1000ML"
+const RECEIPT_SIZE_PATTERN = /\s*(\d+(?:\.\d+)?)\s*(kg|g|ml|l|個|本|枚|袋|パック|缶|コ)$/i;
+
+// Categories guessed from words in names we have never seen; checked in this order
+// (乳製品 before 肉類 so that 牛乳 is not taken for beef)
+const RECEIPT_CATEGORY_KEYWORDS = [
+    ['乳製品・卵', ['牛乳', 'ミルク', '乳', 'ヨーグルト', 'チーズ', 'バター', '卵', 'たまご', 'タマゴ']],
+    ['肉類', ['肉', '豚', '牛', '鶏', 'とり', 'ひき', 'ミンチ', 'ハム', 'ベーコン', 'ソーセージ', 'ウインナー']],
+    ['魚介類', ['魚', 'さけ', '鮭', 'サーモン', 'まぐろ', '刺身', 'えび', 'いか', 'たこ', 'あさり', 'しらす']],
+    ['野菜', ['キャベツ', 'レタス', 'トマト', 'きゅうり', 'なす', 'にんじん', '人参', '玉ねぎ', 'たまねぎ', 'ねぎ', '大根', 'もやし', 'ほうれん草', '白菜', 'ピーマン', 'じゃがいも', 'きのこ', 'しめじ', '豆腐', '納豆']],
+    ['果物', ['りんご', 'バナナ', 'みかん', 'いちご', 'ぶどう', 'キウイ', 'レモン', 'もも', 'なし', 'メロン']],
+    ['穀物・麺類', ['米', 'パン', 'うどん', 'そば', 'パスタ', 'ラーメン', '麺', 'シリアル']],
+    ['缶詰', ['缶']],
+    ['調味料', ['醤油', 'しょうゆ', '味噌', 'みそ', '塩', '砂糖', 'ソース', 'ケチャップ', 'マヨネーズ', 'ドレッシング', 'だし', '油', '酢']],
+    ['飲料', ['水', '茶', 'ジュース', 'コーヒー', 'ビール', '酒', 'サイダー', 'コーラ']],
+    ['お菓子', ['チョコ', 'クッキー', 'ポテト', 'スナック', 'ガム', 'アメ', 'グミ', 'せんべい', 'プリン', 'アイス']]
+];
+
+// Rows of the review table, in order
+let receiptRows = [];
+
+// Learned shelf lives, loaded when the review table is built
+let receiptShelfLives = new Map();
+
+/**
+ * Initialize the receipt dialog
+ */
+function initReceiptImport() {
+    const receiptBtn = document.getElementById('receiptBtn');
+    if (receiptBtn) {
+        receiptBtn.addEventListener('click', openReceiptImport);
+    }
+
+    const photoBtn = document.getElementById('receiptPhotoBtn');
+    const photoInput = document.getElementById('receiptPhotoInput');
+    if (photoBtn && photoInput) {
+        photoBtn.addEventListener('click', () => photoInput.click());
+        photoInput.addEventListener('change', () => {
+            if (photoInput.files.length > 0) {
+                readReceiptPhoto(photoInput.files[0]);
+            }
+            photoInput.value = '';
+        });
+    }
+
+    const parseBtn = document.getElementById('receiptParseBtn');
+    if (parseBtn) {
+        parseBtn.addEventListener('click', reviewReceipt);
+    }
+
+    const backBtn = document.getElementById('receiptBackBtn');
+    if (backBtn) {
+        backBtn.addEventListener('click', () => showReceiptStep('input'));
+    }
+
+    const commitBtn = document.getElementById('receiptCommitBtn');
+    if (commitBtn) {
+        commitBtn.addEventListener('click', commitReceiptRows);
+    }
+
+    const purchaseDate = document.getElementById('receiptPurchaseDate');
+    if (purchaseDate) {
+        purchaseDate.addEventListener('change', () => {
+            receiptRows.forEach(row => updateReceiptRowExpiry(row));
+        });
+    }
+}
+
+/**
+ * Open the receipt dialog with an empty text box
+ */
+function openReceiptImport() {
+    if (!canEditIngredients()) {
+        showNotification('閲覧者はアイテムを追加できません', 'warning');
+        return;
+    }
+
+    document.getElementById('receiptText').value = '';
+    document.getElementById('receiptOcrStatus').textContent = '';
+    showReceiptStep('input');
+    openModal('receiptModal');
+}
+
+/**
+ * Switch between the text box and the review table
+ * @param {string} step - 'input' or 'review'
+ */
+function showReceiptStep(step) {
+    document.getElementById('receiptInputStep').classList.toggle('hidden', step !== 'input');
+    document.getElementById('receiptReviewStep').classList.toggle('hidden', step !== 'review');
+}
+
+/**
+ * Read a receipt photo into the text box, where it can be corrected before reviewing
+ * @param {File} file - Receipt photo
+ */
+async function readReceiptPhoto(file) {
+    const status = document.getElementById('receiptOcrStatus');
+    const url = URL.createObjectURL(file);
+    status.textContent = '文字認識の準備をしています…';
+
+    try {
+        const image = await loadImage(url);
+        const text = await recognizeText(scaleImageForOcr(image), progress => {
+            status.textContent = `読み取り中… ${Math.round(progress * 100)}%`;
+        });
+
+        document.getElementById('receiptText').value = text.trim();
+        status.textContent = '読み取った文字を確認して「読み取る」を押してください';
+    } catch (error) {
+        console.error('Receipt OCR failed:', error);
+        status.textContent = '読み取りに失敗しました。通信状態を確認するか、文字を貼り付けてください';
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Parse the text box and show the editable review table
+ */
+async function reviewReceipt() {
+    const items = parseReceiptText(document.getElementById('receiptText').value);
+
+    if (items.length === 0) {
+        showNotification('品目を見つけられませんでした', 'warning');
+        return;
+    }
+
+    const [history, products] = await Promise.all([loadHistory(), loadCatalogProducts()]);
+    const knownItems = [...loadIngredients(), ...history, ...products];
+    receiptShelfLives = learnShelfLives([...history, ...loadIngredients()]);
+
+    const purchaseDate = getTodayString();
+    document.getElementById('receiptPurchaseDate').value = purchaseDate;
+    receiptRows = items.map(item => createReceiptRow(item, knownItems));
+
+    renderReceiptRows();
+    showReceiptStep('review');
+}
+
+/**
+ * Extract item lines from receipt text
+ * @param {string} text - Receipt text (pasted or from OCR)
+ * @returns {Array} { name, count } per item, in receipt order
+ */
+function parseReceiptText(text) {
+    const items = [];
+
+    text.normalize('NFKC').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || RECEIPT_SKIP_PATTERN.test(line)) {
+            return;
+        }
+
+        const countMatch = RECEIPT_COUNT_PATTERNS.map(pattern => line.match(pattern)).find(Boolean);
+        if (countMatch) {
+            if (items.length > 0) {
+                items[items.length - 1].count = Number(countMatch[1]);
+            }
+            return;
+        }
+
+        const match = line.match(RECEIPT_ITEM_PATTERN);
+        if (!match || Number(match[2].replace(/,/g, '')) <= 0) {
+            return;
+        }
+
+        const name = cleanReceiptName(match[1]);
+        if (name) {
+            items.push({ name, count: 1 });
+        }
+    });
+
+    return items;
+}
+
+/**
+ * Remove product codes and marks around a receipt item name
+ * @param {string} text - Text before the price
+ * @returns {string} Item name, or '' when nothing readable is left
+ */
+function cleanReceiptName(text) {
+    const name = text
+        .replace(/^\d{4,}\s*/, '')
+        .replace(/^[*※◎●#]+/, '')
+        .replace(/[*※◎●#¥\\]+$/, '')
+        .trim();
+
+    // A name needs at least one letter, kana or kanji
+    return /[^\d\s\p{P}\p{S}]/u.test(name) ? name : '';
+}
+
+/**
+ * Turn a receipt item into a table row, using the items we already know
+ * @param {Object} item - { name, count }
+ * @param {Array} knownItems - Ingredients, history entries and catalog products
+ * @returns {Object} Row state
+ */
+function createReceiptRow(item, knownItems) {
+    const known = findKnownItem(item.name, knownItems);
+    const quantity = getReceiptQuantity(item);
+
+    return {
+        name: known ? known.name : item.name.replace(RECEIPT_SIZE_PATTERN, '').trim() || item.name,
+        receiptName: item.name,
+        category: known ? known.category : guessReceiptCategory(item.name),
+        dateType: known ? getDateType(known) : DEFAULT_DATE_TYPE,
+        location: known && known.location ? known.location : '',
+        amount: quantity ? quantity.amount : '',
+        unit: quantity ? quantity.unit : '',
+        expirationDate: '',
+        expiryEdited: false,
+        include: true,
+        matched: Boolean(known)
+    };
+}
+
+/**
+ * Find the known item a receipt line refers to
+ * A known name inside the receipt name wins (the longest one, "明治おいしい牛乳" → "牛乳");
+ * otherwise the search matching is used the other way round.
+ * @param {string} receiptName - Name on the receipt
+ * @param {Array} knownItems - Items with name and category
+ * @returns {Object|null} Known item
+ */
+function findKnownItem(receiptName, knownItems) {
+    const candidates = knownItems.filter(item => item.name && item.category);
+
+    const contained = candidates
+        .filter(item => matchesSearchQuery({ name: receiptName }, item.name))
+        .sort((a, b) => b.name.length - a.name.length);
+
+    if (contained.length > 0) {
+        return contained[0];
+    }
+
+    return searchIngredients(candidates, receiptName.replace(RECEIPT_SIZE_PATTERN, ''))[0] || null;
+}
+
+/**
+ * Guess the category of an unknown item from words in its name
+ * @param {string} name - Item name
+ * @returns {string} Category, or '' when nothing fits
+ */
+function guessReceiptCategory(name) {
+    const text = normalizeSearchText(name);
+    const found = RECEIPT_CATEGORY_KEYWORDS.find(([, words]) =>
+        words.some(word => text.includes(normalizeSearchText(word))));
+    return found ? found[0] : '';
+}
+
+/**
+ * Quantity from the size in the name and the count line
+ * @param {Object} item - { name, count }
+ * @returns {Object|null} { amount, unit }
+ */
+function getReceiptQuantity(item) {
+    const size = item.name.match(RECEIPT_SIZE_PATTERN);
+    const parsed = size ? parseQuantity(`${size[1]}${size[2].toLowerCase()}`) : null;
+
+    if (parsed) {
+        return { amount: parsed.amount * item.count, unit: parsed.unit };
+    }
+    if (item.count > 1) {
+        return { amount: item.count, unit: '個' };
+    }
+    return null;
+}
+
+/**
+ * Suggest the expiration date of a row, unless it was typed in
+ * @param {Object} row - Row state
+ */
+function updateReceiptRowExpiry(row) {
+    if (row.expiryEdited) {
+        return;
+    }
+
+    const suggestion = suggestShelfLife(row, receiptShelfLives);
+    const purchaseDate = document.getElementById('receiptPurchaseDate').value || getTodayString();
+    row.expirationDate = suggestion ? addDaysToDate(purchaseDate, suggestion.days) : '';
+
+    if (row.element) {
+        row.element.querySelector('[data-field="expirationDate"]').value = row.expirationDate;
+    }
+}
+
+/**
+ * Render the review table
+ */
+function renderReceiptRows() {
+    const tbody = document.getElementById('receiptRows');
+    tbody.innerHTML = '';
+    document.getElementById('receiptError').textContent = '';
+
+    receiptRows.forEach(row => {
+        updateReceiptRowExpiry(row);
+        row.element = createReceiptRowElement(row);
+        tbody.appendChild(row.element);
+    });
+
+    updateReceiptCommitLabel();
+}
+
+/**
+ * Create the table row for a receipt item
+ * @param {Object} row - Row state
+ * @returns {HTMLElement} Table row
+ */
+function createReceiptRowElement(row) {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('receipt-unmatched', !row.matched);
+
+    const include = document.createElement('input');
+    include.type = 'checkbox';
+    include.setAttribute('aria-label', '追加する');
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'form-input';
+    name.maxLength = 100;
+    name.setAttribute('aria-label', '名前');
+
+    // The receipt wording, so a wrong match can be spotted
+    const source = document.createElement('span');
+    source.className = 'receipt-source';
+    source.textContent = row.receiptName;
+
+    const category = createOptionSelect(getCategoryNames(), '選択', 'カテゴリー');
+    const amount = document.createElement('input');
+    amount.type = 'number';
+    amount.min = '0';
+    amount.step = 'any';
+    amount.className = 'form-input';
+    amount.setAttribute('aria-label', '数量');
+
+    const unit = createOptionSelect(Object.keys(QUANTITY_UNITS), '-', '単位');
+
+    const expirationDate = document.createElement('input');
+    expirationDate.type = 'date';
+    expirationDate.className = 'form-input';
+    expirationDate.setAttribute('aria-label', getDateTypeLabel(row));
+
+    const fields = { include, name, category, amount, unit, expirationDate };
+    const cells = [[include], [name, source], [category], [amount, unit], [expirationDate]];
+
+    cells.forEach(children => {
+        const td = document.createElement('td');
+        children.forEach(child => td.appendChild(child));
+        tr.appendChild(td);
+    });
+    tr.children[3].className = 'entry-quantity';
+
+    Object.entries(fields).forEach(([field, input]) => {
+        input.dataset.field = field;
+        if (field === 'include') {
+            input.checked = row.include;
+        } else {
+            input.value = row[field];
+        }
+
+        input.addEventListener('change', () => {
+            row[field] = field === 'include' ? input.checked : input.value;
+            input.classList.remove('error');
+            input.removeAttribute('title');
+
+            if (field === 'expirationDate') {
+                row.expiryEdited = true;
+            } else if (field === 'name' || field === 'category') {
+                updateReceiptRowExpiry(row);
+            }
+
+            tr.classList.toggle('receipt-excluded', !row.include);
+            updateReceiptCommitLabel();
+        });
+    });
+
+    return tr;
+}
+
+/**
+ * Show how many rows will be added on the commit button
+ */
+function updateReceiptCommitLabel() {
+    const count = receiptRows.filter(row => row.include).length;
+    const button = document.getElementById('receiptCommitBtn');
+    button.textContent = `${count}件を追加`;
+    button.disabled = count === 0;
+}
+
+/**
+ * Validate every checked row and add them all in one batch, or none if any row has errors
+ */
+function commitReceiptRows() {
+    const purchaseDate = document.getElementById('receiptPurchaseDate').value || getTodayString();
+    const rows = receiptRows.filter(row => row.include);
+    let hasErrors = false;
+
+    const ingredients = rows.map(row => {
+        const data = {
+            name: row.name,
+            category: row.category,
+            purchaseDate,
+            expirationDate: row.expirationDate,
+            dateType: row.dateType,
+            amount: row.amount,
+            unit: row.unit,
+            location: row.location
+        };
+
+        const validation = validateIngredient(data);
+        if (!validation.valid) {
+            hasErrors = true;
+            markReceiptRowErrors(row, validation.errors);
+        }
+        return createIngredient(data);
+    });
+
+    if (hasErrors) {
+        document.getElementById('receiptError').textContent = '赤枠の項目を確認してください（追加しない行はチェックを外せます）';
+        return;
+    }
+
+    addIngredients(ingredients);
+
+    closeModal('receiptModal');
+    receiptRows = [];
+    showUndoNotification(`${ingredients.length}件を追加しました`);
+}
+
+/**
+ * Highlight the inputs of a row that failed validation
+ * @param {Object} row - Row state
+ * @param {Object} errors - Errors from validateIngredient
+ */
+function markReceiptRowErrors(row, errors) {
+    Object.keys(errors).forEach(field => {
+        // A purchase date after the expiration date is fixed in the date column
+        const inputField = field === 'purchaseDate' ? 'expirationDate' : field;
+        const input = row.element.querySelector(`[data-field="${inputField}"]`);
+        if (input) {
+            input.classList.add('error');
+            input.title = errors[field];
+        }
+    });
+}
@@ -0,0 +1,293 @@
+// scanner.js - Camera barcode scanner in the add/edit form
+
+// The JS decoder looks at a frame this often (BarcodeDetector runs every animation frame)
+const SCAN_FALLBACK_INTERVAL = 250;
+
+// Frames are scaled down to this width before decoding in JS
+const SCAN_FRAME_WIDTH = 640;
+
+let scannerStream = null;
+let scannerFrameId = null;
+
+// Native detector when the browser has one, otherwise null (JS fallback)
+let barcodeDetector = null;
+
+/**
+ * Initialize scanner buttons
+ */
+function initBarcodeScanner() {
+    const scanBtn = document.getElementById('scanBarcodeBtn');
+    if (scanBtn) {
+        scanBtn.addEventListener('click', openBarcodeScanner);
+    }
+
+    const cancelBtn = document.getElementById('barcodeCancelBtn');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', stopBarcodeScanner);
+    }
+
+    const manualBtn = document.getElementById('barcodeManualBtn');
+    if (manualBtn) {
+        manualBtn.addEventListener('click', handleManualBarcode);
+    }
+
+    const manualInput = document.getElementById('barcodeManualInput');
+    if (manualInput) {
+        // Enter looks the code up instead of submitting the form
+        manualInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleManualBarcode();
+            }
+        });
+    }
+}
+
+/**
+ * Show the scanner and start the camera
+ */
+async function openBarcodeScanner() {
+    document.getElementById('barcodeScanner').classList.remove('hidden');
+    document.getElementById('barcodeManualInput').value = '';
+
+    if (scannerStream) {
+        return;
+    }
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        setBarcodeStatus('このブラウザではカメラを使えません。JANコードを入力してください');
+        return;
+    }
+
+    try {
+        scannerStream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment' },
+            audio: false
+        });
+    } catch (error) {
+        console.error('Camera unavailable:', error);
+        setBarcodeStatus('カメラを使えませんでした。JANコードを入力してください');
+        return;
+    }
+
+    const video = document.getElementById('barcodeVideo');
+    video.srcObject = scannerStream;
+    await video.play();
+
+    barcodeDetector = await createBarcodeDetector();
+    setBarcodeStatus('バーコードを枠に合わせてください');
+    scanVideoFrames(video);
+}
+
+/**
+ * Create a native BarcodeDetector for JAN codes, if the browser has one
+ * @returns {Promise<Object|null>} Detector, or null to use the JS decoder
+ */
+async function createBarcodeDetector() {
+    if (typeof BarcodeDetector === 'undefined') {
+        return null;
+    }
+
+    try {
+        const formats = await BarcodeDetector.getSupportedFormats();
+        if (!formats.includes('ean_13')) {
+            return null;
+        }
+        return new BarcodeDetector({ formats: ['ean_13', 'ean_8'] });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Look for a barcode in the camera picture until one is found or the scanner closes
+ * @param {HTMLVideoElement} video - Camera preview
+ */
+function scanVideoFrames(video) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    let lastScan = 0;
+    let busy = false;
+
+    const tick = async (time) => {
+        if (!scannerStream) {
+            return;
+        }
+        scannerFrameId = requestAnimationFrame(tick);
+
+        if (busy || video.readyState < 2) {
+            return;
+        }
+        if (!barcodeDetector && time - lastScan < SCAN_FALLBACK_INTERVAL) {
+            return;
+        }
+
+        busy = true;
+        lastScan = time;
+        try {
+            const code = await detectBarcode(video, canvas, context);
+            if (code && scannerStream) {
+                handleScannedCode(code);
+            }
+        } catch (error) {
+            console.error('Barcode detection failed:', error);
+        } finally {
+            busy = false;
+        }
+    };
+
+    scannerFrameId = requestAnimationFrame(tick);
+}
+
+/**
+ * Read a JAN code from the current video frame
+ * @param {HTMLVideoElement} video - Camera preview
+ * @param {HTMLCanvasElement} canvas - Scratch canvas for the JS decoder
+ * @param {CanvasRenderingContext2D} context - Its 2D context
+ * @returns {Promise<string|null>} Digits, or null
+ */
+async function detectBarcode(video, canvas, context) {
+    if (barcodeDetector) {
+        const results = await barcodeDetector.detect(video);
+        const found = results.find(result => isValidEanCode(result.rawValue));
+        return found ? found.rawValue : null;
+    }
+
+    const scale = Math.min(1, SCAN_FRAME_WIDTH / video.videoWidth);
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    return decodeEanFromImageData(context.getImageData(0, 0, canvas.width, canvas.height));
+}
+
+/**
+ * Stop the camera and hide the scanner
+ */
+function stopBarcodeScanner() {
+    cancelAnimationFrame(scannerFrameId);
+    scannerFrameId = null;
+
+    if (scannerStream) {
+        scannerStream.getTracks().forEach(track => track.stop());
+        scannerStream = null;
+    }
+
+    const video = document.getElementById('barcodeVideo');
+    if (video) {
+        video.srcObject = null;
+    }
+
+    const panel = document.getElementById('barcodeScanner');
+    if (panel) {
+        panel.classList.add('hidden');
+    }
+}
+
+/**
+ * Look up a code typed by hand
+ */
+function handleManualBarcode() {
+    const code = document.getElementById('barcodeManualInput').value.replace(/\D/g, '');
+
+    if (!isValidEanCode(code)) {
+        setBarcodeStatus('JANコード（8桁または13桁）が正しくありません');
+        return;
+    }
+
+    handleScannedCode(code);
+}
+
+/**
+ * Prefill the form from the catalog, or offer to save an unknown product
+ * @param {string} code - JAN/EAN digits
+ */
+async function handleScannedCode(code) {
+    stopBarcodeScanner();
+
+    if (navigator.vibrate) {
+        navigator.vibrate(100);
+    }
+
+    document.getElementById('barcode').value = code;
+    const product = await lookupProduct(code);
+
+    if (product) {
+        applyProductToForm(product);
+        setBarcodeStatus(`JAN ${code}: カタログから入力しました`);
+        showCatalogOption(false);
+    } else {
+        setBarcodeStatus(`JAN ${code}: 未登録の商品です。入力して保存するとカタログに登録されます`);
+        showCatalogOption(true);
+        document.getElementById('ingredientName').focus();
+    }
+}
+
+/**
+ * Fill name, category, date type and expiration date from a catalog entry
+ * @param {Object} product - Catalog entry
+ */
+function applyProductToForm(product) {
+    const purchaseDate = document.getElementById('purchaseDate').value || getTodayString();
+
+    document.getElementById('ingredientName').value = product.name;
+    document.getElementById('ingredientCategory').value = product.category;
+    document.getElementById('dateType').value = product.dateType || DEFAULT_DATE_TYPE;
+    document.getElementById('expirationDate').value = addDaysToDate(purchaseDate, product.shelfLifeDays);
+
+    updateExpirationDateLabel();
+    clearFormErrors();
+    hideShelfLifeSuggestion();
+}
+
+/**
+ * Save the product of the submitted form to the catalog, if the user asked to
+ * Reads the checkbox at once, so it is safe to call right before the form resets.
+ * @param {Object} formData - Submitted ingredient data (with barcode)
+ */
+async function saveScannedProduct(formData) {
+    const option = document.getElementById('saveToCatalogOption');
+    const checked = document.getElementById('saveToCatalog').checked;
+
+    if (!formData.barcode || option.classList.contains('hidden') || !checked) {
+        return;
+    }
+
+    try {
+        await saveProduct(createProductFromIngredient(formData));
+    } catch (error) {
+        console.error('Error saving product:', error);
+        showNotification('カタログへの保存に失敗しました', 'error');
+    }
+}
+
+/**
+ * Show a status line under the scanner button
+ * @param {string} message - Status text
+ */
+function setBarcodeStatus(message) {
+    const status = document.getElementById('barcodeStatus');
+    status.textContent = message;
+    status.classList.remove('hidden');
+}
+
+/**
+ * Show or hide the "save to catalog" checkbox
+ * @param {boolean} visible - Whether the scanned code is unknown
+ */
+function showCatalogOption(visible) {
+    document.getElementById('saveToCatalogOption').classList.toggle('hidden', !visible);
+    document.getElementById('saveToCatalog').checked = visible;
+}
+
+/**
+ * Stop the camera and forget the scanned code (form opened or closed)
+ */
+function resetBarcodeScanner() {
+    stopBarcodeScanner();
+    showCatalogOption(false);
+
+    const status = document.getElementById('barcodeStatus');
+    status.textContent = '';
+    status.classList.add('hidden');
+}
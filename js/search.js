@@ -155,16 +155,31 @@ function searchIngredients(ingredients, query) {
         return ingredients;
     }
 
-    const lowerQuery = query.toLowerCase().trim();
+    return ingredients.filter(ingredient => matchesSearchQuery(ingredient, query));
+}
+
+/**
+ * Check if an ingredient matches a search query
+ * Name, category, notes and location are searched; case and full-width/half-width
+ * forms (e.g. ｷｬﾍﾞﾂ on receipts) are ignored.
+ * @param {Object} ingredient - Ingredient (or any item with a name)
+ * @param {string} query - Search query
+ * @returns {boolean} True if it matches
+ */
+function matchesSearchQuery(ingredient, query) {
+    const normalizedQuery = normalizeSearchText(query);
 
-    return ingredients.filter(ingredient => {
-        return (
-            ingredient.name.toLowerCase().includes(lowerQuery) ||
-            ingredient.category.toLowerCase().includes(lowerQuery) ||
-            (ingredient.notes && ingredient.notes.toLowerCase().includes(lowerQuery)) ||
-            (ingredient.location && ingredient.location.toLowerCase().includes(lowerQuery))
-        );
-    });
+    return [ingredient.name, ingredient.category, ingredient.notes, ingredient.location]
+        .some(field => field && normalizeSearchText(field).includes(normalizedQuery));
+}
+
+/**
+ * Normalize text for searching
+ * @param {string} text - Text
+ * @returns {string} NFKC-normalized, lower-case text
+ */
+function normalizeSearchText(text) {
+    return text.normalize('NFKC').toLowerCase().trim();
 }
 
 /**
@@ -244,6 +259,7 @@ function getFilterSummary() {
             'fresh': '新鮮',
             'warning': '注意',
             'critical': '要注意',
+            'grace': '猶予中',
             'expired': '期限切れ'
         };
         parts.push(`ステータス: ${statusLabels[filters.status] || filters.status}`);
@@ -0,0 +1,290 @@
+// selection.js - Select several items in the list and change them together
+
+// Longest postponement accepted at once
+const MAX_POSTPONE_DAYS = 365;
+
+const selectedIngredientIds = new Set();
+
+// Last checkbox clicked, the start of a shift-click range
+let lastSelectedId = null;
+
+/**
+ * Initialize the select-all checkbox and the bulk action toolbar
+ */
+function initSelection() {
+    const selectAll = document.getElementById('selectAllCheckbox');
+    if (selectAll) {
+        selectAll.addEventListener('change', () => {
+            getRenderedIngredientIds().forEach(id => setIngredientSelected(id, selectAll.checked));
+            lastSelectedId = null;
+            updateSelectionDisplay();
+        });
+    }
+
+    document.querySelectorAll('[data-bulk-action]').forEach(button => {
+        button.addEventListener('click', () => runBulkAction(button.dataset.bulkAction));
+    });
+
+    const category = document.getElementById('bulkCategory');
+    if (category) {
+        category.addEventListener('change', () => {
+            const value = category.value;
+            category.value = '';
+            if (value) {
+                bulkUpdate({ category: value }, `カテゴリーを「${value}」に変更しました`);
+            }
+        });
+    }
+
+    const clearBtn = document.getElementById('bulkClearBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', clearSelection);
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && selectedIngredientIds.size > 0 && !document.querySelector('.modal.active')) {
+            clearSelection();
+        }
+    });
+}
+
+/**
+ * Create the selection checkbox of a row
+ * @param {string} id - Ingredient ID
+ * @returns {HTMLInputElement} Checkbox
+ */
+function createSelectionCheckbox(id) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'row-select';
+    checkbox.checked = selectedIngredientIds.has(id);
+    checkbox.setAttribute('aria-label', '選択');
+
+    checkbox.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleIngredientSelection(id, checkbox.checked, e.shiftKey);
+    });
+    return checkbox;
+}
+
+/**
+ * Select or unselect one row, or every row between it and the last one clicked
+ * @param {string} id - Ingredient ID
+ * @param {boolean} selected - New state
+ * @param {boolean} range - Shift was held
+ */
+function toggleIngredientSelection(id, selected, range) {
+    const ids = getRenderedIngredientIds();
+    const from = ids.indexOf(lastSelectedId);
+    const to = ids.indexOf(id);
+
+    if (range && from !== -1 && to !== -1) {
+        ids.slice(Math.min(from, to), Math.max(from, to) + 1)
+            .forEach(rangeId => setIngredientSelected(rangeId, selected));
+    } else {
+        setIngredientSelected(id, selected);
+    }
+
+    lastSelectedId = id;
+    updateSelectionDisplay();
+}
+
+/**
+ * Change the selection of one row and its checkbox
+ * @param {string} id - Ingredient ID
+ * @param {boolean} selected - New state
+ */
+function setIngredientSelected(id, selected) {
+    if (selected) {
+        selectedIngredientIds.add(id);
+    } else {
+        selectedIngredientIds.delete(id);
+    }
+
+    const row = [...document.querySelectorAll('#ganttBody .ingredient-row')].find(r => r.dataset.id === id);
+    if (row) {
+        row.classList.toggle('selected', selected);
+        row.querySelector('.row-select').checked = selected;
+    }
+}
+
+/**
+ * IDs of the rows currently shown, in display order (search and filters applied)
+ * @returns {Array<string>} Ingredient IDs
+ */
+function getRenderedIngredientIds() {
+    return [...document.querySelectorAll('#ganttBody .ingredient-row')].map(row => row.dataset.id);
+}
+
+/**
+ * Forget selected items that are no longer shown (used up, deleted, filtered out)
+ * Called after every render of the list.
+ */
+function syncSelectionWithRows() {
+    const shown = new Set(canEditIngredients() ? getRenderedIngredientIds() : []);
+
+    [...selectedIngredientIds].forEach(id => {
+        if (!shown.has(id)) {
+            selectedIngredientIds.delete(id);
+        }
+    });
+    if (!shown.has(lastSelectedId)) {
+        lastSelectedId = null;
+    }
+    updateSelectionDisplay();
+}
+
+/**
+ * Unselect everything
+ */
+function clearSelection() {
+    [...selectedIngredientIds].forEach(id => setIngredientSelected(id, false));
+    lastSelectedId = null;
+    updateSelectionDisplay();
+}
+
+/**
+ * Update the select-all checkbox and show the toolbar while something is selected
+ */
+function updateSelectionDisplay() {
+    const count = selectedIngredientIds.size;
+    const shownCount = getRenderedIngredientIds().length;
+
+    const selectAll = document.getElementById('selectAllCheckbox');
+    if (selectAll) {
+        selectAll.checked = count > 0 && count === shownCount;
+        selectAll.indeterminate = count > 0 && count < shownCount;
+        selectAll.disabled = shownCount === 0;
+    }
+
+    const toolbar = document.getElementById('bulkActions');
+    if (!toolbar) {
+        return;
+    }
+
+    if (count > 0 && toolbar.classList.contains('hidden')) {
+        // Categories can be edited in the settings, so fill the list each time
+        const category = document.getElementById('bulkCategory');
+        category.length = 1;
+        getCategoryNames().forEach(name => category.add(new Option(name, name)));
+    }
+
+    toolbar.classList.toggle('hidden', count === 0);
+    document.body.classList.toggle('has-selection', count > 0);
+    document.getElementById('bulkCount').textContent = `${count}件を選択中`;
+}
+
+/**
+ * Ask for the details of a toolbar action and run it
+ * @param {string} action - 'eaten', 'discarded', 'location', 'postpone' or 'delete'
+ */
+function runBulkAction(action) {
+    const count = selectedIngredientIds.size;
+
+    switch (action) {
+        case 'eaten':
+            if (confirm(`${count}件を「食べた」として記録しますか？ 🍽️`)) {
+                bulkArchive('eaten', `${count}件を食べたとして記録しました`);
+            }
+            break;
+        case 'discarded':
+            if (confirm(`${count}件を「捨てた」として記録しますか？ 🗑️`)) {
+                bulkArchive('discarded', `${count}件を捨てたとして記録しました`);
+            }
+            break;
+        case 'location': {
+            const location = prompt(`${count}件の保管場所（空欄で未設定）`, '');
+            if (location !== null) {
+                const value = location.trim();
+                bulkUpdate({ location: value }, value ? `保管場所を「${value}」に変更しました` : '保管場所を未設定にしました');
+            }
+            break;
+        }
+        case 'postpone':
+            promptPostponeSelected();
+            break;
+        case 'delete':
+            if (confirm(`${count}件を削除しますか？ 履歴には残りません`)) {
+                const operations = [...selectedIngredientIds].map(id => ({ type: 'delete', id }));
+                commitBulkOperations(operations, `${count}件を削除しました`, 'warning');
+            }
+            break;
+    }
+}
+
+/**
+ * Ask how many days to push the expiration dates back, then do it
+ */
+function promptPostponeSelected() {
+    const answer = prompt(`${selectedIngredientIds.size}件の期限を何日延ばしますか？`, '3');
+    if (answer === null) {
+        return;
+    }
+
+    const days = Number(answer.trim().normalize('NFKC'));
+    if (!Number.isInteger(days) || days < 1 || days > MAX_POSTPONE_DAYS) {
+        showNotification(`1〜${MAX_POSTPONE_DAYS}の日数を入力してください`, 'error');
+        return;
+    }
+
+    const updatedAt = new Date().toISOString();
+    const operations = getSelectedIngredients().map(ingredient => ({
+        type: 'update',
+        id: ingredient.id,
+        updates: { expirationDate: addDaysToDate(ingredient.expirationDate, days), updatedAt }
+    }));
+    commitBulkOperations(operations, `期限を${days}日延ばしました`);
+}
+
+/**
+ * Set the same fields on every selected item
+ * @param {Object} updates - Fields to set
+ * @param {string} message - Notification on success
+ */
+function bulkUpdate(updates, message) {
+    const updatedAt = new Date().toISOString();
+    const operations = getSelectedIngredients().map(ingredient => ({
+        type: 'update',
+        id: ingredient.id,
+        updates: { ...updates, updatedAt }
+    }));
+    commitBulkOperations(operations, message);
+}
+
+/**
+ * Move every selected item to the history
+ * @param {string} disposition - 'eaten' or 'discarded'
+ * @param {string} message - Notification on success
+ */
+function bulkArchive(disposition, message) {
+    const operations = getSelectedIngredients().map(ingredient => ({
+        type: 'archive',
+        id: ingredient.id,
+        entry: createHistoryEntry(ingredient, disposition)
+    }));
+    commitBulkOperations(operations, message, disposition === 'discarded' ? 'warning' : 'success');
+}
+
+/**
+ * Write the changes in one batch, undone all at once with a single 元に戻す
+ * @param {Array} operations - Batch operations
+ * @param {string} message - Notification on success, also the undo label
+ * @param {string} type - Notification type
+ */
+function commitBulkOperations(operations, message, type = 'success') {
+    if (operations.length === 0) {
+        return;
+    }
+
+    applyBatch(operations, message);
+    clearSelection();
+    showUndoNotification(message, type);
+}
+
+/**
+ * The selected ingredients that still exist
+ * @returns {Array} Ingredients
+ */
+function getSelectedIngredients() {
+    return [...selectedIngredientIds].map(getIngredientById).filter(Boolean);
+}
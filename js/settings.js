@@ -0,0 +1,422 @@
+// settings.js - Status thresholds (global and per category), notifications, backups and the settings screen
+
+const SETTINGS_KEY = 'freshly.settings';
+
+// Items turn 'critical' / 'warning' at or below this many days remaining
+const DEFAULT_STATUS_THRESHOLDS = {
+    critical: 3,
+    warning: 7
+};
+
+const MAX_THRESHOLD_DAYS = 365;
+
+// Days after a best-before date during which an item is shown as 'grace' instead of 'expired'
+const DEFAULT_GRACE_DAYS = 3;
+
+// Loaded from localStorage on first use
+let appSettings = null;
+
+/**
+ * Initialize settings screen listeners and apply saved settings
+ */
+function initSettings() {
+    const settingsBtn = document.getElementById('settingsBtn');
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', openSettings);
+    }
+
+    const form = document.getElementById('settingsForm');
+    if (form) {
+        form.addEventListener('submit', handleSettingsSave);
+    }
+
+    const resetBtn = document.getElementById('resetSettingsBtn');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', resetSettings);
+    }
+
+    updateStatusFilterLabels();
+}
+
+/**
+ * Get the current settings
+ * @returns {Object} { thresholds: { critical, warning }, categoryThresholds: { [category]: { critical?, warning? } },
+ *   graceDays, notifications: { time: 'HH:MM', households: { [householdId]: true } },
+ *   backups: { keepDays, cloudHouseholds: { [householdId]: true } } }
+ */
+function getSettings() {
+    if (!appSettings) {
+        appSettings = loadSettings();
+    }
+    return appSettings;
+}
+
+/**
+ * Get the thresholds that apply to a category
+ * Category overrides may set only one of the two values; the other comes from the global setting.
+ * @param {string} category - Category name
+ * @returns {Object} { critical, warning } in days remaining
+ */
+function getStatusThresholds(category) {
+    const settings = getSettings();
+    return { ...settings.thresholds, ...settings.categoryThresholds[category] };
+}
+
+/**
+ * Check that a pair of thresholds makes sense
+ * @param {Object} thresholds - { critical, warning }
+ * @returns {string} Error message, or '' when valid
+ */
+function validateThresholds(thresholds) {
+    const values = [thresholds.critical, thresholds.warning];
+
+    if (values.some(value => !Number.isInteger(value) || value < 0 || value > MAX_THRESHOLD_DAYS)) {
+        return `日数は0〜${MAX_THRESHOLD_DAYS}の整数で入力してください`;
+    }
+    if (thresholds.critical >= thresholds.warning) {
+        return '「注意」は「要注意」より大きい日数にしてください';
+    }
+    return '';
+}
+
+/**
+ * Check the best-before grace period
+ * @param {number} days - Grace days
+ * @returns {string} Error message, or '' when valid
+ */
+function validateGraceDays(days) {
+    if (!Number.isInteger(days) || days < 0 || days > MAX_THRESHOLD_DAYS) {
+        return `猶予の日数は0〜${MAX_THRESHOLD_DAYS}の整数で入力してください`;
+    }
+    return '';
+}
+
+/**
+ * Check how long backups are kept
+ * @param {number} days - Days to keep
+ * @returns {string} Error message, or '' when valid
+ */
+function validateBackupKeepDays(days) {
+    if (!Number.isInteger(days) || days < 1 || days > MAX_BACKUP_KEEP_DAYS) {
+        return `バックアップを残す日数は1〜${MAX_BACKUP_KEEP_DAYS}の整数で入力してください`;
+    }
+    return '';
+}
+
+/**
+ * Open the settings screen
+ */
+function openSettings() {
+    renderSettingsForm();
+    openModal('settingsModal');
+}
+
+/**
+ * Fill the settings form with the current values
+ */
+function renderSettingsForm() {
+    const settings = getSettings();
+    const tbody = document.getElementById('categoryThresholdRows');
+
+    document.getElementById('criticalDays').value = settings.thresholds.critical;
+    document.getElementById('warningDays').value = settings.thresholds.warning;
+    document.getElementById('graceDays').value = settings.graceDays;
+    document.getElementById('digestTime').value = settings.notifications.time;
+    renderDigestOptIn();
+    document.getElementById('backupKeepDays').value = settings.backups.keepDays;
+    renderCloudBackupOptIn();
+    document.getElementById('settingsError').textContent = '';
+    tbody.innerHTML = '';
+
+    getCategoryNames().forEach(category => {
+        const override = settings.categoryThresholds[category] || {};
+
+        const row = document.createElement('tr');
+        row.dataset.category = category;
+
+        const label = document.createElement('th');
+        label.scope = 'row';
+        label.textContent = category;
+        row.appendChild(label);
+
+        ['critical', 'warning'].forEach(level => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.max = String(MAX_THRESHOLD_DAYS);
+            input.step = '1';
+            input.className = 'form-input settings-days';
+            input.dataset.level = level;
+            input.placeholder = String(settings.thresholds[level]);
+            input.value = override[level] !== undefined ? override[level] : '';
+            input.setAttribute('aria-label', `${category}の${level === 'critical' ? '要注意' : '注意'}日数`);
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Validate and save the settings form
+ * @param {Event} event - Submit event
+ */
+function handleSettingsSave(event) {
+    event.preventDefault();
+
+    const errorEl = document.getElementById('settingsError');
+    const thresholds = {
+        critical: parseDaysInput(document.getElementById('criticalDays').value),
+        warning: parseDaysInput(document.getElementById('warningDays').value)
+    };
+
+    const graceDays = parseDaysInput(document.getElementById('graceDays').value);
+    const notifications = readNotificationSettings();
+    const backups = readBackupSettings();
+
+    let error = validateThresholds(thresholds) || validateGraceDays(graceDays) || validateBackupKeepDays(backups.keepDays);
+    const categoryThresholds = {};
+
+    document.querySelectorAll('#categoryThresholdRows tr').forEach(row => {
+        const override = {};
+        row.querySelectorAll('input').forEach(input => {
+            if (input.value !== '') {
+                override[input.dataset.level] = parseDaysInput(input.value);
+            }
+        });
+
+        if (Object.keys(override).length === 0 || error) {
+            return;
+        }
+
+        const rowError = validateThresholds({ ...thresholds, ...override });
+        if (rowError) {
+            error = `${row.dataset.category}: ${rowError}`;
+            return;
+        }
+        categoryThresholds[row.dataset.category] = override;
+    });
+
+    if (error) {
+        errorEl.textContent = error;
+        showNotification(error, 'warning');
+        return;
+    }
+
+    const householdId = getActiveHouseholdId();
+    const newlyEnabled = notifications.households[householdId] && !isDigestEnabled(householdId);
+
+    saveSettings({ ...getSettings(), thresholds, categoryThresholds, graceDays, notifications, backups });
+    closeModal('settingsModal');
+    showNotification('設定を保存しました', 'success');
+
+    if (newlyEnabled) {
+        requestNotificationPermission().then(granted => {
+            if (!granted) {
+                showNotification('通知が許可されていないため、アプリを開いたときにお知らせします', 'warning');
+            }
+        });
+    }
+}
+
+/**
+ * Show the daily digest checkbox for the active household
+ */
+function renderDigestOptIn() {
+    const household = getActiveHousehold();
+
+    document.getElementById('digestHouseholdName').textContent = household ? `「${household.name}」` : 'この世帯';
+    document.getElementById('digestEnabled').checked = Boolean(household && isDigestEnabled(household.id));
+}
+
+/**
+ * Read the notification part of the settings form
+ * Opt-ins of other households are kept as they are.
+ * @returns {Object} { time, households }
+ */
+function readNotificationSettings() {
+    const current = getSettings().notifications;
+    const households = { ...current.households };
+    const householdId = getActiveHouseholdId();
+
+    if (document.getElementById('digestEnabled').checked) {
+        households[householdId] = true;
+    } else {
+        delete households[householdId];
+    }
+
+    return {
+        time: document.getElementById('digestTime').value || current.time,
+        households
+    };
+}
+
+/**
+ * Show the cloud backup checkbox when the backend can keep backups and the user may write
+ */
+function renderCloudBackupOptIn() {
+    const household = getActiveHousehold();
+    const supported = typeof getStorageAdapter().saveBackup === 'function' && canEditIngredients();
+
+    document.getElementById('cloudBackupOption').classList.toggle('hidden', !supported);
+    document.getElementById('cloudBackupHouseholdName').textContent = household ? `「${household.name}」` : 'この世帯';
+    document.getElementById('cloudBackupEnabled').checked = Boolean(household && isCloudBackupEnabled(household.id));
+}
+
+/**
+ * Read the backup part of the settings form
+ * Opt-ins of other households are kept as they are.
+ * @returns {Object} { keepDays, cloudHouseholds }
+ */
+function readBackupSettings() {
+    const cloudHouseholds = { ...getSettings().backups.cloudHouseholds };
+    const householdId = getActiveHouseholdId();
+
+    if (document.getElementById('cloudBackupEnabled').checked) {
+        cloudHouseholds[householdId] = true;
+    } else {
+        delete cloudHouseholds[householdId];
+    }
+
+    return {
+        keepDays: parseDaysInput(document.getElementById('backupKeepDays').value),
+        cloudHouseholds
+    };
+}
+
+/**
+ * Go back to the default thresholds
+ */
+function resetSettings() {
+    if (!confirm('期限の色分けを既定（要注意3日・注意7日・猶予3日）に戻しますか？')) {
+        return;
+    }
+
+    saveSettings({
+        ...getSettings(),
+        thresholds: { ...DEFAULT_STATUS_THRESHOLDS },
+        categoryThresholds: {},
+        graceDays: DEFAULT_GRACE_DAYS
+    });
+    renderSettingsForm();
+    showNotification('既定の設定に戻しました', 'success');
+}
+
+/**
+ * Store settings on this device and redraw everything that depends on them
+ * @param {Object} settings - Settings object
+ */
+function saveSettings(settings) {
+    appSettings = settings;
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+
+    updateStatusFilterLabels();
+    refreshGanttDisplay();
+
+    // The snapshot may show the digest right away, so the schedule must be stored first
+    syncNotificationSchedule().then(updateDigestSnapshot);
+}
+
+/**
+ * Read settings from localStorage, falling back to the defaults
+ * @returns {Object} Settings object
+ */
+function loadSettings() {
+    const defaults = {
+        thresholds: { ...DEFAULT_STATUS_THRESHOLDS },
+        categoryThresholds: {},
+        graceDays: DEFAULT_GRACE_DAYS,
+        notifications: {
+            time: DEFAULT_DIGEST_TIME,
+            households: {}
+        },
+        backups: {
+            keepDays: DEFAULT_BACKUP_KEEP_DAYS,
+            cloudHouseholds: {}
+        }
+    };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        if (!saved) {
+            return defaults;
+        }
+
+        const settings = { ...defaults, ...saved };
+        if (validateThresholds(settings.thresholds)) {
+            settings.thresholds = defaults.thresholds;
+        }
+        if (validateGraceDays(settings.graceDays)) {
+            settings.graceDays = defaults.graceDays;
+        }
+        if (validateBackupKeepDays(settings.backups.keepDays)) {
+            settings.backups = { ...settings.backups, keepDays: defaults.backups.keepDays };
+        }
+        return settings;
+    } catch (error) {
+        return defaults;
+    }
+}
+
+/**
+ * Show the configured day ranges in the status filter
+ * Per-category overrides are not reflected; the labels describe the global setting.
+ */
+function updateStatusFilterLabels() {
+    const select = document.getElementById('statusFilter');
+    if (!select) {
+        return;
+    }
+
+    const { critical, warning } = getSettings().thresholds;
+    const ranges = {
+        fresh: `${warning + 1}日以上`,
+        warning: formatDayRange(critical + 1, warning),
+        critical: formatDayRange(0, critical),
+        grace: `賞味期限から${getSettings().graceDays}日以内`
+    };
+
+    Object.entries(ranges).forEach(([status, range]) => {
+        const option = select.querySelector(`option[value="${status}"]`);
+        if (option) {
+            option.textContent = `${getStatusLabel(status)}（${range}）`;
+        }
+    });
+}
+
+/**
+ * Format a range of days remaining
+ * @param {number} from - First day (0 = today)
+ * @param {number} to - Last day
+ * @returns {string} e.g. "4-7日", "今日まで"
+ */
+function formatDayRange(from, to) {
+    if (to === 0) {
+        return '今日まで';
+    }
+
+    // Day 0 (expires today) is shown as part of the first day
+    const start = Math.max(from, 1);
+    return start === to ? `${to}日` : `${start}-${to}日`;
+}
+
+/**
+ * Parse a days input value
+ * @param {string} value - Input value
+ * @returns {number} Parsed number (NaN when empty or invalid)
+ */
+function parseDaysInput(value) {
+    return value === '' ? NaN : Number(value);
+}
+
+/**
+ * Category names offered in the add/edit form
+ * @returns {Array<string>} Category names
+ */
+function getCategoryNames() {
+    return [...document.querySelectorAll('#ingredientCategory option')]
+        .map(option => option.value)
+        .filter(Boolean);
+}
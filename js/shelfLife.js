@@ -0,0 +1,220 @@
+// shelfLife.js - Suggested expiration dates from typical shelf lives and our own history
+
+// Typical days from purchase by category and storage; `default` is the usual storage
+const SHELF_LIFE_TABLE = {
+    'お菓子': { pantry: 60, fridge: 30, freezer: 90, default: 'pantry' },
+    '肉類': { pantry: 1, fridge: 3, freezer: 30, default: 'fridge' },
+    '魚介類': { pantry: 1, fridge: 2, freezer: 30, default: 'fridge' },
+    '乳製品・卵': { pantry: 2, fridge: 10, freezer: 30, default: 'fridge' },
+    '野菜': { pantry: 3, fridge: 7, freezer: 30, default: 'fridge' },
+    '果物': { pantry: 4, fridge: 7, freezer: 30, default: 'pantry' },
+    '穀物・麺類': { pantry: 180, fridge: 30, freezer: 60, default: 'pantry' },
+    '缶詰': { pantry: 730, fridge: 365, freezer: 365, default: 'pantry' },
+    '調味料': { pantry: 180, fridge: 90, freezer: 180, default: 'pantry' },
+    '飲料': { pantry: 180, fridge: 7, freezer: 30, default: 'pantry' },
+    'その他': { pantry: 30, fridge: 7, freezer: 30, default: 'pantry' }
+};
+
+const STORAGE_KIND_LABELS = {
+    pantry: '常温',
+    fridge: '冷蔵',
+    freezer: '冷凍'
+};
+
+// Median shelf life per item name, learned when the form opens
+let learnedShelfLives = new Map();
+
+// The suggestion currently offered in the form
+let currentShelfLifeSuggestion = null;
+
+/**
+ * Initialize listeners that update the suggestion while the form is filled in
+ */
+function initShelfLifeSuggestions() {
+    const update = debounce(updateShelfLifeSuggestion, 300);
+
+    ['ingredientName', 'location'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', update);
+        }
+    });
+
+    ['ingredientCategory', 'purchaseDate', 'expirationDate'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', updateShelfLifeSuggestion);
+        }
+    });
+
+    const suggestionBtn = document.getElementById('shelfLifeSuggestion');
+    if (suggestionBtn) {
+        suggestionBtn.addEventListener('click', acceptShelfLifeSuggestion);
+    }
+}
+
+/**
+ * Learn per-name shelf lives from history and current items, then refresh the suggestion
+ * Called when the add/edit form opens.
+ */
+async function refreshLearnedShelfLives() {
+    hideShelfLifeSuggestion();
+
+    const history = await loadHistory();
+    learnedShelfLives = learnShelfLives([...history, ...loadIngredients()]);
+
+    updateShelfLifeSuggestion();
+}
+
+/**
+ * Median days from purchase to expiration for each item name
+ * @param {Array} items - History entries and/or ingredients
+ * @returns {Map} Normalized name → { days, count }
+ */
+function learnShelfLives(items) {
+    const samples = new Map();
+
+    items.forEach(item => {
+        if (!item.name || !item.purchaseDate || !item.expirationDate) {
+            return;
+        }
+
+        const days = getShelfLifeDays(item);
+        if (!Number.isFinite(days) || days < 0) {
+            return;
+        }
+
+        const key = normalizeItemName(item.name);
+        if (!samples.has(key)) {
+            samples.set(key, []);
+        }
+        samples.get(key).push(days);
+    });
+
+    const learned = new Map();
+    samples.forEach((days, key) => {
+        days.sort((a, b) => a - b);
+        learned.set(key, { days: days[Math.floor(days.length / 2)], count: days.length });
+    });
+    return learned;
+}
+
+/**
+ * Suggest a shelf life for an item being entered
+ * Our own history for the same name wins over the built-in table.
+ * @param {Object} data - { name, category, location }
+ * @param {Map} learned - Result of learnShelfLives
+ * @returns {Object|null} { days, reason }, or null when nothing is known
+ */
+function suggestShelfLife(data, learned) {
+    const name = (data.name || '').trim();
+    const fromHistory = name ? learned.get(normalizeItemName(name)) : null;
+
+    if (fromHistory) {
+        return {
+            days: fromHistory.days,
+            reason: `これまでの「${name}」${fromHistory.count}件から`
+        };
+    }
+
+    const table = SHELF_LIFE_TABLE[data.category];
+    if (!table) {
+        return null;
+    }
+
+    const storage = getStorageKind(data.location, data.category);
+    return {
+        days: table[storage],
+        reason: `${STORAGE_KIND_LABELS[storage]}の${data.category}の目安`
+    };
+}
+
+/**
+ * Tell fridge, freezer and pantry apart from the free-text storage location
+ * @param {string} location - Storage location (e.g. "冷蔵庫", "野菜室", "棚")
+ * @param {string} category - Category, for its usual storage when no location is given
+ * @returns {string} 'fridge', 'freezer' or 'pantry'
+ */
+function getStorageKind(location, category) {
+    const text = (location || '').trim();
+
+    if (!text) {
+        return SHELF_LIFE_TABLE[category] ? SHELF_LIFE_TABLE[category].default : 'pantry';
+    }
+    if (text.includes('冷凍')) {
+        return 'freezer';
+    }
+    if (/冷蔵|チルド|野菜室/.test(text)) {
+        return 'fridge';
+    }
+    return 'pantry';
+}
+
+/**
+ * Show, update or hide the suggestion under the expiration date
+ */
+function updateShelfLifeSuggestion() {
+    const suggestion = suggestShelfLife({
+        name: document.getElementById('ingredientName').value,
+        category: document.getElementById('ingredientCategory').value,
+        location: document.getElementById('location').value
+    }, learnedShelfLives);
+
+    if (!suggestion) {
+        hideShelfLifeSuggestion();
+        return;
+    }
+
+    const purchaseDate = document.getElementById('purchaseDate').value || getTodayString();
+    const expirationDate = addDaysToDate(purchaseDate, suggestion.days);
+
+    // Nothing to propose when the field already has that date
+    if (document.getElementById('expirationDate').value === expirationDate) {
+        hideShelfLifeSuggestion();
+        return;
+    }
+
+    currentShelfLifeSuggestion = { ...suggestion, expirationDate };
+
+    const button = document.getElementById('shelfLifeSuggestion');
+    button.textContent = `📅 ${formatDateJP(expirationDate)}にする（${suggestion.reason}: ${suggestion.days}日）`;
+    button.classList.remove('hidden');
+}
+
+/**
+ * Use the suggested date
+ */
+function acceptShelfLifeSuggestion() {
+    if (!currentShelfLifeSuggestion) {
+        return;
+    }
+
+    const input = document.getElementById('expirationDate');
+    input.value = currentShelfLifeSuggestion.expirationDate;
+    input.classList.remove('error');
+    document.getElementById('expirationDateError').textContent = '';
+
+    checkPurchaseDateField();
+    hideShelfLifeSuggestion();
+}
+
+/**
+ * Hide the suggestion
+ */
+function hideShelfLifeSuggestion() {
+    currentShelfLifeSuggestion = null;
+
+    const button = document.getElementById('shelfLifeSuggestion');
+    if (button) {
+        button.classList.add('hidden');
+    }
+}
+
+/**
+ * Normalize an item name for matching (full-width/half-width, case, spaces)
+ * @param {string} name - Item name
+ * @returns {string} Normalized name
+ */
+function normalizeItemName(name) {
+    return name.normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+}
@@ -1,86 +1,315 @@
-// storage.js - Firestore storage management with real-time sync
+// storage.js - Ingredient storage with real-time sync through the active backend
 
-// In-memory cache for ingredients (synced with Firestore)
+// In-memory cache for ingredients (server data + pending local changes)
 let ingredientsCache = [];
 
+// Last ingredients list reported by the storage backend (active household)
+let serverIngredients = [];
+
+// Stops the listener of the previously active household
+let unsubscribeIngredients = null;
+
+// Firestore allows 500 writes per batch; archive and restore take two each
+const BATCH_MAX_OPERATIONS = 250;
+
 /**
- * Initialize Firestore real-time listener
+ * Initialize real-time sync with the configured storage backend
  * Called from app.js after DOM is ready
  */
-function initializeFirestoreSync() {
-    console.log('Setting up Firestore real-time sync...');
+async function initializeStorageSync() {
+    const adapter = getStorageAdapter();
+    console.log(`Setting up ${adapter.name} real-time sync...`);
+
+    // Pending writes must be loaded before the first snapshot is merged
+    await initializeSyncQueue();
+
+    // Households and their rules depend on who is signed in
+    await initializeAuth();
+    await initializeHouseholds();
+
+    subscribeToActiveHousehold();
+    replayPendingOperations();
+}
+
+/**
+ * (Re)subscribe to the active household's ingredients only
+ * Called on startup and whenever the household is switched
+ */
+function subscribeToActiveHousehold() {
+    const adapter = getStorageAdapter();
+    const householdId = getActiveHouseholdId();
 
-    listenToIngredientsChanges((ingredients) => {
-        ingredientsCache = ingredients;
-        console.log('Firestore sync: received', ingredients.length, 'ingredients');
+    if (unsubscribeIngredients) {
+        unsubscribeIngredients();
+    }
 
-        // Refresh UI
-        refreshGanttDisplay();
+    serverIngredients = [];
+    rebuildIngredientsCache();
+    clearUndoHistory();
+    migrateStoredIngredients(householdId);
+
+    unsubscribeIngredients = adapter.subscribe(householdId, (ingredients) => {
+        // Ignore a late snapshot of a household we already left
+        if (householdId !== getActiveHouseholdId()) {
+            return;
+        }
+
+        serverIngredients = ingredients;
+        console.log(`${adapter.name} sync: received`, ingredients.length, 'ingredients');
+
+        rebuildIngredientsCache();
+        scheduleDigestSnapshot();
+        scheduleDailyBackup();
     });
 }
 
 /**
- * Load ingredients from cache (synced with Firestore)
+ * Recompute the cache from server data and the outbox, then refresh UI
+ */
+function rebuildIngredientsCache() {
+    ingredientsCache = applyPendingOperations(serverIngredients, getActiveHouseholdId());
+    refreshGanttDisplay();
+}
+
+/**
+ * Load ingredients from cache (synced with the storage backend)
  */
 function loadIngredients() {
     return [...ingredientsCache];
 }
 
 /**
- * Add a new ingredient (async)
+ * Add a new ingredient
+ * The change is applied locally at once and queued for the backend.
  */
 function addIngredient(ingredient) {
-    // Immediately add to local cache for instant UI feedback
+    recordUndo(`「${ingredient.name}」を追加`, [{ type: 'delete', id: ingredient.id }]);
+
     ingredientsCache.push(ingredient);
     refreshGanttDisplay();
 
-    // Then save to Firestore
-    addIngredientToFirestore(ingredient)
-        .then(docId => {
-            console.log('Added to Firestore:', docId);
-        })
-        .catch(error => {
-            console.error('Failed to add:', error);
-            showNotification('保存に失敗しました。ネットワークを確認してください。', 'error');
-        });
+    enqueueOperation({ type: 'add', householdId: getActiveHouseholdId(), id: ingredient.id, ingredient });
     return true;
 }
 
 /**
- * Update an existing ingredient (async)
+ * Add several ingredients at once
+ * They are applied locally at once and written to the backend in one batch,
+ * so either all of them are saved or none.
+ * @param {Array} ingredients - Ingredients (see createIngredient)
+ * @returns {boolean} Success status
+ */
+function addIngredients(ingredients) {
+    applyBatch(ingredients.map(ingredient => ({ type: 'add', id: ingredient.id, ingredient })), `${ingredients.length}件を追加`);
+    return true;
+}
+
+/**
+ * Apply several changes together
+ * They are applied locally at once and written to the backend in one batch
+ * (very large selections are split into batches of BATCH_MAX_OPERATIONS).
+ * @param {Array} operations - Batch operations (see enqueueOperation)
+ * @param {string} [label] - Adds the change to the undo history under this label;
+ *   undo and redo themselves leave it out
+ * @returns {Array} Operations that undo the changes
+ */
+function applyBatch(operations, label) {
+    const householdId = getActiveHouseholdId();
+
+    // Undo and redo write values recorded earlier: their updates are checked like edits,
+    // so changes other devices made in between go to the merge dialog (see handleConflict)
+    const checkedUpdates = label ? [] : operations
+        .filter(operation => operation.type === 'update')
+        .map(operation => createCheckedUpdate(operation, householdId));
+    const batchOperations = label ? operations : operations.filter(operation => operation.type !== 'update');
+
+    const applied = [...batchOperations, ...checkedUpdates];
+    const inverse = getInverseOperations(applied, ingredientsCache);
+
+    if (label) {
+        recordUndo(label, inverse);
+    }
+
+    ingredientsCache = applied.reduce(applyOperation, ingredientsCache);
+    refreshGanttDisplay();
+
+    for (let i = 0; i < batchOperations.length; i += BATCH_MAX_OPERATIONS) {
+        enqueueOperation({ type: 'batch', householdId, operations: batchOperations.slice(i, i + BATCH_MAX_OPERATIONS) });
+    }
+    checkedUpdates.forEach(enqueueOperation);
+    return inverse;
+}
+
+/**
+ * Turn a recorded update into an outbox entry stamped now
+ * @param {Object} operation - Update from getInverseOperations { id, updates, baseUpdatedAt, base }
+ * @param {string} householdId - Household ID
+ * @returns {Object} Update operation; the backend rejects it if the item changed since baseUpdatedAt
+ */
+function createCheckedUpdate(operation, householdId) {
+    return {
+        ...operation,
+        type: 'update',
+        householdId,
+        updates: { ...operation.updates, updatedAt: new Date().toISOString() }
+    };
+}
+
+/**
+ * Build the operations that reverse a batch
+ * @param {Array} operations - Batch operations
+ * @param {Array} ingredients - Ingredients before the batch
+ * @returns {Array} Reverse operations, in reverse order
+ */
+function getInverseOperations(operations, ingredients) {
+    const byId = new Map(ingredients.map(ingredient => [ingredient.id, ingredient]));
+
+    return operations.map(operation => {
+        const before = byId.get(operation.id);
+
+        switch (operation.type) {
+            case 'add':
+                return { type: 'delete', id: operation.id };
+            case 'update': {
+                // Previous values, based on the item as the change leaves it; the undo
+                // is a new change, stamped when it is applied (applyBatch)
+                const updates = {};
+                const base = {};
+                Object.keys(operation.updates).forEach(key => {
+                    if (key !== 'updatedAt') {
+                        updates[key] = before[key] === undefined ? null : before[key];
+                        base[key] = operation.updates[key];
+                    }
+                });
+                return { type: 'update', id: operation.id, updates, baseUpdatedAt: operation.updates.updatedAt, base };
+            }
+            case 'delete':
+                return { type: 'add', id: operation.id, ingredient: before };
+            case 'archive':
+                return { type: 'restore', id: operation.id, entry: operation.entry };
+            case 'restore':
+                return { type: 'archive', id: operation.id, entry: operation.entry };
+            default:
+                throw new Error(`Cannot undo operation type: ${operation.type}`);
+        }
+    }).reverse();
+}
+
+/**
+ * Update an existing ingredient
+ * The change is applied locally at once and queued for the backend.
+ * @param {string} id - Ingredient ID
+ * @param {Object} updates - Changed fields
+ * @param {Object} [base] - The ingredient as it was when editing started;
+ *   the backend then rejects the change if someone else saved in between
  */
-function updateIngredient(id, updates) {
-    updateIngredientInFirestore(id, updates)
-        .then(() => {
-            console.log('Updated in Firestore:', id);
-        })
-        .catch(error => {
-            console.error('Failed to update:', error);
-            showNotification('更新に失敗しました', 'error');
-        });
+function updateIngredient(id, updates, base) {
+    const changes = { ...updates, updatedAt: new Date().toISOString() };
+    const operation = { type: 'update', householdId: getActiveHouseholdId(), id, updates: changes };
+
+    const ingredient = getIngredientById(id);
+    if (ingredient) {
+        recordUndo(`「${ingredient.name}」を編集`, getInverseOperations([operation], ingredientsCache));
+    }
+
+    if (base) {
+        operation.baseUpdatedAt = base.updatedAt;
+        // Values before the edit, to tell apart "I changed it" from "they changed it"
+        operation.base = Object.fromEntries(Object.keys(updates).map(key => [key, base[key]]));
+    }
+
+    ingredientsCache = ingredientsCache.map(ing => ing.id === id ? { ...ing, ...changes } : ing);
+    refreshGanttDisplay();
+
+    enqueueOperation(operation);
     return true;
 }
 
 /**
- * Delete an ingredient by ID (async)
+ * Delete an ingredient by ID
+ * The change is applied locally at once and queued for the backend.
  */
 function deleteIngredient(id) {
-    // Immediately remove from local cache for instant UI feedback
+    const ingredient = getIngredientById(id);
+    if (ingredient) {
+        recordUndo(`「${ingredient.name}」を削除`, [{ type: 'add', id, ingredient }]);
+    }
+
     ingredientsCache = ingredientsCache.filter(ing => ing.id !== id);
     refreshGanttDisplay();
 
-    // Then delete from Firestore
-    deleteIngredientFromFirestore(id)
-        .then(() => {
-            console.log('Deleted from Firestore:', id);
-        })
-        .catch(error => {
-            console.error('Failed to delete:', error);
-            showNotification('削除に失敗しました', 'error');
-        });
+    enqueueOperation({ type: 'delete', householdId: getActiveHouseholdId(), id });
     return true;
 }
 
+/**
+ * Move an ingredient to the history (eaten, discarded or given away)
+ * The change is applied locally at once and queued for the backend.
+ * @param {string} id - Ingredient ID
+ * @param {string} disposition - 'eaten', 'discarded' or 'given'
+ * @returns {boolean} Success status
+ */
+function archiveIngredient(id, disposition) {
+    const ingredient = getIngredientById(id);
+    if (!ingredient) {
+        return false;
+    }
+
+    const entry = createHistoryEntry(ingredient, disposition);
+    recordUndo(`「${ingredient.name}」を${DISPOSITIONS[disposition].label}`, [{ type: 'restore', id, entry }]);
+
+    ingredientsCache = ingredientsCache.filter(ing => ing.id !== id);
+    refreshGanttDisplay();
+
+    enqueueOperation({ type: 'archive', householdId: getActiveHouseholdId(), id, entry });
+    return true;
+}
+
+/**
+ * Record that part of an ingredient was used.
+ * The item moves to the history (as eaten) once nothing is left.
+ * @param {string} id - Ingredient ID
+ * @param {number} used - Amount used, in the ingredient's unit
+ * @returns {Object|null} { remaining, finished }, or null if not found
+ */
+function consumeIngredient(id, used) {
+    const ingredient = getIngredientById(id);
+    const quantity = ingredient && getIngredientQuantity(ingredient);
+    if (!quantity) {
+        return null;
+    }
+
+    const remaining = subtractQuantity(quantity.amount, used);
+
+    if (remaining === 0) {
+        archiveIngredient(id, 'eaten');
+        return { remaining, finished: true };
+    }
+
+    updateIngredient(id, { amount: remaining, unit: quantity.unit }, ingredient);
+    return { remaining, finished: false };
+}
+
+/**
+ * Load the active household's history, including entries not yet synced
+ * @returns {Promise<Array>} History entries, newest first
+ */
+async function loadHistory() {
+    const householdId = getActiveHouseholdId();
+    const pending = getPendingHistoryEntries(householdId);
+
+    let stored = [];
+    try {
+        stored = await getStorageAdapter().loadHistory(householdId);
+    } catch (error) {
+        // Offline without cached history: show what is queued
+        console.error('Error loading history:', error);
+    }
+
+    const entries = [...pending, ...stored.filter(entry => !pending.some(p => p.id === entry.id))];
+    return entries.sort((a, b) => b.disposedAt.localeCompare(a.disposedAt));
+}
+
 /**
  * Get a single ingredient by ID
  */
@@ -89,17 +318,14 @@ function getIngredientById(id) {
 }
 
 /**
- * Clear all ingredients (async)
+ * Clear all ingredients
+ * The change is applied locally at once and queued for the backend.
  */
 function clearAllIngredients() {
-    clearAllIngredientsFromFirestore()
-        .then(() => {
-            console.log('All cleared from Firestore');
-        })
-        .catch(error => {
-            console.error('Failed to clear:', error);
-            showNotification('削除に失敗しました', 'error');
-        });
+    ingredientsCache = [];
+    refreshGanttDisplay();
+
+    enqueueOperation({ type: 'clear', householdId: getActiveHouseholdId() });
     return true;
 }
 
@@ -107,8 +333,14 @@ function clearAllIngredients() {
  * Get storage statistics
  */
 function getStorageInfo() {
+    const counts = getOutboxCounts();
+
     return {
+        backend: getStorageAdapter().name,
+        household: getActiveHousehold(),
         count: ingredientsCache.length,
+        pendingWrites: counts.pending,
+        failedWrites: counts.failed,
         sizeKB: 0,
         sizeBytes: 0
     };
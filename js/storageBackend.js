@@ -0,0 +1,120 @@
+// storageBackend.js - Storage adapter interface and backend selection
+
+/**
+ * A storage backend. Ingredients are scoped to a household, so every
+ * ingredient operation takes the household ID first. Every mutation returns
+ * a Promise that settles once the backend has accepted the change;
+ * subscribe() reports the household's full list after every change
+ * (including changes made by other devices or tabs).
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend identifier ('firestore' or 'local')
+ * @property {boolean} requiresNetwork - Whether writes need connectivity
+ * @property {boolean} supportsSharing - Whether sign-in, members and invites are available
+ * @property {function(string): Promise<Array>} load - Load all ingredients
+ * @property {function(string, Object): Promise<*>} add - Add an ingredient (keeps its id)
+ * @property {function(string, string, Object, string=): Promise<*>} update - Update fields of an ingredient;
+ *   when the expected updatedAt is given and the stored item is newer, rejects with a 'conflict' error
+ * @property {function(string, string): Promise<*>} delete - Delete an ingredient
+ * @property {function(string): Promise<*>} clear - Delete all ingredients
+ * @property {function(string, Object): Promise<*>} archive - Move an ingredient to the history (same id)
+ * @property {function(string, Array): Promise<*>} batch - Apply several add/update/delete/archive/restore
+ *   operations (see enqueueOperation) all or nothing
+ * @property {function(string): Promise<Array>} loadHistory - Load history entries, newest first
+ * @property {function(string, Function): Function} subscribe - Listen to changes, returns unsubscribe
+ * @property {function(Object): Promise<string>} createHousehold - Create a household { id, name, ownerUid, createdAt }
+ * @property {function(string): Promise<number>} [migrateLegacyIngredients] - Move pre-household items kept
+ *   on this device into a household (Firestore's shared ones are moved by an administrator)
+ * @property {function(string): Promise<number>} migrateSchema - Rewrite ingredients stored with an older
+ *   schema version (see migrations.js); read paths must also migrate what they return
+ *
+ * Backends with supportsSharing also implement claimHousehold, listHouseholds, getMemberRole,
+ * listMembers, updateMemberRole, removeMember, createInvite
+ * and acceptInvite (see firebase.js).
+ *
+ * Backends that can keep backups off the device implement saveBackup(householdId, backup),
+ * loadBackups(householdId) and deleteBackup(householdId, id); backups on the device are
+ * kept in IndexedDB by backup.js whatever the backend.
+ */
+
+const STORAGE_BACKEND_KEY = 'freshly.storageBackend';
+
+// Factories are wrapped so load order between script files doesn't matter
+const STORAGE_BACKENDS = {
+    firestore: () => createFirestoreAdapter(),
+    local: () => createLocalAdapter()
+};
+
+let activeStorageAdapter = null;
+
+/**
+ * Decide which backend to use.
+ * Priority: ?backend= URL parameter (remembered), saved choice,
+ * Firestore when the Firebase SDK is loaded, otherwise local.
+ * @returns {string} Backend name
+ */
+function getConfiguredBackend() {
+    const params = new URLSearchParams(window.location.search);
+    const requested = params.get('backend');
+
+    if (requested && STORAGE_BACKENDS[requested]) {
+        localStorage.setItem(STORAGE_BACKEND_KEY, requested);
+        return requested;
+    }
+
+    const saved = localStorage.getItem(STORAGE_BACKEND_KEY);
+    if (saved && STORAGE_BACKENDS[saved]) {
+        return saved;
+    }
+
+    return typeof firebase !== 'undefined' ? 'firestore' : 'local';
+}
+
+/**
+ * Get the active storage adapter, creating it on first use
+ * @returns {StorageAdapter} Active adapter
+ */
+function getStorageAdapter() {
+    if (activeStorageAdapter) {
+        return activeStorageAdapter;
+    }
+
+    const backend = getConfiguredBackend();
+
+    try {
+        activeStorageAdapter = STORAGE_BACKENDS[backend]();
+    } catch (error) {
+        // e.g. Firebase SDK failed to load: keep the app usable
+        console.error(`Failed to start "${backend}" backend, falling back to local:`, error);
+        activeStorageAdapter = createLocalAdapter();
+    }
+
+    console.log('Storage backend:', activeStorageAdapter.name);
+    return activeStorageAdapter;
+}
+
+/**
+ * Switch backend and reload the app (console helper)
+ * @param {string} name - 'firestore' or 'local'
+ */
+function setStorageBackend(name) {
+    if (!STORAGE_BACKENDS[name]) {
+        console.error(`Unknown storage backend: ${name}`);
+        return;
+    }
+
+    localStorage.setItem(STORAGE_BACKEND_KEY, name);
+    window.location.reload();
+}
+
+/**
+ * Create the error adapters throw when an item changed since it was read
+ * @param {Object} remote - The item as currently stored (including id)
+ * @returns {Error} Error with code 'conflict' and the remote item
+ */
+function createConflictError(remote) {
+    const error = new Error(`Ingredient ${remote.id} was changed by someone else`);
+    error.code = 'conflict';
+    error.remote = remote;
+    return error;
+}
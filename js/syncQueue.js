@@ -0,0 +1,534 @@
+// syncQueue.js - Persistent outbox of pending writes (offline-first sync)
+
+const OUTBOX_STORE = 'outbox';
+const SYNC_TIMEOUT_MS = 15000;
+const SYNC_RETRY_DELAY_MS = 30000;
+
+// In-memory mirror of the outbox, in queue order
+let outboxEntries = [];
+let isReplaying = false;
+let replayTimer = null;
+
+/**
+ * Load the persisted outbox
+ * Replay starts once households are known (see initializeStorageSync)
+ * @returns {Promise<void>}
+ */
+async function initializeSyncQueue() {
+    try {
+        outboxEntries = await idbGetAll(OUTBOX_STORE);
+        console.log('Outbox loaded:', outboxEntries.length, 'pending operations');
+
+        // Conflicts left unresolved before the last reload
+        outboxEntries
+            .filter(entry => entry.status === 'conflict')
+            .forEach(entry => showConflictDialog(entry));
+    } catch (error) {
+        console.error('Failed to load outbox:', error);
+        outboxEntries = [];
+    }
+
+    window.addEventListener('online', () => {
+        console.log('Back online, replaying outbox...');
+        replayPendingOperations();
+    });
+
+    const indicator = document.getElementById('syncIndicator');
+    if (indicator) {
+        indicator.addEventListener('click', handleSyncIndicatorClick);
+    }
+
+    updateSyncIndicator();
+}
+
+/**
+ * Add a write operation to the outbox and try to send it
+ * @param {Object} operation - { type: 'add'|'update'|'delete'|'archive'|'clear'|'batch'|'createHousehold', householdId, id, ... }
+ *   A 'batch' carries `operations` that the backend writes all or nothing: { type: 'add', id, ingredient },
+ *   { type: 'update', id, updates }, { type: 'delete', id }, { type: 'archive', id, entry } and
+ *   { type: 'restore', id, entry } (history entry back to the inventory).
+ * @returns {Promise<void>}
+ */
+async function enqueueOperation(operation) {
+    const entry = {
+        ...operation,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        queuedAt: new Date().toISOString()
+    };
+
+    outboxEntries.push(entry);
+    updateSyncIndicator();
+
+    try {
+        entry.seq = await idbPut(OUTBOX_STORE, entry);
+
+        // A replay already running may have sent and removed it while it was being saved
+        if (entry.removed) {
+            await idbDelete(OUTBOX_STORE, entry.seq);
+        }
+    } catch (error) {
+        // Still replayed from memory, but won't survive a reload
+        console.error('Failed to persist outbox entry:', error);
+    }
+
+    replayPendingOperations();
+}
+
+/**
+ * Send pending operations to the storage backend in queue order.
+ * Stops at the first network error and retries later; other errors
+ * mark the operation as failed so the rest of the queue can proceed.
+ * A write that timed out may still reach the server and is then sent
+ * twice, so every operation must be safe to repeat: documents have fixed
+ * IDs, and the rules accept writing the same document again.
+ * @returns {Promise<void>}
+ */
+async function replayPendingOperations() {
+    if (isReplaying || (getStorageAdapter().requiresNetwork && !navigator.onLine)) {
+        return;
+    }
+
+    isReplaying = true;
+    clearTimeout(replayTimer);
+
+    try {
+        let entry;
+        while ((entry = outboxEntries.find(item => item.status === 'pending' && !isWaitingForConflict(item)))) {
+            entry.attempts++;
+
+            try {
+                await withTimeout(executeOperation(entry), SYNC_TIMEOUT_MS);
+                await removeOutboxEntry(entry);
+            } catch (error) {
+                if (error.code === 'conflict') {
+                    await handleConflict(entry, error.remote);
+                    continue;
+                }
+
+                if (isNetworkError(error)) {
+                    console.warn('Sync paused (network):', error.message);
+                    replayTimer = setTimeout(replayPendingOperations, SYNC_RETRY_DELAY_MS);
+                    break;
+                }
+
+                console.error('Sync failed for operation:', entry, error);
+                entry.status = 'failed';
+                entry.lastError = error.message || String(error);
+                await persistOutboxEntry(entry);
+                showNotification('同期できない変更があります', 'error');
+            }
+        }
+    } finally {
+        isReplaying = false;
+        updateSyncIndicator();
+        refreshGanttDisplay();
+    }
+}
+
+/**
+ * Execute a single outbox operation against the storage backend
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<*>}
+ */
+function executeOperation(entry) {
+    const adapter = getStorageAdapter();
+
+    switch (entry.type) {
+        case 'add':
+            return adapter.add(entry.householdId, entry.ingredient);
+        case 'update':
+            return adapter.update(entry.householdId, entry.id, entry.updates, entry.baseUpdatedAt);
+        case 'delete':
+            return adapter.delete(entry.householdId, entry.id);
+        case 'archive':
+            return adapter.archive(entry.householdId, entry.entry);
+        case 'clear':
+            return adapter.clear(entry.householdId);
+        case 'batch':
+            return adapter.batch(entry.householdId, entry.operations);
+        case 'createHousehold':
+            return adapter.createHousehold(entry.household);
+        default:
+            return Promise.reject(new Error(`Unknown operation type: ${entry.type}`));
+    }
+}
+
+/**
+ * Merge a rejected update with the newer remote version.
+ * Fields only one side changed are merged automatically; fields both
+ * sides changed differently are left to the user in the merge dialog.
+ * @param {Object} entry - Outbox entry of the rejected update
+ * @param {Object} remote - Ingredient as currently stored
+ */
+async function handleConflict(entry, remote) {
+    const base = entry.base || {};
+    const updates = {};
+    const conflicts = [];
+
+    Object.keys(entry.updates).forEach(key => {
+        if (key === 'updatedAt') {
+            return;
+        }
+
+        const mine = entry.updates[key];
+        const theirs = remote[key];
+
+        if (mine === theirs || mine === base[key]) {
+            // Same value, or only they changed it: keep theirs
+            return;
+        }
+
+        if (theirs === base[key]) {
+            updates[key] = mine;
+        } else {
+            conflicts.push(key);
+        }
+    });
+
+    if (conflicts.length === 0) {
+        console.log('Conflict merged automatically:', entry.id);
+        await rebaseUpdate(entry, remote, updates);
+        return;
+    }
+
+    entry.status = 'conflict';
+    entry.remote = remote;
+    entry.conflicts = conflicts;
+    entry.merged = updates;
+    await persistOutboxEntry(entry);
+
+    showConflictDialog(entry);
+}
+
+/**
+ * Apply the user's choice from the merge dialog and send the update again
+ * @param {Object} entry - Outbox entry in 'conflict' state
+ * @param {Object} choices - Field name -> 'mine' | 'theirs'
+ */
+async function resolveConflict(entry, choices) {
+    const updates = { ...entry.merged };
+
+    entry.conflicts.forEach(key => {
+        if (choices[key] === 'mine') {
+            updates[key] = entry.updates[key];
+        }
+    });
+
+    await rebaseUpdate(entry, entry.remote, updates);
+    replayPendingOperations();
+}
+
+/**
+ * Turn an update into one based on the remote version
+ * @param {Object} entry - Outbox entry
+ * @param {Object} remote - Ingredient as currently stored
+ * @param {Object} updates - Fields that still need to be written
+ */
+async function rebaseUpdate(entry, remote, updates) {
+    if (Object.keys(updates).length === 0) {
+        // Nothing left of my change: the remote version wins
+        await removeOutboxEntry(entry);
+        rebuildIngredientsCache();
+        return;
+    }
+
+    entry.status = 'pending';
+    // Same timestamp, so later queued edits of this item still match
+    entry.updates = { ...updates, updatedAt: entry.updates.updatedAt };
+    entry.base = Object.fromEntries(Object.keys(updates).map(key => [key, remote[key]]));
+    entry.baseUpdatedAt = remote.updatedAt;
+    delete entry.remote;
+    delete entry.conflicts;
+    delete entry.merged;
+
+    await persistOutboxEntry(entry);
+    rebuildIngredientsCache();
+}
+
+/**
+ * Later edits of an item wait until its conflict is resolved
+ * @param {Object} entry - Outbox entry
+ * @returns {boolean} True if an earlier entry for the same item is in conflict
+ */
+function isWaitingForConflict(entry) {
+    return outboxEntries.some(item =>
+        item.status === 'conflict' && item.id === entry.id && item.seq < entry.seq
+    );
+}
+
+/**
+ * Apply queued (not yet confirmed) operations on top of server data
+ * @param {Array} ingredients - Ingredients as reported by the backend
+ * @param {string} householdId - Household the ingredients belong to
+ * @returns {Array} Ingredients including local pending changes
+ */
+function applyPendingOperations(ingredients, householdId) {
+    return outboxEntries
+        .filter(entry => entry.householdId === householdId)
+        .reduce(applyOperation, [...ingredients]);
+}
+
+/**
+ * Apply one operation (or batch) to a list of ingredients
+ * @param {Array} ingredients - Ingredients before the operation
+ * @param {Object} operation - Outbox entry or batch operation
+ * @returns {Array} Ingredients after the operation
+ */
+function applyOperation(ingredients, operation) {
+    switch (operation.type) {
+        case 'add':
+            return [...ingredients.filter(ing => ing.id !== operation.ingredient.id), operation.ingredient];
+        case 'restore': {
+            const ingredient = getIngredientFromHistoryEntry(operation.entry);
+            return [...ingredients.filter(ing => ing.id !== ingredient.id), ingredient];
+        }
+        case 'update': {
+            // While in conflict only the automatically merged part is shown
+            const updates = operation.status === 'conflict' ? operation.merged : operation.updates;
+            return ingredients.map(ing => ing.id === operation.id ? { ...ing, ...updates } : ing);
+        }
+        case 'delete':
+        case 'archive':
+            return ingredients.filter(ing => ing.id !== operation.id);
+        case 'clear':
+            return [];
+        case 'batch':
+            return operation.operations.reduce(applyOperation, ingredients);
+        default:
+            return ingredients;
+    }
+}
+
+/**
+ * Get history entries that are still waiting in the outbox
+ * @param {string} householdId - Household ID
+ * @returns {Array} History entries not yet confirmed by the backend
+ */
+function getPendingHistoryEntries(householdId) {
+    const entries = new Map();
+
+    outboxEntries
+        .filter(entry => entry.householdId === householdId)
+        .flatMap(entry => entry.type === 'batch' ? entry.operations : [entry])
+        .forEach(operation => {
+            if (operation.type === 'archive') {
+                entries.set(operation.id, operation.entry);
+            } else if (operation.type === 'restore') {
+                // Undone before it was synced
+                entries.delete(operation.id);
+            }
+        });
+
+    return [...entries.values()];
+}
+
+/**
+ * Get the sync state of an ingredient
+ * @param {string} id - Ingredient ID
+ * @returns {string|null} 'conflict', 'failed', 'pending' or null when in sync
+ */
+function getSyncState(id) {
+    const entries = outboxEntries.filter(entry =>
+        (entry.id === id && (entry.type === 'add' || entry.type === 'update')) ||
+        (entry.type === 'batch' && entry.operations.some(operation => operation.id === id))
+    );
+
+    if (entries.some(entry => entry.status === 'conflict')) {
+        return 'conflict';
+    }
+    if (entries.some(entry => entry.status === 'failed')) {
+        return 'failed';
+    }
+    return entries.length > 0 ? 'pending' : null;
+}
+
+/**
+ * Count operations waiting in the outbox
+ * @returns {Object} { pending, failed, conflicts }
+ */
+function getOutboxCounts() {
+    return {
+        pending: outboxEntries.filter(entry => entry.status === 'pending').length,
+        failed: outboxEntries.filter(entry => entry.status === 'failed').length,
+        conflicts: outboxEntries.filter(entry => entry.status === 'conflict').length
+    };
+}
+
+/**
+ * Check whether a household was created locally and not uploaded yet
+ * @param {string} householdId - Household ID
+ * @returns {boolean} True while its createHousehold operation is queued
+ */
+function hasPendingHouseholdCreation(householdId) {
+    return outboxEntries.some(entry =>
+        entry.type === 'createHousehold' && entry.householdId === householdId
+    );
+}
+
+/**
+ * Attach entries queued before households existed to a household
+ * @param {string} householdId - Household ID
+ */
+function assignOutboxHousehold(householdId) {
+    outboxEntries
+        .filter(entry => !entry.householdId)
+        .forEach(entry => {
+            entry.householdId = householdId;
+            persistOutboxEntry(entry);
+        });
+}
+
+/**
+ * Put failed operations back in the queue and replay
+ */
+async function retryFailedOperations() {
+    const failed = outboxEntries.filter(entry => entry.status === 'failed');
+
+    for (const entry of failed) {
+        entry.status = 'pending';
+        entry.lastError = null;
+        await persistOutboxEntry(entry);
+    }
+
+    updateSyncIndicator();
+    replayPendingOperations();
+}
+
+/**
+ * Drop failed operations, reverting their local changes
+ */
+async function discardFailedOperations() {
+    const failed = outboxEntries.filter(entry => entry.status === 'failed');
+
+    for (const entry of failed) {
+        await removeOutboxEntry(entry);
+    }
+
+    rebuildIngredientsCache();
+    updateSyncIndicator();
+}
+
+/**
+ * Handle click on the "未同期" indicator
+ */
+function handleSyncIndicatorClick() {
+    const counts = getOutboxCounts();
+
+    if (counts.conflicts > 0) {
+        outboxEntries
+            .filter(entry => entry.status === 'conflict')
+            .forEach(entry => showConflictDialog(entry));
+        return;
+    }
+
+    if (counts.failed === 0) {
+        replayPendingOperations();
+        return;
+    }
+
+    if (confirm(`同期に失敗した変更が${counts.failed}件あります。再試行しますか？`)) {
+        retryFailedOperations();
+    } else if (confirm('失敗した変更を破棄しますか？この操作は取り消せません。')) {
+        discardFailedOperations();
+    }
+}
+
+/**
+ * Update the "N件 未同期" indicator in the header
+ */
+function updateSyncIndicator() {
+    const indicator = document.getElementById('syncIndicator');
+    if (!indicator) {
+        return;
+    }
+
+    const counts = getOutboxCounts();
+    const total = counts.pending + counts.failed + counts.conflicts;
+
+    indicator.classList.toggle('hidden', total === 0);
+    indicator.classList.toggle('has-failed', counts.failed + counts.conflicts > 0);
+    indicator.textContent = `${total}件 未同期`;
+
+    if (counts.conflicts > 0) {
+        indicator.title = `競合: ${counts.conflicts}件（クリックで内容を選択）`;
+    } else if (counts.failed > 0) {
+        indicator.title = `同期失敗: ${counts.failed}件（クリックで再試行）`;
+    } else {
+        indicator.title = navigator.onLine ? '同期中...' : 'オフライン: 接続が戻ると自動的に同期します';
+    }
+}
+
+/**
+ * Persist changes to an outbox entry
+ * @param {Object} entry - Outbox entry
+ */
+async function persistOutboxEntry(entry) {
+    if (entry.seq === undefined) {
+        return;
+    }
+
+    try {
+        await idbPut(OUTBOX_STORE, entry);
+    } catch (error) {
+        console.error('Failed to update outbox entry:', error);
+    }
+}
+
+/**
+ * Remove an entry from the outbox (memory and IndexedDB)
+ * @param {Object} entry - Outbox entry
+ */
+async function removeOutboxEntry(entry) {
+    outboxEntries = outboxEntries.filter(item => item !== entry);
+    entry.removed = true;
+
+    if (entry.seq === undefined) {
+        // Still being saved; enqueueOperation deletes it once it has its key
+        return;
+    }
+
+    try {
+        await idbDelete(OUTBOX_STORE, entry.seq);
+    } catch (error) {
+        console.error('Failed to remove outbox entry:', error);
+    }
+}
+
+/**
+ * Check whether an error means "try again later" rather than "rejected"
+ * @param {Error} error - Error thrown by the storage backend
+ * @returns {boolean} True for connectivity problems
+ */
+function isNetworkError(error) {
+    if (!getStorageAdapter().requiresNetwork) {
+        return false;
+    }
+
+    return !navigator.onLine ||
+        error.code === 'unavailable' ||
+        error.code === 'deadline-exceeded' ||
+        error.code === 'timeout';
+}
+
+/**
+ * Reject if a promise does not settle in time.
+ * Firestore write promises stay pending while offline; the write itself
+ * is not cancelled and may still be committed.
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise<*>}
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error('Request timed out');
+            error.code = 'timeout';
+            reject(error);
+        }, ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
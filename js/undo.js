@@ -0,0 +1,146 @@
+// undo.js - Undo and redo of changes to the inventory (元に戻す / やり直す)
+
+// Changes remembered per household (older ones are dropped)
+const UNDO_LIMIT = 50;
+
+// Entries are { label, operations } where operations is a batch that reverses the change
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * Initialize the keyboard shortcuts
+ * Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (⌘ on macOS)
+ */
+function initUndo() {
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextEditingTarget(e.target)) {
+            return;
+        }
+        // Shortcuts act on the list, not behind an open dialog
+        if (document.querySelector('.modal.active')) {
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoLastChange();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoLastChange();
+        }
+    });
+}
+
+/**
+ * Whether a key press belongs to a text field (which has its own undo)
+ * @param {EventTarget} target - Focused element
+ * @returns {boolean} Editing text
+ */
+function isTextEditingTarget(target) {
+    return target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+/**
+ * Remember how to reverse a change that was just made
+ * A new change makes the undone ones impossible to redo.
+ * @param {string} label - What was done, shown when undoing (e.g. 「牛乳」を削除)
+ * @param {Array} operations - Batch operations that reverse the change
+ */
+function recordUndo(label, operations) {
+    undoStack.push({ label, operations });
+    if (undoStack.length > UNDO_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+}
+
+/**
+ * Forget all changes (the active household changed)
+ */
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+/**
+ * Reverse the last change
+ * It is written like any other change, so other devices see the reversal.
+ */
+function undoLastChange() {
+    const entry = takeApplicableEntry(undoStack);
+    if (!entry) {
+        return;
+    }
+
+    redoStack.push({ label: entry.label, operations: applyBatch(entry.operations) });
+    showNotification(`元に戻しました: ${entry.label}`, 'success', {
+        label: 'やり直す',
+        onClick: redoLastChange
+    });
+}
+
+/**
+ * Make the last undone change again
+ */
+function redoLastChange() {
+    const entry = takeApplicableEntry(redoStack);
+    if (!entry) {
+        return;
+    }
+
+    undoStack.push({ label: entry.label, operations: applyBatch(entry.operations) });
+    showNotification(`やり直しました: ${entry.label}`, 'success', {
+        label: '元に戻す',
+        onClick: undoLastChange
+    });
+}
+
+/**
+ * Take the top entry of a stack if it can still be applied
+ * An item changed on another device in between (deleted, or added back) cannot be reversed;
+ * that entry is dropped.
+ * @param {Array} stack - undoStack or redoStack
+ * @returns {Object|null} Entry, or null
+ */
+function takeApplicableEntry(stack) {
+    if (!canEditIngredients()) {
+        return null;
+    }
+
+    const entry = stack.pop();
+    if (!entry) {
+        showNotification(stack === undoStack ? '元に戻せる操作はありません' : 'やり直せる操作はありません', 'warning');
+        return null;
+    }
+
+    // Earlier operations decide what later ones find (an item replaced by an import is deleted, then added)
+    const present = new Map();
+    const applicable = entry.operations.every(operation => {
+        const exists = present.has(operation.id) ? present.get(operation.id) : Boolean(getIngredientById(operation.id));
+        const adds = operation.type === 'add' || operation.type === 'restore';
+        if (operation.type !== 'update') {
+            present.set(operation.id, adds);
+        }
+        return adds ? !exists : exists;
+    });
+
+    if (!applicable) {
+        showNotification(`ほかの端末で変更されたため戻せません: ${entry.label}`, 'error');
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Show a notification with a 元に戻す button for the change just made
+ * @param {string} message - Notification message
+ * @param {string} type - Notification type
+ */
+function showUndoNotification(message, type = 'success') {
+    showNotification(message, type, {
+        label: '元に戻す',
+        onClick: undoLastChange
+    });
+}
@@ -1,4 +1,6 @@
 // Service Worker for PWA
+importScripts('js/idb.js', 'js/digest.js');
+
 const CACHE_NAME = 'expiry-manager-v1';
 const urlsToCache = [
     '/expiry-date-manager/',
@@ -7,12 +9,39 @@ const urlsToCache = [
     '/expiry-date-manager/css/gantt.css',
     '/expiry-date-manager/css/responsive.css',
     '/expiry-date-manager/js/dataModel.js',
+    '/expiry-date-manager/js/migrations.js',
     '/expiry-date-manager/js/ganttChart.js',
+    '/expiry-date-manager/js/barDrag.js',
     '/expiry-date-manager/js/ingredientForm.js',
+    '/expiry-date-manager/js/barcode.js',
+    '/expiry-date-manager/js/catalog.js',
+    '/expiry-date-manager/js/scanner.js',
+    '/expiry-date-manager/js/shelfLife.js',
+    '/expiry-date-manager/js/dateParser.js',
+    '/expiry-date-manager/js/expiryOcr.js',
+    '/expiry-date-manager/js/batchEntry.js',
+    '/expiry-date-manager/js/receipt.js',
+    '/expiry-date-manager/js/selection.js',
+    '/expiry-date-manager/js/undo.js',
+    '/expiry-date-manager/js/csv.js',
+    '/expiry-date-manager/js/importExport.js',
+    '/expiry-date-manager/js/conflictDialog.js',
     '/expiry-date-manager/js/search.js',
+    '/expiry-date-manager/js/history.js',
+    '/expiry-date-manager/js/dashboard.js',
+    '/expiry-date-manager/js/settings.js',
     '/expiry-date-manager/js/app.js',
     '/expiry-date-manager/js/firebase.js',
-    '/expiry-date-manager/js/storage.js'
+    '/expiry-date-manager/js/storage.js',
+    '/expiry-date-manager/js/idb.js',
+    '/expiry-date-manager/js/digest.js',
+    '/expiry-date-manager/js/notifications.js',
+    '/expiry-date-manager/js/backup.js',
+    '/expiry-date-manager/js/syncQueue.js',
+    '/expiry-date-manager/js/storageBackend.js',
+    '/expiry-date-manager/js/localAdapter.js',
+    '/expiry-date-manager/js/auth.js',
+    '/expiry-date-manager/js/household.js'
 ];
 
 // Install - cache core files
@@ -52,3 +81,25 @@ self.addEventListener('fetch', event => {
             .catch(() => caches.match(event.request))
     );
 });
+
+// Periodic sync - show the daily digest when it is due (Chromium, installed app only)
+self.addEventListener('periodicsync', event => {
+    if (event.tag === DIGEST_TAG) {
+        event.waitUntil(
+            runDailyDigest((title, options) => self.registration.showNotification(title, options))
+                .catch(err => console.log('Daily digest failed:', err))
+        );
+    }
+});
+
+// Notification click - focus the open app or open a new window
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const client = windows.find(win => win.url.startsWith(self.registration.scope));
+            return client ? client.focus() : self.clients.openWindow(self.registration.scope);
+        })
+    );
+});
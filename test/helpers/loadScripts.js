@@ -0,0 +1,35 @@
+// loadScripts.js - Run the app's classic scripts in a sandbox so unit tests can call their globals
+
+const { readFileSync } = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Load scripts from js/ into one global scope, in the order index.html would
+ * @param {Array<string>} files - Script names, e.g. ['dataModel.js', 'migrations.js']
+ * @param {Object} [globals] - Stubs for what the scripts use from the page or other scripts
+ * @returns {Function} get(name): a global of the scripts (functions, const and let alike)
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, ...globals });
+
+    files.forEach(file => {
+        const source = readFileSync(path.join(ROOT, 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    return name => vm.runInContext(name, context);
+}
+
+/**
+ * Copy a value out of the sandbox, so deepStrictEqual does not trip over its prototypes
+ * @param {*} value - Value created by a script
+ * @returns {*} Same value with this realm's Object and Array
+ */
+function toPlain(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, toPlain };
@@ -0,0 +1,257 @@
+// firestore.rules.test.js - Security rules against the Firestore emulator (npm run test:rules)
+
+const { readFileSync } = require('node:fs');
+const path = require('node:path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails
+} = require('@firebase/rules-unit-testing');
+
+const HOUSEHOLD_ID = 'household-1';
+const LEGACY_HOUSEHOLD_ID = 'household-legacy';
+const DAY = 24 * 60 * 60 * 1000;
+
+let testEnv;
+
+/**
+ * Firestore as seen by a signed-in user
+ * @param {string} uid - User ID
+ * @returns {Object} Firestore (compat API, as in js/firebase.js)
+ */
+function dbAs(uid) {
+    return testEnv.authenticatedContext(uid).firestore();
+}
+
+/**
+ * Write the documents every test starts from, bypassing the rules
+ */
+async function seed() {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        const household = db.collection('households').doc(HOUSEHOLD_ID);
+
+        await household.set({ name: 'わが家', ownerUid: 'owner', createdAt: '2026-10-01T00:00:00.000Z' });
+        await household.collection('members').doc('owner').set({ role: 'owner' });
+        await household.collection('members').doc('editor').set({ role: 'editor' });
+        await household.collection('members').doc('viewer').set({ role: 'viewer' });
+        await household.collection('ingredients').doc('milk').set({ name: '牛乳', expirationDate: '2026-10-25' });
+        await household.collection('history').doc('bread').set({ name: 'パン', disposition: 'eaten' });
+
+        await db.collection('invites').doc('EDITOR01').set({
+            householdId: HOUSEHOLD_ID,
+            householdName: 'わが家',
+            role: 'editor',
+            createdBy: 'owner',
+            expiresAt: new Date(Date.now() + 7 * DAY)
+        });
+        await db.collection('invites').doc('EXPIRED1').set({
+            householdId: HOUSEHOLD_ID,
+            householdName: 'わが家',
+            role: 'editor',
+            createdBy: 'owner',
+            expiresAt: new Date(Date.now() - DAY)
+        });
+
+        // Shared by its ID before sign-in existed: no owner, no members
+        await db.collection('households').doc(LEGACY_HOUSEHOLD_ID).set({ name: '実家', createdAt: '2026-01-01T00:00:00.000Z' });
+
+        await db.collection('ingredients').doc('legacy-milk').set({ name: '牛乳', expirationDate: '2026-10-25' });
+    });
+}
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-freshly',
+        firestore: {
+            rules: readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8')
+        }
+    });
+});
+
+after(async () => {
+    if (testEnv) {
+        await testEnv.cleanup();
+    }
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed();
+});
+
+describe('ingredients', () => {
+    const ingredients = uid => dbAs(uid).collection('households').doc(HOUSEHOLD_ID).collection('ingredients');
+
+    it('lets every member read', async () => {
+        await assertSucceeds(ingredients('viewer').doc('milk').get());
+    });
+
+    it('hides them from non-members', async () => {
+        await assertFails(ingredients('stranger').doc('milk').get());
+        await assertFails(testEnv.unauthenticatedContext().firestore()
+            .collection('households').doc(HOUSEHOLD_ID).collection('ingredients').doc('milk').get());
+    });
+
+    it('lets editors add, update and delete', async () => {
+        await assertSucceeds(ingredients('editor').doc('egg').set({ name: '卵', expirationDate: '2026-10-30' }));
+        await assertSucceeds(ingredients('editor').doc('milk').update({ expirationDate: '2026-10-27' }));
+        await assertSucceeds(ingredients('editor').doc('milk').delete());
+    });
+
+    it('denies viewer writes', async () => {
+        await assertFails(ingredients('viewer').doc('egg').set({ name: '卵', expirationDate: '2026-10-30' }));
+        await assertFails(ingredients('viewer').doc('milk').update({ expirationDate: '2026-10-27' }));
+        await assertFails(ingredients('viewer').doc('milk').delete());
+    });
+});
+
+describe('history', () => {
+    const history = uid => dbAs(uid).collection('households').doc(HOUSEHOLD_ID).collection('history');
+
+    it('lets editors record and undo (delete) entries', async () => {
+        await assertSucceeds(history('editor').doc('egg').set({ name: '卵', disposition: 'discarded' }));
+        await assertSucceeds(history('editor').doc('bread').delete());
+    });
+
+    it('lets owners delete entries', async () => {
+        await assertSucceeds(history('owner').doc('bread').delete());
+    });
+
+    it('denies viewer writes', async () => {
+        await assertFails(history('viewer').doc('egg').set({ name: '卵', disposition: 'discarded' }));
+        await assertFails(history('viewer').doc('bread').delete());
+    });
+
+    it('only accepts known dispositions', async () => {
+        await assertFails(history('editor').doc('egg').set({ name: '卵', disposition: 'lost' }));
+    });
+
+    it('lets editors write an entry again but not change it', async () => {
+        await assertSucceeds(history('editor').doc('bread').set({ name: 'パン', disposition: 'eaten' }));
+        await assertFails(history('editor').doc('bread').set({ name: 'パン', disposition: 'given' }));
+    });
+});
+
+describe('members', () => {
+    const member = (uid, memberUid) => dbAs(uid).collection('households').doc(HOUSEHOLD_ID)
+        .collection('members').doc(memberUid);
+
+    it('lets owners switch others between editor and viewer', async () => {
+        await assertSucceeds(member('owner', 'editor').update({ role: 'viewer' }));
+        await assertSucceeds(member('owner', 'viewer').update({ role: 'editor' }));
+    });
+
+    it('does not let owners make someone else an owner or change other fields', async () => {
+        await assertFails(member('owner', 'editor').update({ role: 'owner' }));
+        await assertFails(member('owner', 'editor').update({ displayName: '乗っ取り' }));
+        await assertFails(member('owner', 'editor').update({ role: 'viewer', inviteCode: 'EDITOR01' }));
+        await assertFails(member('owner', 'owner').update({ role: 'editor' }));
+    });
+
+    it('does not let editors change roles', async () => {
+        await assertFails(member('editor', 'viewer').update({ role: 'editor' }));
+    });
+
+    it('lets an owner hand the household over to another account (moveHouseholdInFirestore)', async () => {
+        await assertFails(member('account', 'account').set({ role: 'owner', displayName: null }));
+        await assertSucceeds(dbAs('owner').collection('households').doc(HOUSEHOLD_ID).update({ ownerUid: 'account' }));
+        await assertSucceeds(member('account', 'account').set({ role: 'owner', displayName: null }));
+        await assertSucceeds(member('owner', 'owner').delete());
+    });
+
+    it('lets a member write their own document again but not change it', async () => {
+        await assertSucceeds(member('editor', 'editor').set({ role: 'editor' }));
+        await assertFails(member('editor', 'editor').set({ role: 'owner' }));
+        await assertFails(member('viewer', 'viewer').set({ role: 'editor' }));
+    });
+});
+
+describe('invites', () => {
+    const join = (uid, data) => dbAs(uid).collection('households').doc(HOUSEHOLD_ID)
+        .collection('members').doc(uid).set({ displayName: null, joinedAt: '2026-10-19T00:00:00.000Z', ...data });
+
+    it('lets a user join with the role of a valid code', async () => {
+        await assertSucceeds(join('newcomer', { role: 'editor', inviteCode: 'EDITOR01' }));
+    });
+
+    it('rejects a role other than the one on the code', async () => {
+        await assertFails(join('newcomer', { role: 'owner', inviteCode: 'EDITOR01' }));
+        await assertFails(join('newcomer', { role: 'viewer', inviteCode: 'EDITOR01' }));
+    });
+
+    it('rejects an expired code', async () => {
+        await assertFails(join('newcomer', { role: 'editor', inviteCode: 'EXPIRED1' }));
+    });
+
+    it('rejects joining without a code', async () => {
+        await assertFails(join('newcomer', { role: 'editor' }));
+    });
+
+    it('only lets owners create codes', async () => {
+        const invite = { householdId: HOUSEHOLD_ID, householdName: 'わが家', role: 'viewer', expiresAt: new Date(Date.now() + DAY) };
+        await assertSucceeds(dbAs('owner').collection('invites').doc('VIEWER01').set({ ...invite, createdBy: 'owner' }));
+        await assertFails(dbAs('editor').collection('invites').doc('VIEWER02').set({ ...invite, createdBy: 'editor' }));
+    });
+});
+
+describe('households shared before sign-in', () => {
+    const legacy = uid => dbAs(uid).collection('households').doc(LEGACY_HOUSEHOLD_ID);
+
+    /**
+     * Claim the legacy household the way claimHouseholdInFirestore does
+     * @param {string} uid - User ID
+     */
+    async function claim(uid) {
+        const batch = dbAs(uid).batch();
+        batch.update(legacy(uid), { ownerUid: uid });
+        batch.set(legacy(uid).collection('members').doc(uid), { role: 'owner', displayName: null });
+        await batch.commit();
+    }
+
+    it('can be claimed once', async () => {
+        await assertSucceeds(claim('first'));
+        await assertFails(claim('second'));
+    });
+
+    it('cannot be renamed by the claim', async () => {
+        await assertFails(legacy('first').update({ ownerUid: 'first', name: '乗っ取り' }));
+        await assertFails(legacy('first').update({ ownerUid: 'first', legacyJoinUntil: new Date(Date.now() + DAY) }));
+    });
+
+    it('does not let the other devices sharing it join without an invite', async () => {
+        await claim('first');
+        await assertFails(legacy('second').collection('members').doc('second').set({ role: 'editor', displayName: null }));
+        await assertFails(legacy('second').collection('members').doc('second').set({ role: 'owner', displayName: null }));
+        await assertFails(legacy('second').collection('ingredients').doc('egg').get());
+    });
+
+    it('lets them join with an invite from the new owner', async () => {
+        await claim('first');
+        await dbAs('first').collection('invites').doc('LEGACY01').set({
+            householdId: LEGACY_HOUSEHOLD_ID,
+            householdName: '実家',
+            role: 'editor',
+            createdBy: 'first',
+            expiresAt: new Date(Date.now() + DAY)
+        });
+        await assertSucceeds(legacy('second').collection('members').doc('second')
+            .set({ role: 'editor', displayName: null, inviteCode: 'LEGACY01' }));
+    });
+
+    it('does not open households created with an owner', async () => {
+        await assertFails(dbAs('stranger').collection('households').doc(HOUSEHOLD_ID)
+            .collection('members').doc('stranger').set({ role: 'editor', displayName: null }));
+    });
+});
+
+describe('legacy ingredients collection', () => {
+    it('is closed to signed-in users', async () => {
+        const legacy = dbAs('anyone').collection('ingredients');
+        await assertFails(legacy.doc('legacy-milk').get());
+        await assertFails(legacy.get());
+        await assertFails(legacy.doc('legacy-milk').delete());
+        await assertFails(legacy.doc('new').set({ name: '卵' }));
+    });
+});
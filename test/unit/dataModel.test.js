@@ -0,0 +1,57 @@
+// dataModel.test.js - Creating and restoring ingredients (js/dataModel.js)
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { loadScripts } = require('../helpers/loadScripts');
+
+const get = loadScripts(['dataModel.js', 'migrations.js']);
+const createIngredient = get('createIngredient');
+const restoreIngredient = get('restoreIngredient');
+
+describe('createIngredient', () => {
+    it('splits a free-text quantity into amount and unit', () => {
+        const ingredient = createIngredient({ name: '豚肉', expirationDate: '2026-10-25', quantity: '500g' });
+        assert.equal(ingredient.amount, 500);
+        assert.equal(ingredient.unit, 'g');
+        assert.equal('quantity' in ingredient, false);
+    });
+
+    it('keeps a quantity it cannot parse, like the v2 migration', () => {
+        const ingredient = createIngredient({ name: '塩', expirationDate: '2026-12-31', quantity: ' 少し ' });
+        assert.equal(ingredient.amount, null);
+        assert.equal(ingredient.quantity, '少し');
+        assert.equal(get('getQuantityLabel')(ingredient), '少し');
+    });
+
+    it('prefers a structured amount', () => {
+        const ingredient = createIngredient({ name: '卵', expirationDate: '2026-10-30', amount: '6', unit: '個' });
+        assert.equal(ingredient.amount, 6);
+        assert.equal(ingredient.unit, '個');
+    });
+});
+
+describe('restoreIngredient', () => {
+    it('keeps the unparsed quantity of a migrated item', () => {
+        const exported = get('migrateIngredient')({ id: 'salt', name: '塩', expirationDate: '2026-12-31', quantity: '少し' });
+        const restored = restoreIngredient(JSON.parse(JSON.stringify(exported)));
+        assert.equal(restored.id, 'salt');
+        assert.equal(restored.amount, null);
+        assert.equal(restored.quantity, '少し');
+    });
+});
+
+describe('getPurchaseDateError', () => {
+    const getPurchaseDateError = get('getPurchaseDateError');
+
+    it('names the date by its type', () => {
+        const dates = { purchaseDate: '2026-10-20', expirationDate: '2026-10-18' };
+        assert.equal(getPurchaseDateError({ ...dates, dateType: 'useBy' }), '購入日は消費期限より前である必要があります');
+        assert.equal(getPurchaseDateError({ ...dates, dateType: 'bestBefore' }), '購入日は賞味期限より前である必要があります');
+        assert.equal(getPurchaseDateError(dates), '購入日は賞味期限より前である必要があります');
+    });
+
+    it('accepts a purchase date on or before the expiration date', () => {
+        assert.equal(getPurchaseDateError({ purchaseDate: '2026-10-18', expirationDate: '2026-10-18', dateType: 'useBy' }), '');
+        assert.equal(getPurchaseDateError({ purchaseDate: '', expirationDate: '2026-10-18' }), '');
+    });
+});
@@ -0,0 +1,95 @@
+// importExport.test.js - Matching imported items with the inventory (js/importExport.js)
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { loadScripts, toPlain } = require('../helpers/loadScripts');
+
+const get = loadScripts(['dataModel.js', 'migrations.js', 'shelfLife.js', 'importExport.js']);
+const prepareImportRows = get('prepareImportRows');
+const buildImportOperations = get('buildImportOperations');
+
+const MILK = {
+    id: 'milk',
+    name: '牛乳',
+    category: '乳製品・卵',
+    expirationDate: '2026-10-25',
+    updatedAt: '2026-10-18T09:00:00.000Z'
+};
+const EGG = {
+    id: 'egg',
+    name: '卵',
+    category: '乳製品・卵',
+    expirationDate: '2026-10-30',
+    updatedAt: '2026-10-18T09:00:00.000Z'
+};
+
+describe('prepareImportRows', () => {
+    it('matches by id first, then by name and expiration date', () => {
+        const rows = prepareImportRows([
+            { ...EGG, name: '卵（10個）' },
+            { ...MILK, id: 'other-milk', name: ' 牛乳 ' }
+        ], [MILK, EGG]);
+
+        assert.equal(rows[0].duplicate.reason, 'id');
+        assert.equal(rows[0].duplicate.existing.id, 'egg');
+        assert.equal(rows[1].duplicate.reason, 'nameDate');
+        assert.equal(rows[1].duplicate.existing.id, 'milk');
+    });
+
+    it('treats items not in the inventory as new', () => {
+        const rows = prepareImportRows([{ ...MILK, id: 'new-milk', expirationDate: '2026-11-01' }], [MILK]);
+        assert.equal(rows[0].duplicate, null);
+        assert.equal(rows[0].ingredient.id, 'new-milk');
+    });
+
+    it('reports ids repeated within the file', () => {
+        const rows = prepareImportRows([{ ...MILK, id: 'x' }, { ...EGG, id: 'x' }], []);
+        assert.equal(rows[1].errors.length, 1);
+    });
+
+    it('gives a new id to a row whose item an earlier row already matched by name and date', () => {
+        const rows = prepareImportRows([
+            { ...MILK, id: 'other-milk' },
+            { ...MILK, expirationDate: '2026-10-27', notes: '別の牛乳' }
+        ], [MILK]);
+
+        assert.equal(rows[0].duplicate.existing.id, 'milk');
+        assert.equal(rows[1].duplicate, null);
+        assert.notEqual(rows[1].ingredient.id, 'milk');
+
+        // No strategy may write the second row over the item the first one matched
+        ['skip', 'overwrite', 'keepBoth'].forEach(strategy => {
+            const added = buildImportOperations(rows, strategy).filter(operation => operation.type === 'add');
+            assert.ok(added.every(operation => operation.id !== 'milk'), strategy);
+        });
+    });
+
+    it('still matches that row by name and date', () => {
+        const rows = prepareImportRows([
+            { ...MILK, id: 'other-milk' },
+            { ...EGG, id: 'milk' }
+        ], [MILK, EGG]);
+
+        assert.equal(rows[1].duplicate.reason, 'nameDate');
+        assert.equal(rows[1].duplicate.existing.id, 'egg');
+        assert.notEqual(rows[1].ingredient.id, 'milk');
+    });
+});
+
+describe('buildImportOperations', () => {
+    it('replaces an item overwritten by id and stamps it now', () => {
+        const existing = { ...MILK, notes: '開封済み', createdAt: '2026-10-10T09:00:00.000Z' };
+        const imported = { ...MILK, expirationDate: '2026-10-27', updatedAt: '2026-10-01T09:00:00.000Z' };
+        const rows = prepareImportRows([imported], [existing]);
+
+        const before = Date.now();
+        const operations = buildImportOperations(rows, 'overwrite');
+
+        assert.deepEqual(toPlain(operations.map(operation => `${operation.type}:${operation.id}`)), ['delete:milk', 'add:milk']);
+        const written = operations[1].ingredient;
+        assert.equal(written.expirationDate, '2026-10-27');
+        assert.notEqual(written.notes, '開封済み');
+        assert.ok(Date.parse(written.updatedAt) >= before);
+        assert.equal(rows[0].ingredient.updatedAt, imported.updatedAt);
+    });
+});
@@ -0,0 +1,117 @@
+// migrations.test.js - Schema migrations of stored ingredients (js/migrations.js)
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { loadScripts, toPlain } = require('../helpers/loadScripts');
+
+const get = loadScripts(['dataModel.js', 'migrations.js']);
+const SCHEMA_VERSION = get('SCHEMA_VERSION');
+const migrateIngredient = get('migrateIngredient');
+
+const V1_ITEM = {
+    id: 'milk',
+    name: '牛乳',
+    category: '乳製品・卵',
+    expirationDate: '2026-10-25',
+    quantity: '500ml'
+};
+
+describe('migrateQuantityToAmount (v2)', () => {
+    const migrate = get('migrateQuantityToAmount');
+
+    it('splits a quantity it understands into amount and unit', () => {
+        assert.deepEqual(toPlain(migrate({ name: '豚肉', quantity: '500g' })), { name: '豚肉', amount: 500, unit: 'g' });
+    });
+
+    it('keeps text it cannot parse in quantity', () => {
+        assert.deepEqual(toPlain(migrate({ name: '塩', quantity: ' 少し ' })), { name: '塩', amount: null, unit: '', quantity: '少し' });
+    });
+
+    it('leaves an empty quantity out', () => {
+        assert.deepEqual(toPlain(migrate({ name: '塩', quantity: '' })), { name: '塩', amount: null, unit: '' });
+        assert.deepEqual(toPlain(migrate({ name: '塩' })), { name: '塩', amount: null, unit: '' });
+    });
+
+    it('does not touch an item that already has an amount', () => {
+        const item = { name: '卵', amount: 6, unit: '個', quantity: '1パック' };
+        assert.equal(migrate(item), item);
+    });
+});
+
+describe('migrateDateType (v3)', () => {
+    const migrate = get('migrateDateType');
+
+    it('treats items without a date type as best-before', () => {
+        assert.equal(migrate({ name: '牛乳' }).dateType, 'bestBefore');
+    });
+
+    it('keeps a known date type', () => {
+        assert.equal(migrate({ name: '刺身', dateType: 'useBy' }).dateType, 'useBy');
+    });
+
+    it('replaces an unknown date type', () => {
+        assert.equal(migrate({ name: '牛乳', dateType: 'bogus' }).dateType, 'bestBefore');
+    });
+});
+
+describe('migrateBarcode (v4)', () => {
+    const migrate = get('migrateBarcode');
+
+    it('adds an empty barcode', () => {
+        assert.equal(migrate({ name: '牛乳' }).barcode, '');
+        assert.equal(migrate({ name: '牛乳', barcode: null }).barcode, '');
+    });
+
+    it('keeps a scanned barcode', () => {
+        assert.equal(migrate({ name: '牛乳', barcode: '4901234567894' }).barcode, '4901234567894');
+    });
+});
+
+describe('migrateIngredient', () => {
+    const CURRENT_ITEM = {
+        id: 'milk',
+        name: '牛乳',
+        category: '乳製品・卵',
+        expirationDate: '2026-10-25',
+        amount: 500,
+        unit: 'ml',
+        dateType: 'bestBefore',
+        barcode: '',
+        schemaVersion: SCHEMA_VERSION
+    };
+
+    it('runs every migration on a v1 item (no schemaVersion)', () => {
+        assert.deepEqual(toPlain(migrateIngredient(V1_ITEM)), CURRENT_ITEM);
+    });
+
+    it('starts after the version a v2 item was stored with', () => {
+        const { quantity, ...fields } = V1_ITEM;
+        const v2 = { ...fields, amount: 1, unit: 'L', schemaVersion: 2 };
+        assert.deepEqual(toPlain(migrateIngredient(v2)), { ...CURRENT_ITEM, amount: 1, unit: 'L' });
+    });
+
+    it('only adds the barcode to a v3 item', () => {
+        const v3 = { ...V1_ITEM, quantity: '500ml', dateType: 'useBy', schemaVersion: 3 };
+        assert.deepEqual(toPlain(migrateIngredient(v3)), { ...v3, barcode: '', schemaVersion: SCHEMA_VERSION });
+    });
+
+    it('does not migrate the input in place', () => {
+        const item = { ...V1_ITEM };
+        migrateIngredient(item);
+        assert.deepEqual(item, V1_ITEM);
+    });
+
+    it('returns current and newer items unchanged', () => {
+        const current = { ...CURRENT_ITEM };
+        const newer = { ...CURRENT_ITEM, schemaVersion: SCHEMA_VERSION + 1, futureField: true };
+        assert.equal(migrateIngredient(current), current);
+        assert.equal(migrateIngredient(newer), newer);
+    });
+
+    it('reads a missing or invalid schemaVersion as 1', () => {
+        assert.equal(get('getSchemaVersion')({}), 1);
+        assert.equal(get('getSchemaVersion')({ schemaVersion: 0 }), 1);
+        assert.equal(get('getSchemaVersion')({ schemaVersion: '3' }), 1);
+        assert.equal(get('needsMigration')({ schemaVersion: SCHEMA_VERSION }), false);
+    });
+});